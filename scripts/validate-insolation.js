@@ -0,0 +1,87 @@
+/**
+ * Milankovitch Cycles Insolation Validation
+ *
+ * This script compares the model's closed-form daily insolation functions
+ * with the numerical integration bundled in src/lib/numericalInsolation.js
+ * (four orbital configurations, latitudes from pole to pole, twelve points
+ * in the year) and reports the maximum absolute error in W/m². It is a
+ * self-consistency check: both sides use the model's solar constant and
+ * orbital elements, so it does not compare with published tables.
+ *
+ * Usage:
+ *   node scripts/validate-insolation.js                      Check every function
+ *   node scripts/validate-insolation.js --function daily     Check one (solarLongitude | daily)
+ *   node scripts/validate-insolation.js --tolerance 2        Largest error accepted, W/m² (default 1)
+ *   node scripts/validate-insolation.js --json               JSON report on stdout
+ *
+ * Exits with code 1 when any checked function exceeds the tolerance.
+ */
+
+(async () => {
+  try {
+    const {
+      compareInsolation,
+      DEFAULT_INSOLATION_TOLERANCE,
+      INSOLATION_FUNCTIONS,
+      INSOLATION_FUNCTION_ORDER
+    } = await import('../src/lib/insolationValidation.js');
+
+    const args = process.argv.slice(2);
+    const option = (name) => {
+      const index = args.indexOf(name);
+      return index >= 0 ? args[index + 1] : undefined;
+    };
+
+    const tolerance = option('--tolerance') !== undefined
+      ? Number(option('--tolerance'))
+      : DEFAULT_INSOLATION_TOLERANCE;
+    const functionKey = option('--function');
+
+    if (!Number.isFinite(tolerance) || tolerance < 0) {
+      console.error('--tolerance needs a non-negative number of W/m²');
+      process.exitCode = 1;
+      return;
+    }
+    if (functionKey !== undefined && !INSOLATION_FUNCTIONS[functionKey]) {
+      console.error(`--function must be one of: ${INSOLATION_FUNCTION_ORDER.join(', ')}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const keys = functionKey ? [functionKey] : INSOLATION_FUNCTION_ORDER;
+    const results = keys.map(key => compareInsolation(key, tolerance));
+    const ok = results.every(result => result.pass);
+
+    if (args.includes('--json')) {
+      console.log(JSON.stringify({ tolerance, ok, results }, null, 2));
+    } else {
+      printSummary(results, tolerance, ok);
+    }
+
+    if (!ok) process.exitCode = 1;
+  } catch (error) {
+    console.error("Error running insolation validation:", error);
+    process.exitCode = 1;
+  }
+})();
+
+function describePoint(point) {
+  return `${point.configuration}, ${point.latitude}°, λ = ${point.solarLongitude}°: ` +
+    `${point.actual.toFixed(2)} vs ${point.expected.toFixed(2)} W/m²`;
+}
+
+function printSummary(results, tolerance, ok) {
+  console.log('=================================================');
+  console.log('MILANKOVITCH CYCLES INSOLATION SELF-CONSISTENCY CHECK');
+  console.log('=================================================');
+  console.log(`Tolerance: ${tolerance} W/m²\n`);
+
+  results.forEach(result => {
+    console.log(`${result.pass ? '✅ PASS' : '❌ FAIL'}  ${result.function} (${result.points} points)`);
+    console.log(`        Max abs error: ${result.maxAbsError.toFixed(3)} W/m² (mean ${result.meanAbsError.toFixed(3)})`);
+    console.log(`        Worst: ${describePoint(result.worst)}`);
+    console.log(`        Polar rows (|lat| ≥ 88°): max ${result.polar.maxAbsError.toFixed(3)} W/m², ${describePoint(result.polar.worst)}`);
+  });
+
+  console.log(`\nOVERALL: ${ok ? 'PASSED' : 'FAILED'}`);
+}
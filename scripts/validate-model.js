@@ -0,0 +1,85 @@
+/**
+ * Milankovitch Cycles Model Validation
+ *
+ * This script runs every preset in src/lib/presets.js through the climate
+ * model the app ships (src/lib/temperatureUtils.js) and checks the result
+ * against the preset's published reference temperature range.
+ *
+ * Usage:
+ *   node scripts/validate-model.js                  Readable summary
+ *   node scripts/validate-model.js --json           JSON report on stdout
+ *   node scripts/validate-model.js --report <file>  Summary, plus the JSON report written to <file>
+ *
+ * Exits with code 1 when any preset fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+(async () => {
+  try {
+    const { buildValidationReport } = await import('../src/lib/modelValidation.js');
+
+    const args = process.argv.slice(2);
+    const jsonOnly = args.includes('--json');
+    const reportIndex = args.indexOf('--report');
+    const reportPath = reportIndex >= 0 ? args[reportIndex + 1] : null;
+
+    if (reportIndex >= 0 && !reportPath) {
+      console.error('--report needs a file path');
+      process.exitCode = 1;
+      return;
+    }
+
+    const report = buildValidationReport();
+    const json = JSON.stringify(report, null, 2);
+
+    if (reportPath) {
+      fs.writeFileSync(path.resolve(reportPath), `${json}\n`, 'utf8');
+    }
+    if (jsonOnly) {
+      console.log(json);
+    } else {
+      printSummary(report, reportPath);
+    }
+
+    if (!report.summary.ok) process.exitCode = 1;
+  } catch (error) {
+    console.error("Error running model validation:", error);
+    process.exitCode = 1;
+  }
+})();
+
+function formatRange([min, max]) {
+  return `${min}–${max}°C`;
+}
+
+function printSummary(report, reportPath) {
+  console.log('=================================================');
+  console.log('MILANKOVITCH CYCLES MODEL VALIDATION');
+  console.log('=================================================');
+  console.log(`Model: ${report.model}\n`);
+
+  report.presets.forEach(entry => {
+    const mark = entry.status === 'pass' ? '✅ PASS' : entry.status === 'fail' ? '❌ FAIL' : '➖ SKIP';
+    console.log(`${mark}  ${entry.name} (${entry.key})`);
+
+    if (entry.computed) {
+      const scope = entry.computed.scope === 'global'
+        ? 'Global annual mean'
+        : `Annual mean at ${entry.computed.latitude}°`;
+      console.log(`        ${scope}: ${entry.computed.temperature.toFixed(2)}°C, expected ${formatRange(entry.expected.range)}`);
+      console.log(`        Reference: ${entry.expected.citation}`);
+      entry.computed.warnings.forEach(warning => console.log(`        ⚠️ ${warning.message}`));
+    }
+    if (entry.reason && entry.status !== 'pass') {
+      console.log(`        ${entry.reason}`);
+    }
+  });
+
+  const { total, passed, failed, skipped, ok } = report.summary;
+  console.log('\n=================================================');
+  console.log(`${passed} passed, ${failed} failed, ${skipped} skipped of ${total} presets`);
+  if (reportPath) console.log(`JSON report written to ${reportPath}`);
+  console.log(`OVERALL: ${ok ? 'PASSED' : 'FAILED'}`);
+}
@@ -9,10 +9,13 @@
  * 2. CO2 levels for different geological periods
  * 3. Temperature calculations for known climate states
  * 4. Preset configurations for historical climate events
+ * 
+ * The presets are read from the registry in src/lib/presets.js, the same
+ * one the app uses.
  */
 
-// Since the temperatureUtils.js file uses ES modules, we need to create a wrapper
-// that will be executed as an async IIFE (Immediately Invoked Function Expression)
+// The app's modules are ES modules, so they are loaded with import() inside an
+// async IIFE (Immediately Invoked Function Expression)
 (async () => {
   try {
     // Define scientifically accurate parameter ranges
@@ -42,150 +45,13 @@
       }
     };
 
-    // Define presets from the application
-    const PRESETS = {
-      "Last Glacial Maximum (21,000 BP)": {
-        eccentricity: 0.019,
-        axialTilt: 22.99,
-        precession: 114,
-        year: -21000,
-        co2Level: 180,
-        expectedTemp: [-6, -2], // Expected global mean temperature range (°C)
-        description: "Peak of last ice age with extensive ice sheets."
-      },
-      "Mid-Holocene Optimum (6,000 BP)": {
-        eccentricity: 0.0187,
-        axialTilt: 24.1,
-        precession: 303,
-        year: -6000,
-        co2Level: 265,
-        expectedTemp: [14, 16], // Expected global mean temperature range (°C)
-        description: "Warm period with enhanced seasonal contrasts."
-      },
-      "Mid-Pleistocene Transition (800,000 BP)": {
-        eccentricity: 0.043,
-        axialTilt: 22.3,
-        precession: 275,
-        year: -800000,
-        co2Level: 240,
-        expectedTemp: [8, 12], // Expected global mean temperature range (°C)
-        description: "Transition period when glacial cycles shifted from 41,000-year to 100,000-year periods."
-      },
-      "PETM (56 Million BP)": {
-        eccentricity: 0.052,
-        axialTilt: 23.8,
-        precession: 180,
-        year: -56000000,
-        co2Level: 1500,
-        expectedTemp: [22, 28], // Expected global mean temperature range (°C)
-        description: "Paleocene-Eocene Thermal Maximum - extreme global warming event with high CO2 levels."
-      },
-      "Future Configuration (50,000 AP)": {
-        eccentricity: 0.015,
-        axialTilt: 23.2,
-        precession: 90,
-        year: 50000,
-        co2Level: 280,
-        expectedTemp: [10, 14], // Expected global mean temperature range (°C)
-        description: "Projected orbital configuration showing reduced seasonal contrasts."
-      }
-    };
+    // Presets come from the registry the app ships (src/lib/presets.js)
+    const { PRESETS, PRESET_ORDER, checkPresetSchema } = await import('../src/lib/presets.js');
 
-    // Since we can't directly import ES modules in CommonJS, we'll create mock functions
-    // that simulate the behavior of the actual functions for testing purposes
-    
-    // Mock functions for testing
-    const calculateDailyInsolation = (latitude, season, eccentricity, axialTilt, precession) => {
-      // Simple insolation model for testing
-      const latRad = (latitude * Math.PI) / 180;
-      const tiltRad = (axialTilt * Math.PI) / 180;
-      const seasonalFactor = Math.sin(2 * Math.PI * season);
-      
-      // Higher insolation with higher tilt and at lower latitudes
-      const baseInsolation = Math.cos(latRad) * 1361 * (1 - eccentricity * seasonalFactor);
-      const tiltEffect = Math.sin(tiltRad) * Math.sin(latRad) * 200;
-      
-      return Math.max(0, baseInsolation + tiltEffect);
-    };
-    
-    const calculateCO2Forcing = (co2Level) => {
-      // IPCC formula for CO2 radiative forcing
-      return 5.35 * Math.log(co2Level / 280);
-    };
-    
-    const calculateGlobalTemperature = ({
-      latitude = 52.37,
-      season = 0,
-      eccentricity,
-      axialTilt,
-      precession,
-      co2Level,
-      tempOffset = 0,
-      timeScaleYears = 0,
-      sensitivityLevel = 'medium'
-    }) => {
-      // Simplified temperature model for testing
-      const baseTemp = 15 - Math.abs(latitude) * 0.3; // Base temperature decreases with latitude
-      const insolationEffect = (eccentricity - 0.0167) * 10 + (axialTilt - 23.5) * 0.5;
-      const co2Effect = calculateCO2Forcing(co2Level) * 0.8;
-      const waterVaporEffect = co2Effect * 0.5;
-      const cloudEffect = co2Effect * 0.2;
-      const iceFactor = latitude > 60 ? 0.8 : latitude < -60 ? 0.7 : 0;
-      const iceAlbedoEffect = -iceFactor * 5;
-      const seasonalVariation = Math.sin(2 * Math.PI * season) * 5;
-      
-      const finalTemp = baseTemp + insolationEffect + co2Effect + waterVaporEffect + 
-                        cloudEffect + iceAlbedoEffect + seasonalVariation + tempOffset;
-      
-      return {
-        temperature: finalTemp,
-        iceFactor,
-        baseTemperature: baseTemp,
-        insolationEffect,
-        co2Effect,
-        waterVaporEffect,
-        cloudEffect,
-        iceAlbedoEffect,
-        seasonalEffect: seasonalVariation,
-        offsetEffect: tempOffset
-      };
-    };
+    // The functions under test are the ones the app ships, not copies
+    const { calculateDailyInsolation, calculateCO2Forcing } = await import('../src/lib/temperatureUtils.js');
+    const { validatePreset } = await import('../src/lib/modelValidation.js');
     
-    const calculateRegionalTemperatures = (params) => {
-      // Key latitudes for climate models
-      const latitudeBands = [
-        { lat: 90, name: "North Pole", weight: 0.05 },
-        { lat: 65, name: "Northern High Latitude", weight: 0.15 },
-        { lat: 30, name: "Northern Mid Latitude", weight: 0.25 },
-        { lat: 0, name: "Equator", weight: 0.1 },
-        { lat: -30, name: "Southern Mid Latitude", weight: 0.25 },
-        { lat: -65, name: "Southern High Latitude", weight: 0.15 },
-        { lat: -90, name: "South Pole", weight: 0.05 }
-      ];
-      
-      // Calculate temperature for each band
-      const bandResults = latitudeBands.map(band => {
-        const bandParams = {...params, latitude: band.lat};
-        const result = calculateGlobalTemperature(bandParams);
-        return {
-          latitude: band.lat,
-          name: band.name,
-          weight: band.weight,
-          ...result
-        };
-      });
-      
-      // Calculate weighted global mean
-      const globalTemperature = bandResults.reduce(
-        (sum, band) => sum + band.temperature * band.weight, 0
-      ) / bandResults.reduce((sum, band) => sum + band.weight, 0);
-      
-      return {
-        bandResults,
-        globalTemperature
-      };
-    };
-
     // Test functions
     function validateParameterRanges() {
       console.log("\n=== VALIDATING PARAMETER RANGES ===");
@@ -193,8 +59,14 @@
       // Check preset parameters against valid ranges
       let allValid = true;
       
-      for (const [presetName, preset] of Object.entries(PRESETS)) {
-        console.log(`\nChecking preset: ${presetName}`);
+      for (const key of PRESET_ORDER) {
+        const preset = PRESETS[key];
+        console.log(`\nChecking preset: ${preset.name} (${key})`);
+        
+        // Check the registry schema
+        const schemaProblems = checkPresetSchema(preset);
+        schemaProblems.forEach(problem => console.log(`  Schema: ${problem}`));
+        const schemaValid = schemaProblems.length === 0;
         
         // Check eccentricity
         const eccValid = preset.eccentricity >= PARAMETER_RANGES.eccentricity.min && 
@@ -213,13 +85,13 @@
         
         // Check CO2 level for PETM specifically
         let co2Valid = true;
-        if (presetName === "PETM (56 Million BP)") {
+        if (key === "petm") {
           co2Valid = preset.co2Level >= PARAMETER_RANGES.co2Level.petm[0] && 
                     preset.co2Level <= PARAMETER_RANGES.co2Level.petm[1];
           console.log(`  CO2 Level (${preset.co2Level} ppm): ${co2Valid ? 'VALID' : 'INVALID'} - Should be between ${PARAMETER_RANGES.co2Level.petm[0]}-${PARAMETER_RANGES.co2Level.petm[1]} ppm`);
         }
         
-        allValid = allValid && eccValid && tiltValid && precValid && co2Valid;
+        allValid = allValid && schemaValid && eccValid && tiltValid && precValid && co2Valid;
       }
       
       console.log(`\nOverall parameter validation: ${allValid ? 'PASSED' : 'FAILED'}`);
@@ -231,61 +103,29 @@
       
       let allValid = true;
       
-      for (const [presetName, preset] of Object.entries(PRESETS)) {
-        console.log(`\nTesting temperature for preset: ${presetName}`);
+      // Only presets with a published reference range can be checked
+      for (const key of PRESET_ORDER.filter(k => PRESETS[k].expectedTemperature)) {
+        const preset = PRESETS[key];
+        console.log(`\nTesting temperature for preset: ${preset.name} (${key})`);
         
-        // Calculate global temperature using our model
-        const tempData = calculateGlobalTemperature({
-          latitude: 0, // Use equator for global reference
-          season: 0.5, // Mid-year
-          eccentricity: preset.eccentricity,
-          axialTilt: preset.axialTilt,
-          precession: preset.precession,
-          co2Level: preset.co2Level,
-          timeScaleYears: 5000, // Long-term equilibrium
-          sensitivityLevel: 'medium'
-        });
-        
-        // Calculate regional temperatures for a more comprehensive check
-        const regionalData = calculateRegionalTemperatures({
-          eccentricity: preset.eccentricity,
-          axialTilt: preset.axialTilt,
-          precession: preset.precession,
-          co2Level: preset.co2Level,
-          season: 0.5,
-          timeScaleYears: 5000,
-          sensitivityLevel: 'medium'
-        });
-        
-        // Check if calculated temperature is within expected range
-        const tempInRange = tempData.temperature >= preset.expectedTemp[0] && 
-                            tempData.temperature <= preset.expectedTemp[1];
+        // Global annual mean from the shipped model (see src/lib/modelValidation.js)
+        const result = validatePreset(preset);
+        const [min, max] = result.expected.range;
         
-        const globalTempInRange = regionalData.globalTemperature >= preset.expectedTemp[0] && 
-                                  regionalData.globalTemperature <= preset.expectedTemp[1];
-        
-        console.log(`  Equatorial Temperature: ${tempData.temperature.toFixed(2)}°C`);
-        console.log(`  Global Mean Temperature: ${regionalData.globalTemperature.toFixed(2)}°C`);
-        console.log(`  Expected Range: ${preset.expectedTemp[0]}-${preset.expectedTemp[1]}°C`);
-        console.log(`  Result: ${globalTempInRange ? 'VALID' : 'INVALID'}`);
-        
-        // Print detailed breakdown of temperature components
-        console.log(`  Temperature Components:`);
-        console.log(`    Base Temperature: ${tempData.baseTemperature.toFixed(2)}°C`);
-        console.log(`    Insolation Effect: ${tempData.insolationEffect.toFixed(2)}°C`);
-        console.log(`    CO2 Effect: ${tempData.co2Effect.toFixed(2)}°C`);
-        console.log(`    Water Vapor Effect: ${tempData.waterVaporEffect.toFixed(2)}°C`);
-        console.log(`    Cloud Effect: ${tempData.cloudEffect.toFixed(2)}°C`);
-        console.log(`    Ice-Albedo Effect: ${tempData.iceAlbedoEffect.toFixed(2)}°C`);
-        console.log(`    Seasonal Effect: ${tempData.seasonalEffect.toFixed(2)}°C`);
+        console.log(`  Global Mean Temperature: ${result.computed.temperature.toFixed(2)}°C`);
+        console.log(`  Expected Range: ${min}-${max}°C`);
+        console.log(`  Reference: ${result.expected.citation}`);
+        console.log(`  Result: ${result.status === 'pass' ? 'VALID' : 'INVALID'}`);
         
         // Print regional breakdown
-        console.log(`  Regional Temperatures:`);
-        regionalData.bandResults.forEach(band => {
-          console.log(`    ${band.name}: ${band.temperature.toFixed(2)}°C (Ice Factor: ${band.iceFactor.toFixed(2)})`);
-        });
+        if (result.computed.bands) {
+          console.log(`  Regional Temperatures (annual mean):`);
+          result.computed.bands.forEach(band => {
+            console.log(`    ${band.name}: ${band.temperature.toFixed(2)}°C (Ice Factor: ${band.iceFactor.toFixed(2)})`);
+          });
+        }
         
-        allValid = allValid && globalTempInRange;
+        allValid = allValid && result.status === 'pass';
       }
       
       console.log(`\nOverall temperature validation: ${allValid ? 'PASSED' : 'FAILED'}`);
@@ -328,8 +168,11 @@
       
       // Test insolation at different latitudes and seasons
       const latitudes = [90, 65, 30, 0, -30, -65, -90];
-      const seasons = [0, 0.25, 0.5, 0.75];
-      const seasonNames = ["Spring Equinox", "Summer Solstice", "Fall Equinox", "Winter Solstice"];
+      // Solar longitudes pin the cardinal points; season fractions 0.25/0.5/0.75
+      // would be days of the year, which drift off them on an eccentric orbit
+      const solarLongitudes = [0, 90, 180, 270];
+      const seasonNames = ["March Equinox", "June Solstice", "September Equinox", "December Solstice"];
+      const byLongitude = { input: 'solarLongitude' };
       
       // Test with current orbital parameters
       const params = {
@@ -343,26 +186,27 @@
       console.log(`Axial Tilt: ${params.axialTilt}°`);
       console.log(`Precession: ${params.precession}°\n`);
       
-      console.log("Latitude | Season | Insolation (W/m²)");
-      console.log("-------- | ------ | ----------------");
+      console.log("Latitude | Season            | Insolation (W/m²)");
+      console.log("-------- | ----------------- | ----------------");
       
       latitudes.forEach(latitude => {
-        seasons.forEach((season, i) => {
+        solarLongitudes.forEach((solarLongitude, i) => {
           const insolation = calculateDailyInsolation(
             latitude,
-            season,
+            solarLongitude,
             params.eccentricity,
             params.axialTilt,
-            params.precession
+            params.precession,
+            byLongitude
           );
           
-          console.log(`${latitude.toString().padEnd(8)} | ${seasonNames[i].padEnd(6)} | ${insolation.toFixed(2)}`);
+          console.log(`${latitude.toString().padEnd(8)} | ${seasonNames[i].padEnd(17)} | ${insolation.toFixed(2)}`);
         });
       });
       
       // Basic validation: northern summer should have higher insolation at northern latitudes
-      const northSummerInsolation = calculateDailyInsolation(65, 0.25, params.eccentricity, params.axialTilt, params.precession);
-      const northWinterInsolation = calculateDailyInsolation(65, 0.75, params.eccentricity, params.axialTilt, params.precession);
+      const northSummerInsolation = calculateDailyInsolation(65, 90, params.eccentricity, params.axialTilt, params.precession, byLongitude);
+      const northWinterInsolation = calculateDailyInsolation(65, 270, params.eccentricity, params.axialTilt, params.precession, byLongitude);
       
       const seasonalContrastValid = northSummerInsolation > northWinterInsolation;
       console.log(`\nNorthern latitude seasonal contrast check: ${seasonalContrastValid ? 'PASSED' : 'FAILED'}`);
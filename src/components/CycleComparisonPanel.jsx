@@ -18,7 +18,8 @@ export function CycleComparisonPanel({
   // Calculate percentage differences from baseline
   const eccentricityDiff = ((eccentricity - baselineEccentricity) / baselineEccentricity) * 100;
   const axialTiltDiff = ((axialTilt - baselineAxialTilt) / baselineAxialTilt) * 100;
-  const precessionDiff = precession - baselinePrecession;
+  // Precession is an angle, so take the short way round (-180° to 180°)
+  const precessionDiff = ((((precession - baselinePrecession) % 360) + 540) % 360) - 180;
   
   return (
     <>
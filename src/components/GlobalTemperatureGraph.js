@@ -11,6 +11,9 @@ export function GlobalTemperatureGraph({
   co2Level,
   simulatedYear,
   formatNumber,
+  timelineSeries = null,
+  bandLabel = null,
+  showPlayhead = false,
   style,
 }) {
   const canvasRef = useRef();
@@ -21,7 +24,9 @@ export function GlobalTemperatureGraph({
   const updateInterval = 100; // Update every 100ms
 
   // Append new temperature data with rate limiting.
+  // A precomputed timeline series replaces the live history entirely.
   useEffect(() => {
+    if (timelineSeries) return;
     const currentTime = Date.now();
     if (currentTime - lastUpdateRef.current >= updateInterval) {
       // Skip adding the data point if temperature is not a valid number
@@ -55,6 +60,7 @@ export function GlobalTemperatureGraph({
     co2Level,
     iceFactor,
     simulatedYear,
+    timelineSeries,
   ]);
 
   useEffect(() => {
@@ -62,7 +68,12 @@ export function GlobalTemperatureGraph({
 
     const render = () => {
       const canvas = canvasRef.current;
-      if (!canvas || temperatureHistory.length < 2) return;
+      const points = timelineSeries
+        ? timelineSeries.map((p) => ({ temp: p.temperature, low: p.low, high: p.high, year: p.year }))
+        : temperatureHistory;
+      // Live history fills in from the left; a timeline spans the full width
+      const slotCount = timelineSeries ? points.length : maxHistoryLength;
+      if (!canvas || points.length < 2) return;
       const ctx = canvas.getContext("2d");
 
       // Get the device pixel ratio and size the canvas accordingly
@@ -114,7 +125,7 @@ export function GlobalTemperatureGraph({
       // Enhanced temperature calculations
       const baselineTemp = 10;
       const exaggerationFactor = 1;
-      const displayTemps = temperatureHistory.map(
+      const displayTemps = points.map(
         (p) => {
           // Ensure we don't use NaN values
           if (!isFinite(p.temp)) return baselineTemp;
@@ -122,8 +133,19 @@ export function GlobalTemperatureGraph({
         }
       );
 
+      // Ensemble band (low to high), when every point carries one
+      const band = points.every((p) => isFinite(p.low) && isFinite(p.high))
+        ? points.map((p) => ({
+            low: exaggerationFactor * (p.low - baselineTemp) + baselineTemp,
+            high: exaggerationFactor * (p.high - baselineTemp) + baselineTemp,
+          }))
+        : null;
+
       // Filter out any remaining NaN values before calculating min/max
-      const validTemps = displayTemps.filter(temp => isFinite(temp));
+      const validTemps = [
+        ...displayTemps,
+        ...(band ? band.flatMap((b) => [b.low, b.high]) : []),
+      ].filter(temp => isFinite(temp));
       const minDisplayTemp = validTemps.length > 0 
         ? Math.min(...validTemps) - 2 
         : baselineTemp - 5;
@@ -250,8 +272,8 @@ export function GlobalTemperatureGraph({
       ctx.font = "500 13px monospace";
       [0, 0.25, 0.5, 0.75, 1].forEach((fraction) => {
         const x = margin.left + fraction * graphWidth;
-        const index = Math.floor(fraction * (temperatureHistory.length - 1));
-        const year = temperatureHistory[index]?.year || 0;
+        const index = Math.floor(fraction * (points.length - 1));
+        const year = points[index]?.year || 0;
         
         // Vertical grid line
         ctx.strokeStyle = "rgba(55, 90, 130, 0.2)"; // Slate blue color
@@ -282,7 +304,7 @@ export function GlobalTemperatureGraph({
       ctx.fillStyle = labelGradient;
       
       // X-axis label
-      ctx.fillText("Simulation Timeline", width / 2, height - 10);
+      ctx.fillText(timelineSeries ? "Years (relative to 1950)" : "Simulation Timeline", width / 2, height - 10);
       
       // Y-axis label
       ctx.save();
@@ -291,6 +313,34 @@ export function GlobalTemperatureGraph({
       ctx.fillText("Temperature (°C)", 0, 0);
       ctx.restore();
 
+      // Uncertainty band behind the line
+      if (band) {
+        const bandX = (i) => margin.left + (i / (slotCount - 1)) * graphWidth;
+        const bandY = (temp) =>
+          height - margin.bottom - ((temp - minDisplayTemp) / tempRange) * graphHeight;
+        ctx.beginPath();
+        band.forEach((b, i) => {
+          if (i === 0) ctx.moveTo(bandX(i), bandY(b.high));
+          else ctx.lineTo(bandX(i), bandY(b.high));
+        });
+        for (let i = band.length - 1; i >= 0; i--) {
+          ctx.lineTo(bandX(i), bandY(band[i].low));
+        }
+        ctx.closePath();
+        ctx.fillStyle = "rgba(205, 175, 125, 0.18)"; // Antique brass color
+        ctx.fill();
+
+        // Say what the band spans
+        if (bandLabel) {
+          ctx.save();
+          ctx.font = "11px serif";
+          ctx.textAlign = "left";
+          ctx.fillStyle = "rgba(232, 208, 169, 0.6)"; // Pale gold color
+          ctx.fillText(bandLabel, margin.left + 4, height - margin.bottom - 6);
+          ctx.restore();
+        }
+      }
+
       // Temperature line with Celestial Observatory styling
       const lineGradient = ctx.createLinearGradient(
         0,
@@ -312,7 +362,7 @@ export function GlobalTemperatureGraph({
       ctx.lineJoin = "round";
 
       displayTemps.forEach((displayTemp, i) => {
-        const x = margin.left + (i / (maxHistoryLength - 1)) * graphWidth;
+        const x = margin.left + (i / (slotCount - 1)) * graphWidth;
         const y =
           height -
           margin.bottom -
@@ -326,7 +376,7 @@ export function GlobalTemperatureGraph({
       // Add data points with Celestial Observatory styling
       displayTemps.forEach((displayTemp, i) => {
         if (i % 10 === 0 || i === displayTemps.length - 1) { // Show fewer points for cleaner look
-          const x = margin.left + (i / (maxHistoryLength - 1)) * graphWidth;
+          const x = margin.left + (i / (slotCount - 1)) * graphWidth;
           const y =
             height -
             margin.bottom -
@@ -346,6 +396,34 @@ export function GlobalTemperatureGraph({
         }
       });
 
+      // Playhead at the selected year on the timeline
+      if (timelineSeries && showPlayhead && isFinite(simulatedYear)) {
+        const firstYear = points[0].year;
+        const lastYear = points[points.length - 1].year;
+        const fraction = (simulatedYear - firstYear) / Math.max(1, lastYear - firstYear);
+        const x = margin.left + Math.max(0, Math.min(1, fraction)) * graphWidth;
+
+        ctx.strokeStyle = "rgba(232, 208, 169, 0.6)"; // Pale gold color
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x, margin.top);
+        ctx.lineTo(x, height - margin.bottom);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        if (isFinite(temperature)) {
+          const y =
+            height -
+            margin.bottom -
+            ((temperature - minDisplayTemp) / tempRange) * graphHeight;
+          ctx.beginPath();
+          ctx.arc(x, y, 5, 0, Math.PI * 2);
+          ctx.fillStyle = "#f7fafc"; // Stardust white color
+          ctx.fill();
+        }
+      }
+
       animationFrameId = requestAnimationFrame(render);
     };
 
@@ -362,6 +440,11 @@ export function GlobalTemperatureGraph({
     iceFactor,
     formatNumber,
     isHovered,
+    timelineSeries,
+    bandLabel,
+    showPlayhead,
+    simulatedYear,
+    temperature,
   ]);
 
   return (
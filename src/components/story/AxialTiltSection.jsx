@@ -5,7 +5,7 @@ import { StorySlider } from "./StorySlider";
 import { CauseEffectCard } from "./CauseEffectCard";
 import { TemperatureIndicator } from "./TemperatureIndicator";
 
-export function AxialTiltSection({ axialTilt, onAxialTiltChange, temperature, onInView }) {
+export function AxialTiltSection({ axialTilt, onAxialTiltChange, temperature, climate, onInView }) {
   return (
     <StorySection id={3} onInView={onInView}>
       <div className="w-full max-w-lg px-4 md:px-12 py-4 md:py-8 md:ml-auto">
@@ -39,7 +39,7 @@ export function AxialTiltSection({ axialTilt, onAxialTiltChange, temperature, on
             formatValue={(nextValue) => `${nextValue.toFixed(1)}°`}
           />
 
-          <TemperatureIndicator temperature={temperature} />
+          <TemperatureIndicator temperature={temperature} climate={climate} />
 
           <div className="hidden md:block">
             <CauseEffectCard
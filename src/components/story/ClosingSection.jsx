@@ -3,14 +3,14 @@ import React, { useState } from "react";
 import Link from "next/link";
 import { StorySection } from "./StorySection";
 import { ERAS } from "@/lib/eraLookup";
+import { formatLatitude, formatCO2, PREINDUSTRIAL_CO2 } from "@/lib/parameterCopy";
 
 function buildSnapshotLine(snapshot) {
   if (!snapshot) return null;
-  const { temperature, eraKey } = snapshot;
-  // Comparison is against today's 65°N annual mean (~-8°C in the playground
-  // calibration), the same scale as the TemperaturePod reading.
-  const todayTemp = -8;
-  const delta = temperature - todayTemp;
+  const { temperature, eraKey, latitude, baseline, co2Level } = snapshot;
+  // Comparison is against today's annual mean at the snapshot's latitude,
+  // the same scale as the TemperaturePod reading.
+  const delta = temperature - baseline;
   const absDelta = Math.abs(delta);
   const direction = delta > 0 ? "warmer" : "colder";
   const magnitude =
@@ -19,7 +19,9 @@ function buildSnapshotLine(snapshot) {
       : `${absDelta.toFixed(1)}°C ${direction} than`;
   const eraRef =
     eraKey && ERAS[eraKey] ? ` — like ${ERAS[eraKey].shortLabel}` : "";
-  return `You tuned a climate ${magnitude} today${eraRef}.`;
+  const co2Ref =
+    co2Level && co2Level !== PREINDUSTRIAL_CO2 ? ` with ${formatCO2(co2Level)} CO₂` : "";
+  return `You tuned a climate ${magnitude} today at ${formatLatitude(latitude)}${co2Ref}${eraRef}.`;
 }
 
 export function ClosingSection({ onInView, snapshot }) {
@@ -30,7 +32,10 @@ export function ClosingSection({ onInView, snapshot }) {
     window.scrollTo({ top: 0, behavior: "smooth" });
   };
 
-  const shareUrl = typeof window !== "undefined" ? window.location.href : "";
+  // A named climate shares its own permalink; otherwise share the page itself
+  const shareUrl =
+    snapshot?.permalink ||
+    (typeof window !== "undefined" ? `${window.location.origin}${window.location.pathname}` : "");
   const shareText = "I just learned why ice ages happen — it's all about Earth's orbit! Check out this interactive explainer:";
 
   const handleShare = async () => {
@@ -66,6 +71,14 @@ export function ClosingSection({ onInView, snapshot }) {
               {snapshotLine}
             </p>
           )}
+          {snapshot?.permalink && (
+            <a
+              href={snapshot.permalink}
+              className="block text-xs font-mono text-stardust-white/50 hover:text-pale-gold transition-colors break-all"
+            >
+              {snapshot.permalink}
+            </a>
+          )}
           <p className="text-lg text-pale-gold font-medium">
             You now understand the 3 orbital cycles that drive ice ages
           </p>
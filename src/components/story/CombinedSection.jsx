@@ -1,9 +1,10 @@
 "use client";
 import React, { useEffect, useRef, useState } from "react";
 import { StorySection } from "./StorySection";
+import { PRESETS, presetParams } from "@/lib/presets";
 
-const ICE_AGE = { eccentricity: 0.019, axialTilt: 22.99, precession: 114 };
-const TODAY = { eccentricity: 0.0167, axialTilt: 23.44, precession: 0 };
+const ICE_AGE = presetParams("lgm");
+const TODAY = presetParams("today");
 const DURATION = 6000;
 const PAUSE = 2000;
 
@@ -11,11 +12,17 @@ function easeInOut(p) {
   return p < 0.5 ? 2 * p * p : 1 - Math.pow(-2 * p + 2, 2) / 2;
 }
 
+function midpoint([min, max]) {
+  return (min + max) / 2;
+}
+
 function lerpParams(from, to, t) {
+  // Precession takes the short way round the circle
+  const precessionDelta = (((to.precession - from.precession) % 360) + 540) % 360 - 180;
   return {
     eccentricity: from.eccentricity + (to.eccentricity - from.eccentricity) * t,
     axialTilt: from.axialTilt + (to.axialTilt - from.axialTilt) * t,
-    precession: from.precession + (to.precession - from.precession) * t,
+    precession: (((from.precession + precessionDelta * t) % 360) + 360) % 360,
   };
 }
 
@@ -102,9 +109,9 @@ export function CombinedSection({ onParamsChange, onInView, temperature }) {
     return () => observer.disconnect();
   }, [onParamsChange]);
 
-  // Interpolated temperature for display
-  const iceTemp = -5;
-  const todayTemp = 14;
+  // Interpolated global mean for display, between the presets' reference ranges
+  const iceTemp = midpoint(PRESETS.lgm.expectedTemperature.range);
+  const todayTemp = midpoint(PRESETS.today.expectedTemperature.range);
   const displayTemp = iceTemp + (todayTemp - iceTemp) * progress;
 
   return (
@@ -136,13 +143,13 @@ export function CombinedSection({ onParamsChange, onInView, temperature }) {
             </div>
             <div className="flex justify-between items-center">
               <span className="text-sm font-mono text-blue-400">
-                ❄️ {iceTemp}°C
+                ❄️ {iceTemp.toFixed(1)}°C
               </span>
               <span className="text-lg font-mono font-bold text-pale-gold">
                 {displayTemp.toFixed(1)}°C
               </span>
               <span className="text-sm font-mono text-yellow-400">
-                ☀️ {todayTemp}°C
+                ☀️ {todayTemp.toFixed(1)}°C
               </span>
             </div>
           </div>
@@ -5,7 +5,7 @@ import { StorySlider } from "./StorySlider";
 import { CauseEffectCard } from "./CauseEffectCard";
 import { TemperatureIndicator } from "./TemperatureIndicator";
 
-export function EccentricitySection({ eccentricity, onEccentricityChange, temperature, onInView }) {
+export function EccentricitySection({ eccentricity, onEccentricityChange, temperature, climate, onInView }) {
   return (
     <StorySection id={2} onInView={onInView}>
       <div className="w-full max-w-lg px-4 md:px-12 py-4 md:py-8">
@@ -39,7 +39,7 @@ export function EccentricitySection({ eccentricity, onEccentricityChange, temper
             formatValue={(nextValue) => nextValue.toFixed(3)}
           />
 
-          <TemperatureIndicator temperature={temperature} />
+          <TemperatureIndicator temperature={temperature} climate={climate} />
 
           <div className="hidden md:block">
             <CauseEffectCard
@@ -0,0 +1,36 @@
+"use client";
+import React from "react";
+import { isFallbackResult, warningLabels } from "@/lib/climateDiagnostics";
+
+// Flags a reading that is not plain model output: a stand-in baseline after
+// the model failed, or a value the model had to step in on, labelled by the
+// kind of warning. Renders nothing for a clean result.
+export function ModelStatusBadge({ result, className = "" }) {
+  if (!result) return null;
+
+  const fallback = isFallbackResult(result);
+  const warnings = result.diagnostics?.warnings ?? [];
+  if (!fallback && warnings.length === 0) return null;
+
+  const details = [
+    ...(result.diagnostics?.errors ?? []),
+    ...warnings.map((warning) => warning.message),
+  ].join("\n");
+
+  return (
+    <span
+      role="status"
+      title={details || undefined}
+      className={[
+        "inline-flex items-center gap-1 text-[10px] font-mono uppercase tracking-wider px-1.5 py-0.5 rounded border",
+        fallback
+          ? "border-temp-warm/60 text-temp-warm bg-temp-warm/10"
+          : "border-antique-brass/50 text-pale-gold/80",
+        className,
+      ].join(" ")}
+    >
+      <span aria-hidden>⚠</span>
+      {fallback ? "Fallback — not a model result" : warningLabels(warnings).join(" · ")}
+    </span>
+  );
+}
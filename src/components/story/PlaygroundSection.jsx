@@ -1,21 +1,55 @@
 "use client";
-import React, { useState, useEffect, useRef, useCallback, lazy, Suspense } from "react";
+import React, { useState, useEffect, useRef, useCallback, useMemo, lazy, Suspense } from "react";
 import { StorySection } from "./StorySection";
 import { ParameterCard } from "./playground/ParameterCard";
 import { TemperaturePod } from "./playground/TemperaturePod";
 import { EraRibbon } from "./playground/EraRibbon";
 import { MissionChip } from "./playground/MissionChip";
-import { ERAS } from "@/lib/eraLookup";
+import { MissionPanel } from "./playground/MissionPanel";
+import { TimelineScrubber } from "./playground/TimelineScrubber";
+import { EngineToggle } from "./playground/EngineToggle";
+import { IceVolumeStrip } from "./playground/IceVolumeStrip";
+import { LatitudePicker } from "./playground/LatitudePicker";
+import { ClimateLibraryPanel } from "./playground/ClimateLibraryPanel";
+import { ComparisonPanel } from "./playground/ComparisonPanel";
+import { ForcingWaterfall } from "./playground/ForcingWaterfall";
+import { FactorSeparationPanel } from "./playground/FactorSeparationPanel";
+import { FeedbackPanel } from "./playground/FeedbackPanel";
+import { useClimateLibrary } from "@/lib/useClimateLibrary";
+import { nextClimateName } from "@/lib/climateLibrary";
+import { useMissionProgress } from "@/lib/useMissionProgress";
+import { missionGoal } from "@/lib/missions";
+import {
+  ERAS,
+  TIMELINE_MIN_YEAR,
+  TIMELINE_MAX_YEAR,
+  findNearestEra,
+} from "@/lib/eraLookup";
+import { buildClimatePermalink } from "@/lib/urlState";
+import { createGlacialComparison } from "@/lib/climateComparison";
+import { separateFactors, ORBITAL_FACTORS } from "@/lib/factorSeparation";
+import { solveForGoal } from "@/lib/inverseSolver";
+import { runSensitivityEnsemble, sampleEnsembleMembers } from "@/lib/sensitivityEnsemble";
+import {
+  calculateOrbitalParameters,
+  calculateOrbitalTimeSeries,
+} from "@/lib/orbitalSolution";
+import { getClimateEngine, PRESENT_DAY_PARAMS } from "@/lib/climateEngines";
 import {
   describeEccentricity,
   describeTilt,
   describePrecession,
+  describeCO2,
   formatEccentricity,
   formatTilt,
   formatPrecession,
+  formatCO2,
+  formatYear,
   TODAY_ECC,
   TODAY_TILT,
   TODAY_PREC,
+  PREINDUSTRIAL_CO2,
+  CO2_PRESETS,
 } from "@/lib/parameterCopy";
 
 const GlobalTemperatureGraph = lazy(() =>
@@ -25,6 +59,21 @@ const GlobalTemperatureGraph = lazy(() =>
 );
 
 const STICKY_MS = 1200;
+// Factor separation runs the model 8–16 times, so wait for the dials to settle
+const SEPARATION_DELAY_MS = 250;
+// Every timeline point runs once per member, so the graph's band uses a
+// smaller draw than the pod's and shows its full min–max range
+const TIMELINE_ENSEMBLE_SIZE = 8;
+// Longest stretch of timeline work between frames
+const TIMELINE_SLICE_MS = 12;
+
+// What the attribution waterfall measures from, and how its end bars read
+const ATTRIBUTION_MODES = {
+  baseline: { key: "baseline", label: "From baseline", labels: { start: "Latitude base", end: "This setup" } },
+  today: { key: "today", label: "Versus today", labels: { start: "Today", end: "This setup" } },
+  comparison: { key: "comparison", label: "A → B", labels: { start: "Setup A", end: "Setup B" } },
+};
+const PLAYGROUND_SECTION = 6;
 
 export function PlaygroundSection({
   eccentricity,
@@ -36,29 +85,77 @@ export function PlaygroundSection({
   onAxialTiltChange,
   onPrecessionChange,
   simulatedYear,
+  onYearChange,
   co2Level,
+  onCo2Change,
+  contributions,
+  climate,
+  compareMode = false,
+  onCompareModeChange,
+  comparison,
+  comparisonClimate,
+  onComparisonChange,
+  climateEngine,
+  onClimateEngineChange,
+  feedbacks = {},
+  onFeedbacksChange,
+  latitude,
+  onLatitudeChange,
+  calibration,
   displayedTemp,
-  formatNumber,
   onInView,
   focusedParam,
   onFocusParamChange,
   onSnapshot,
+  restoredFromUrl = false,
 }) {
   const [activeEraKey, setActiveEraKey] = useState("today");
+  const [activeSavedId, setActiveSavedId] = useState(null);
+  const [libraryOpen, setLibraryOpen] = useState(false);
+  const [attributionOpen, setAttributionOpen] = useState(false);
+  const [attributionMode, setAttributionMode] = useState("baseline");
+  const [separationOpen, setSeparationOpen] = useState(false);
+  const [separationMode, setSeparationMode] = useState("today");
+  const [feedbacksOpen, setFeedbacksOpen] = useState(false);
+  // Orbital change from today's orbit (feeds the pod) and, when asked, A → B
+  const [separation, setSeparation] = useState(null);
+  const [comparisonSeparation, setComparisonSeparation] = useState(null);
+  // Feedback-uncertainty ensemble: median and 5–95% range for the pod
+  const [uncertaintyOn, setUncertaintyOn] = useState(false);
+  const [ensemble, setEnsemble] = useState(null);
+  const [solving, setSolving] = useState(false);
+  const [solverNote, setSolverNote] = useState(null);
+  const library = useClimateLibrary();
+  const missions = useMissionProgress();
+  const [missionsOpen, setMissionsOpen] = useState(false);
+  // When following the timeline, the dials are driven by the orbital
+  // solution for simulatedYear; touching a dial switches to manual override.
+  const [followTimeline, setFollowTimeline] = useState(true);
   const [showGraph, setShowGraph] = useState(false);
   const [graphOpen, setGraphOpen] = useState(false);
   const hasInitialized = useRef(false);
   const animRef = useRef(null);
   const stickyTimer = useRef(null);
+  const copiedTimer = useRef(null);
+  const [linkCopied, setLinkCopied] = useState(false);
+  // Name being typed for a new library entry; null when not saving
+  const [draftName, setDraftName] = useState(null);
 
   const handleInView = (id) => {
     onInView(id);
     setShowGraph(true);
     if (!hasInitialized.current) {
       hasInitialized.current = true;
-      onEccentricityChange(TODAY_ECC);
-      onAxialTiltChange(TODAY_TILT);
-      onPrecessionChange(TODAY_PREC);
+      // A shared link already set the dials; keep them as a manual setup
+      if (restoredFromUrl) {
+        setFollowTimeline(false);
+        setActiveEraKey(findNearestEra({ eccentricity, axialTilt, precession }, 0.04));
+        return;
+      }
+      const orbit = calculateOrbitalParameters(simulatedYear);
+      onEccentricityChange(orbit.eccentricity);
+      onAxialTiltChange(orbit.axialTilt);
+      onPrecessionChange(orbit.precession);
     }
   };
 
@@ -69,9 +166,8 @@ export function PlaygroundSection({
     }
   };
 
-  const applyEra = (key) => {
+  const tweenTo = (target) => {
     cancelAnim();
-    const target = ERAS[key];
     const startEcc = eccentricity;
     const startTilt = axialTilt;
     const startPrec = precession;
@@ -83,7 +179,6 @@ export function PlaygroundSection({
         : startPrec;
     const duration = 800;
     const startTime = performance.now();
-    setActiveEraKey(key);
 
     const tick = (now) => {
       const elapsed = now - startTime;
@@ -104,12 +199,83 @@ export function PlaygroundSection({
     animRef.current = requestAnimationFrame(tick);
   };
 
-  const resetToToday = () => applyEra("today");
+  // Touching the dials or timeline leaves any era or saved climate
+  const clearSelection = () => {
+    setActiveEraKey(null);
+    setActiveSavedId(null);
+    setSolverNote(null);
+  };
+
+  const applyEra = (key) => {
+    setFollowTimeline(false);
+    setActiveEraKey(key);
+    setActiveSavedId(null);
+    tweenTo(ERAS[key]);
+  };
+
+  const applySavedClimate = (entry) => {
+    const { params } = entry;
+    setFollowTimeline(false);
+    setActiveEraKey(null);
+    setActiveSavedId(entry.id);
+    if (params.co2Level !== undefined) onCo2Change(params.co2Level);
+    if (params.latitude !== undefined) onLatitudeChange(params.latitude);
+    tweenTo(params);
+  };
+
+  // "Show me how": search for the nearest dials that complete the mission
+  // and glide there like an era preset. The search runs after a tick so the
+  // chip can show that it is working.
+  const showMissionSolution = (mission) => {
+    setSolving(true);
+    setSolverNote(null);
+    setTimeout(() => {
+      const solution = solveForGoal({
+        start: { eccentricity, axialTilt, precession },
+        goal: missionGoal(mission),
+        baseParams: { latitude, co2Level, tempOffset: 0, feedbacks },
+        calculate: getClimateEngine(climateEngine).calculateAnnualMean,
+      });
+      setSolving(false);
+      setFollowTimeline(false);
+      clearSelection();
+      tweenTo(solution.params);
+      if (!solution.reached) {
+        setSolverNote(
+          `The dials alone can't reach ${mission.target} here with ${formatCO2(co2Level)} — this is as close as they get (${solution.value.toFixed(1)}°C).`
+        );
+      }
+    }, 0);
+  };
+
+  const jumpToYear = (year) => {
+    setFollowTimeline(true);
+    clearSelection();
+    onYearChange(year);
+    tweenTo(calculateOrbitalParameters(year));
+  };
+
+  const resetToToday = () => jumpToYear(0);
+
+  const handleYearInput = useCallback(
+    (year) => {
+      cancelAnim();
+      setFollowTimeline(true);
+      clearSelection();
+      onYearChange(year);
+      const orbit = calculateOrbitalParameters(year);
+      onEccentricityChange(orbit.eccentricity);
+      onAxialTiltChange(orbit.axialTilt);
+      onPrecessionChange(orbit.precession);
+    },
+    [onYearChange, onEccentricityChange, onAxialTiltChange, onPrecessionChange]
+  );
 
   useEffect(() => {
     return () => {
       cancelAnim();
       clearTimeout(stickyTimer.current);
+      clearTimeout(copiedTimer.current);
     };
   }, []);
 
@@ -117,7 +283,8 @@ export function PlaygroundSection({
     (v) => {
       cancelAnim();
       onEccentricityChange(v);
-      setActiveEraKey(null);
+      setFollowTimeline(false);
+      clearSelection();
     },
     [onEccentricityChange]
   );
@@ -125,7 +292,8 @@ export function PlaygroundSection({
     (v) => {
       cancelAnim();
       onAxialTiltChange(v);
-      setActiveEraKey(null);
+      setFollowTimeline(false);
+      clearSelection();
     },
     [onAxialTiltChange]
   );
@@ -133,7 +301,8 @@ export function PlaygroundSection({
     (v) => {
       cancelAnim();
       onPrecessionChange(v);
-      setActiveEraKey(null);
+      setFollowTimeline(false);
+      clearSelection();
     },
     [onPrecessionChange]
   );
@@ -150,20 +319,237 @@ export function PlaygroundSection({
     }, STICKY_MS);
   };
 
-  const handleSnapshot = () => {
+  // Hand the current setup to the closing section and return its permalink
+  const takeSnapshot = () => {
+    const permalink = buildClimatePermalink(window.location, {
+      eccentricity,
+      axialTilt,
+      precession,
+      co2Level,
+      latitude,
+      section: PLAYGROUND_SECTION,
+    });
     onSnapshot?.({
       temperature,
       eccentricity,
       axialTilt,
       precession,
       eraKey: activeEraKey,
+      year: followTimeline ? simulatedYear : null,
+      latitude,
+      baseline: calibration.baseline,
+      co2Level,
+      permalink,
     });
+    return permalink;
+  };
+
+  // Saving is its own step with a name the user chose
+  const saveClimate = () => {
+    const entry = library.save({
+      name: draftName.trim() || nextClimateName(library.entries),
+      eccentricity,
+      axialTilt,
+      precession,
+      co2Level,
+      latitude,
+      temperature,
+    });
+    takeSnapshot();
+    setActiveEraKey(null);
+    setActiveSavedId(entry.id);
+    setDraftName(null);
+  };
+
+  const copyLink = async () => {
+    const permalink = takeSnapshot();
+    try {
+      await navigator.clipboard.writeText(permalink);
+      setLinkCopied(true);
+      clearTimeout(copiedTimer.current);
+      copiedTimer.current = setTimeout(() => setLinkCopied(false), 2000);
+    } catch {
+      // Clipboard unavailable; the link is still offered in the closing section
+    }
   };
 
   const params = { eccentricity, axialTilt, precession };
 
+  // Everything a mission condition can test
+  const missionContext = {
+    result: climate || { temperature, iceFactor },
+    params: { ...params, co2Level, latitude },
+  };
+
+  const copyAToComparison = () => onComparisonChange({ ...params, co2Level });
+
+  // B becomes the dials' setup and the dials' setup becomes B
+  const swapWithComparison = () => {
+    const previous = { ...params, co2Level };
+    setFollowTimeline(false);
+    clearSelection();
+    onCo2Change(comparison.co2Level);
+    tweenTo(comparison);
+    onComparisonChange(previous);
+  };
+
+  // Today's climate at this latitude, for "why is it colder than now?"
+  const presentClimate = useMemo(() => {
+    if (!attributionOpen) return null;
+    return getClimateEngine(climateEngine).calculateAnnualMean({
+      ...PRESENT_DAY_PARAMS,
+      latitude,
+      tempOffset: 0,
+      feedbacks,
+    });
+  }, [attributionOpen, climateEngine, latitude, feedbacks]);
+
+  // A → B needs compare mode; fall back to the baseline view without it
+  const effectiveAttributionMode =
+    attributionMode === "comparison" && !comparisonClimate ? "baseline" : attributionMode;
+  const attributionModes = [
+    ATTRIBUTION_MODES.baseline,
+    ATTRIBUTION_MODES.today,
+    ...(comparisonClimate ? [ATTRIBUTION_MODES.comparison] : []),
+  ];
+  const attributionResult =
+    effectiveAttributionMode === "comparison" ? comparisonClimate : climate;
+  const attributionReference =
+    effectiveAttributionMode === "today"
+      ? presentClimate
+      : effectiveAttributionMode === "comparison"
+      ? climate
+      : null;
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const engine = getClimateEngine(climateEngine);
+      const baseParams = { latitude, tempOffset: 0, feedbacks };
+      setSeparation(
+        separateFactors({
+          reference: { ...PRESENT_DAY_PARAMS, co2Level },
+          target: { eccentricity, axialTilt, precession },
+          baseParams,
+          calculate: engine.calculateAnnualMean,
+        })
+      );
+      if (separationOpen && comparison && compareMode) {
+        // CO₂ joins the factors only when the two sides differ in it
+        const factors =
+          comparison.co2Level !== co2Level ? [...ORBITAL_FACTORS, "co2Level"] : ORBITAL_FACTORS;
+        setComparisonSeparation(
+          separateFactors({
+            reference: { eccentricity, axialTilt, precession, co2Level },
+            target: comparison,
+            factors,
+            baseParams,
+            calculate: engine.calculateAnnualMean,
+          })
+        );
+      }
+    }, SEPARATION_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [
+    eccentricity,
+    axialTilt,
+    precession,
+    co2Level,
+    latitude,
+    climateEngine,
+    feedbacks,
+    separationOpen,
+    compareMode,
+    comparison,
+  ]);
+
+  const ensembleSupported = getClimateEngine(climateEngine).supportsEnsemble;
+  const showUncertainty = uncertaintyOn && ensembleSupported;
+
+  useEffect(() => {
+    if (!showUncertainty) {
+      setEnsemble(null);
+      return undefined;
+    }
+    const timer = setTimeout(() => {
+      const engine = getClimateEngine(climateEngine);
+      setEnsemble(
+        runSensitivityEnsemble(
+          { latitude, eccentricity, axialTilt, precession, co2Level, tempOffset: 0, feedbacks },
+          { calculate: engine.calculateAnnualMean }
+        )
+      );
+    }, SEPARATION_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [showUncertainty, eccentricity, axialTilt, precession, co2Level, latitude, climateEngine, feedbacks]);
+
+  const effectiveSeparationMode = compareMode ? separationMode : "today";
+  const separationModes = [
+    { key: "today", label: "Today → now" },
+    ...(compareMode ? [{ key: "comparison", label: "A → B" }] : []),
+  ];
+
+  // Temperature along the whole scrubber span, for the timeline graph.
+  // Hundreds of model runs, so it starts once the dials settle and runs in
+  // short slices between frames; the previous series stays up meanwhile.
+  const [timelineSeries, setTimelineSeries] = useState(null);
+
+  useEffect(() => {
+    if (!graphOpen) {
+      setTimelineSeries(null);
+      return undefined;
+    }
+    const engine = getClimateEngine(climateEngine);
+    // One draw shared by every point keeps the band smooth along the timeline
+    const samples = showUncertainty ? sampleEnsembleMembers({ size: TIMELINE_ENSEMBLE_SIZE }) : null;
+    const orbits = calculateOrbitalTimeSeries(
+      TIMELINE_MIN_YEAR,
+      TIMELINE_MAX_YEAR,
+      engine.timelineStepYears
+    );
+    const points = [];
+    let timer = null;
+
+    const timelinePoint = (orbit) => {
+      const params = {
+        latitude,
+        eccentricity: orbit.eccentricity,
+        axialTilt: orbit.axialTilt,
+        precession: orbit.precession,
+        co2Level,
+        feedbacks,
+      };
+      const point = {
+        year: orbit.year,
+        temperature: engine.calculateTimelineMean(params).temperature,
+      };
+      if (!samples) return point;
+      const { members } = runSensitivityEnsemble(params, {
+        calculate: engine.calculateTimelineMean,
+        samples,
+      });
+      // Too few runs for a 5–95% range to mean much; show all of them
+      const temperatures = members.map((member) => member.temperature);
+      return { ...point, low: Math.min(...temperatures), high: Math.max(...temperatures) };
+    };
+
+    const computeSlice = () => {
+      const deadline = performance.now() + TIMELINE_SLICE_MS;
+      do {
+        points.push(timelinePoint(orbits[points.length]));
+      } while (points.length < orbits.length && performance.now() < deadline);
+      if (points.length < orbits.length) {
+        timer = setTimeout(computeSlice, 0);
+      } else {
+        setTimelineSeries(points);
+      }
+    };
+
+    timer = setTimeout(computeSlice, SEPARATION_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [graphOpen, showUncertainty, co2Level, climateEngine, latitude, feedbacks]);
+
   return (
-    <StorySection id={6} onInView={handleInView} className="!items-end pb-6 md:pb-10">
+    <StorySection id={PLAYGROUND_SECTION} onInView={handleInView} className="!items-end pb-6 md:pb-10">
       <div className="w-full md:pl-[42%] px-4 md:pr-10">
         <div className="observatory-panel p-4 md:p-5 space-y-3 md:space-y-4 max-w-xl ml-auto">
           <header className="flex items-start justify-between gap-3">
@@ -185,10 +571,25 @@ export function PlaygroundSection({
             </button>
           </header>
 
-          <div className="flex flex-wrap items-center gap-2">
-            <MissionChip temperature={temperature} />
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <MissionChip
+              missions={missions}
+              calibration={calibration}
+              context={missionContext}
+              onShowMe={showMissionSolution}
+              solving={solving}
+            />
+            <EngineToggle engine={climateEngine} onChange={onClimateEngineChange} />
           </div>
 
+          {solverNote && (
+            <p className="text-[11px] text-stardust-white/60 leading-snug" role="status">
+              {solverNote}
+            </p>
+          )}
+
+          <LatitudePicker latitude={latitude} onChange={onLatitudeChange} />
+
           <TemperaturePod
             temperature={temperature}
             iceFactor={iceFactor}
@@ -196,12 +597,31 @@ export function PlaygroundSection({
             axialTilt={axialTilt}
             precession={precession}
             focusedParam={focusedParam}
+            latitude={latitude}
+            calibration={calibration}
+            contributions={contributions}
+            separation={separation}
+            climate={climate}
+            ensemble={ensemble}
+          />
+
+          <TimelineScrubber
+            year={simulatedYear}
+            following={followTimeline}
+            onYearChange={handleYearInput}
+            onJump={jumpToYear}
+            onFollow={() => jumpToYear(simulatedYear)}
           />
 
+          <IceVolumeStrip year={simulatedYear} following={followTimeline} />
+
           <EraRibbon
             params={params}
             activeKey={activeEraKey}
             onSelect={applyEra}
+            savedClimates={library.entries}
+            activeSavedId={activeSavedId}
+            onSelectSaved={applySavedClimate}
           />
 
           <div className="space-y-2.5">
@@ -256,25 +676,216 @@ export function PlaygroundSection({
               onFocus={() => focusParam("precession")}
               onBlur={blurParam}
             />
+            <ParameterCard
+              kind="co2"
+              label="Greenhouse"
+              scienceName="CO₂"
+              value={co2Level}
+              onChange={onCo2Change}
+              min={150}
+              max={1200}
+              step={5}
+              todayValue={PREINDUSTRIAL_CO2}
+              todayLabel="pre-industrial"
+              presets={CO2_PRESETS}
+              formatValue={formatCO2}
+              describe={describeCO2}
+              focused={focusedParam === "co2"}
+              anyFocused={focusedParam !== null}
+              onFocus={() => focusParam("co2")}
+              onBlur={blurParam}
+            />
           </div>
 
           <div className="flex items-center justify-between gap-2 pt-1 border-t border-slate-blue/20">
-            <button
-              onClick={() => setGraphOpen((v) => !v)}
-              className="text-[11px] text-stardust-white/60 hover:text-pale-gold transition-colors"
-              aria-expanded={graphOpen}
-            >
-              {graphOpen ? "▾ Hide" : "▸ Show"} 200-year history
-            </button>
-            <button
-              onClick={handleSnapshot}
-              className="celestial-button text-[11px] py-1 px-2.5"
-            >
-              Name this climate →
-            </button>
+            <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+              <button
+                onClick={() => setGraphOpen((v) => !v)}
+                className="text-[11px] text-stardust-white/60 hover:text-pale-gold transition-colors"
+                aria-expanded={graphOpen}
+              >
+                {graphOpen ? "▾ Hide" : "▸ Show"} temperature timeline
+              </button>
+              <button
+                onClick={() => setLibraryOpen((v) => !v)}
+                className="text-[11px] text-stardust-white/60 hover:text-pale-gold transition-colors"
+                aria-expanded={libraryOpen}
+              >
+                {libraryOpen ? "▾" : "▸"} My climates ({library.entries.length})
+              </button>
+              <button
+                onClick={() => setMissionsOpen((v) => !v)}
+                className="text-[11px] text-stardust-white/60 hover:text-pale-gold transition-colors"
+                aria-expanded={missionsOpen}
+              >
+                {missionsOpen ? "▾" : "▸"} Missions
+              </button>
+              <button
+                onClick={() => setAttributionOpen((v) => !v)}
+                className="text-[11px] text-stardust-white/60 hover:text-pale-gold transition-colors"
+                aria-expanded={attributionOpen}
+              >
+                {attributionOpen ? "▾" : "▸"} Why this temperature?
+              </button>
+              <button
+                onClick={() => setSeparationOpen((v) => !v)}
+                className="text-[11px] text-stardust-white/60 hover:text-pale-gold transition-colors"
+                aria-expanded={separationOpen}
+              >
+                {separationOpen ? "▾" : "▸"} Which dial did it?
+              </button>
+              <button
+                onClick={() => onCompareModeChange(!compareMode)}
+                className="text-[11px] text-stardust-white/60 hover:text-pale-gold transition-colors"
+                aria-expanded={compareMode}
+              >
+                {compareMode ? "▾" : "▸"} A/B compare
+              </button>
+              <button
+                onClick={() => setFeedbacksOpen((v) => !v)}
+                className="text-[11px] text-stardust-white/60 hover:text-pale-gold transition-colors"
+                aria-expanded={feedbacksOpen}
+              >
+                {feedbacksOpen ? "▾" : "▸"} Advanced: feedbacks
+              </button>
+              <button
+                onClick={() => setUncertaintyOn((v) => !v)}
+                disabled={!ensembleSupported}
+                className="text-[11px] text-stardust-white/60 hover:text-pale-gold transition-colors disabled:opacity-40 disabled:hover:text-stardust-white/60"
+                aria-pressed={showUncertainty}
+                title={
+                  ensembleSupported
+                    ? "Rerun the model with CO₂ sensitivity, water-vapour, cloud and ice-albedo feedbacks sampled across their uncertain ranges"
+                    : "The energy balance model has no sampled feedbacks; switch to the simple model"
+                }
+              >
+                {showUncertainty ? "◉" : "○"} Uncertainty
+              </button>
+            </div>
+            <div className="flex items-center gap-1.5 shrink-0">
+              <button
+                onClick={copyLink}
+                className="text-[11px] text-stardust-white/60 hover:text-pale-gold transition-colors"
+                title="Copy a link that reopens this setup"
+              >
+                {linkCopied ? "Link copied ✓" : "Copy link"}
+              </button>
+              <button
+                onClick={() => setDraftName(nextClimateName(library.entries))}
+                className="celestial-button text-[11px] py-1 px-2.5"
+                title="Save this setup to My climates under a name"
+                aria-expanded={draftName !== null}
+              >
+                Name this climate →
+              </button>
+            </div>
           </div>
 
-          {graphOpen && showGraph && (
+          {draftName !== null && (
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                saveClimate();
+              }}
+              className="flex items-center gap-2"
+            >
+              <input
+                autoFocus
+                value={draftName}
+                onChange={(e) => setDraftName(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === "Escape") setDraftName(null);
+                }}
+                className="flex-1 min-w-0 text-xs bg-deep-space/70 text-pale-gold border border-antique-brass/50 rounded px-1.5 py-0.5 focus:outline-none"
+                aria-label="Name for this climate"
+              />
+              <button type="submit" className="celestial-button text-[10px] py-0.5 px-2">
+                Save
+              </button>
+              <button
+                type="button"
+                onClick={() => setDraftName(null)}
+                className="text-[10px] text-stardust-white/50 hover:text-pale-gold"
+              >
+                Cancel
+              </button>
+            </form>
+          )}
+
+          {libraryOpen && (
+            <ClimateLibraryPanel
+              entries={library.entries}
+              activeId={activeSavedId}
+              onLoad={applySavedClimate}
+              onRename={library.rename}
+              onDelete={(id) => {
+                library.remove(id);
+                if (id === activeSavedId) setActiveSavedId(null);
+              }}
+              onExport={library.exportJson}
+              onImport={library.importJson}
+            />
+          )}
+
+          {missionsOpen && <MissionPanel missions={missions} calibration={calibration} />}
+
+          {attributionOpen && (
+            <ForcingWaterfall
+              result={attributionResult}
+              reference={attributionReference}
+              labels={ATTRIBUTION_MODES[effectiveAttributionMode].labels}
+              modes={attributionModes}
+              mode={effectiveAttributionMode}
+              onModeChange={setAttributionMode}
+            />
+          )}
+
+          {separationOpen && (
+            <FactorSeparationPanel
+              separation={effectiveSeparationMode === "comparison" ? comparisonSeparation : separation}
+              referenceLabel={
+                effectiveSeparationMode === "comparison"
+                  ? "From setup A to setup B"
+                  : "From today's orbit to this one"
+              }
+              modes={separationModes}
+              mode={effectiveSeparationMode}
+              onModeChange={setSeparationMode}
+            />
+          )}
+
+          {feedbacksOpen && (
+            <FeedbackPanel
+              settings={feedbacks}
+              onChange={onFeedbacksChange}
+              result={climate}
+              supported={getClimateEngine(climateEngine).supportsFeedbacks}
+            />
+          )}
+
+          {compareMode && (
+            <ComparisonPanel
+              params={params}
+              co2Level={co2Level}
+              comparison={comparison}
+              climateA={climate}
+              climateB={comparisonClimate}
+              onComparisonChange={onComparisonChange}
+              onGlacial={() => onComparisonChange(createGlacialComparison())}
+              onCopyA={copyAToComparison}
+              onSwap={swapWithComparison}
+            />
+          )}
+
+          {graphOpen && showGraph && !timelineSeries && (
+            <div className="pt-1">
+              <div className="w-full h-[180px] flex items-center justify-center text-stardust-white/40 text-xs">
+                Computing timeline…
+              </div>
+            </div>
+          )}
+
+          {graphOpen && showGraph && timelineSeries && (
             <div className="pt-1">
               <Suspense
                 fallback={
@@ -291,7 +902,10 @@ export function PlaygroundSection({
                   iceFactor={iceFactor}
                   co2Level={co2Level}
                   simulatedYear={simulatedYear}
-                  formatNumber={formatNumber}
+                  timelineSeries={timelineSeries}
+                  bandLabel={showUncertainty ? `Shaded: lowest to highest of ${TIMELINE_ENSEMBLE_SIZE} runs` : null}
+                  showPlayhead={followTimeline}
+                  formatNumber={formatYear}
                   style={{ width: "100%", height: "180px" }}
                 />
               </Suspense>
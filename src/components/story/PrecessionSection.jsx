@@ -5,7 +5,7 @@ import { StorySlider } from "./StorySlider";
 import { CauseEffectCard } from "./CauseEffectCard";
 import { TemperatureIndicator } from "./TemperatureIndicator";
 
-export function PrecessionSection({ precession, onPrecessionChange, temperature, onInView }) {
+export function PrecessionSection({ precession, onPrecessionChange, temperature, climate, onInView }) {
   return (
     <StorySection id={4} onInView={onInView}>
       <div className="w-full max-w-lg px-4 md:px-12 py-4 md:py-8 md:ml-auto">
@@ -42,7 +42,7 @@ export function PrecessionSection({ precession, onPrecessionChange, temperature,
             formatValue={(nextValue) => `${nextValue.toFixed(0)}°`}
           />
 
-          <TemperatureIndicator temperature={temperature} />
+          <TemperatureIndicator temperature={temperature} climate={climate} />
 
           <div className="hidden md:block">
             <CauseEffectCard
@@ -1,5 +1,5 @@
 "use client";
-import React, { useState, useCallback, useEffect, Suspense, useRef } from "react";
+import React, { useState, useCallback, useEffect, useMemo, Suspense, useRef } from "react";
 import { useIsMobile } from "@/lib/useIsMobile";
 import { Canvas } from "@react-three/fiber";
 import { OrbitControls, PerspectiveCamera } from "@react-three/drei";
@@ -8,6 +8,7 @@ import * as THREE from "three";
 import { Sun } from "@/components/three/Sun";
 import { OrbitPath } from "@/components/three/OrbitPath";
 import { OrbitingEarth } from "@/components/three/OrbitingEarth";
+import { ComparisonOrbit } from "@/components/three/ComparisonOrbit";
 import { SceneEffects } from "@/components/three/SceneEffects";
 import { SceneController } from "./SceneController";
 import { StoryProgressBar } from "./StoryProgressBar";
@@ -21,28 +22,50 @@ import { CombinedSection } from "./CombinedSection";
 import { PlaygroundSection } from "./PlaygroundSection";
 import { ClosingSection } from "./ClosingSection";
 
+import { smoothTemperature } from "@/lib/temperatureUtils";
 import {
-  calculateGlobalTemperature,
-  smoothTemperature,
-} from "@/lib/temperatureUtils";
+  getClimateEngine,
+  calculateLatitudeCalibration,
+  DEFAULT_CLIMATE_ENGINE,
+} from "@/lib/climateEngines";
+import { DEFAULT_LATITUDE, clampLatitude } from "@/lib/referencePlaces";
+import { PREINDUSTRIAL_CO2, TODAY_ECC, TODAY_PREC, TODAY_TILT } from "@/lib/parameterCopy";
+import { decodeClimateState, hasClimateParameters } from "@/lib/urlState";
+import { createGlacialComparison } from "@/lib/climateComparison";
+import { ClimateInputError, createDiagnostics } from "@/lib/climateDiagnostics";
 
 import Link from "next/link";
 
 const TOTAL_SECTIONS = 8;
+// Real eccentricities leave the orbit nearly circular; stretch it so the
+// off-centre Sun and the perihelion speed-up are visible
+const ORBIT_EXAGGERATION = 3;
 
 export function StoryContainer() {
   // Orbital parameters
-  const [eccentricity, setEccentricity] = useState(0.0167);
-  const [axialTilt, setAxialTilt] = useState(23.44);
-  const [precession, setPrecession] = useState(0);
+  const [eccentricity, setEccentricity] = useState(TODAY_ECC);
+  const [axialTilt, setAxialTilt] = useState(TODAY_TILT);
+  const [precession, setPrecession] = useState(TODAY_PREC);
 
   // Climate state
   const [temperature, setTemperature] = useState(10);
   const [displayedTemp, setDisplayedTemp] = useState(10);
   const [iceFactor, setIceFactor] = useState(0);
-  const [co2Level] = useState(280);
+  const [co2Level, setCo2Level] = useState(PREINDUSTRIAL_CO2);
+  // Orbital and CO₂ shares of the change from today's climate
+  const [contributions, setContributions] = useState({ orbital: 0, co2: 0 });
+  const [climateEngine, setClimateEngine] = useState(DEFAULT_CLIMATE_ENGINE);
+  const [latitude, setLatitude] = useState(DEFAULT_LATITUDE);
+  // Full engine result for the current setup, with every component effect
+  const [climate, setClimate] = useState(null);
+  // Feedback registry settings: { [feedbackKey]: { enabled, ...parameters } }
+  const [feedbacks, setFeedbacks] = useState({});
 
-  // Simulation state
+  // Compare mode: a second setup (B) drawn alongside the current one (A)
+  const [compareMode, setCompareMode] = useState(false);
+  const [comparison, setComparison] = useState(createGlacialComparison);
+
+  // Timeline state — year relative to 1950 CE (negative = past)
   const [simulatedYear, setSimulatedYear] = useState(0);
 
   // Section tracking
@@ -59,38 +82,97 @@ export function StoryContainer() {
     showAxis: false,
   });
 
+  // True when the page was opened from a link that sets the parameters,
+  // so the playground keeps them instead of following the timeline
+  const [restoredFromUrl, setRestoredFromUrl] = useState(false);
+
   const isMobile = useIsMobile();
 
+  // Restore a shared configuration from the URL once on load
+  useEffect(() => {
+    const state = decodeClimateState(window.location.search);
+    if (state.eccentricity !== undefined) setEccentricity(state.eccentricity);
+    if (state.axialTilt !== undefined) setAxialTilt(state.axialTilt);
+    if (state.precession !== undefined) setPrecession(state.precession);
+    if (state.co2Level !== undefined) setCo2Level(state.co2Level);
+    if (state.latitude !== undefined) setLatitude(clampLatitude(state.latitude));
+    if (hasClimateParameters(state)) setRestoredFromUrl(true);
+    if (state.section !== undefined) {
+      requestAnimationFrame(() => {
+        document.getElementById(`section-${state.section}`)?.scrollIntoView();
+      });
+    }
+  }, []);
+
   // Earth group ref for positioning
   const earthGroupRef = useRef();
 
   // Derive season from current state
   const isPlaygroundSection = currentSection === 6;
 
+  // Today's temperature at the chosen latitude and the range the orbital
+  // sliders reach with pre-industrial CO₂
+  const calibration = useMemo(
+    () => calculateLatitudeCalibration(climateEngine, latitude, PREINDUSTRIAL_CO2, feedbacks),
+    [climateEngine, latitude, feedbacks]
+  );
+
   // Calculate temperature whenever params change.
-  // Always use annual mean at 65°N (the Milankovitch-critical latitude) —
-  // averaging across 4 seasons captures the full orbital forcing signal and
-  // gives a stable reading that only changes when the user moves a slider.
+  // Annual mean at the chosen latitude (65°N, the Milankovitch-critical
+  // latitude, by default) — averaging across 4 seasons captures the full
+  // orbital forcing signal and gives a stable reading that only changes when
+  // the user moves a slider.
   useEffect(() => {
-    const seasons = [0, 0.25, 0.5, 0.75];
-    let totalTemp = 0;
-    let totalIce = 0;
-    for (const s of seasons) {
-      const data = calculateGlobalTemperature({
-        latitude: 65,
-        season: s,
-        eccentricity,
-        axialTilt,
-        precession,
-        co2Level,
-        tempOffset: 0,
-      });
-      totalTemp += data.temperature;
-      totalIce += data.iceFactor;
+    const engine = getClimateEngine(climateEngine);
+    const params = { latitude, eccentricity, axialTilt, precession, tempOffset: 0, feedbacks };
+    let data;
+    let orbitOnly;
+    try {
+      data = engine.calculateAnnualMean({ ...params, co2Level });
+      // Same orbit with pre-industrial air isolates the CO₂ share
+      orbitOnly =
+        co2Level === PREINDUSTRIAL_CO2
+          ? data
+          : engine.calculateAnnualMean({ ...params, co2Level: PREINDUSTRIAL_CO2 });
+    } catch (error) {
+      if (!(error instanceof ClimateInputError)) throw error;
+      // Inputs the model refuses (e.g. from a restored setup) keep the last
+      // reading on screen, marked so the status badge explains why
+      setClimate((previous) => ({
+        temperature: calibration.baseline,
+        iceFactor: 0,
+        ...previous,
+        calculationError: true,
+        diagnostics: { ...createDiagnostics(), fallback: true, errors: [error.message] },
+      }));
+      return;
+    }
+    setTemperature(data.temperature);
+    setIceFactor(data.iceFactor);
+    setClimate(data);
+    setContributions({
+      orbital: orbitOnly.temperature - calibration.baseline,
+      co2: data.temperature - orbitOnly.temperature,
+    });
+  }, [eccentricity, axialTilt, precession, co2Level, climateEngine, latitude, calibration, feedbacks]);
+
+  // Setup B runs through the same engine at the same latitude, so only the
+  // parameters differ between the two sides
+  const comparisonClimate = useMemo(() => {
+    if (!compareMode) return null;
+    const engine = getClimateEngine(climateEngine);
+    try {
+      return engine.calculateAnnualMean({ ...comparison, latitude, tempOffset: 0, feedbacks });
+    } catch (error) {
+      if (!(error instanceof ClimateInputError)) throw error;
+      // An unusable setup B hides the comparison rather than the page
+      return null;
     }
-    setTemperature(totalTemp / seasons.length);
-    setIceFactor(totalIce / seasons.length);
-  }, [eccentricity, axialTilt, precession, co2Level]);
+  }, [compareMode, comparison, climateEngine, latitude, feedbacks]);
+
+  const handleLatitudeChange = useCallback((value) => {
+    setLatitude(clampLatitude(value));
+  }, []);
 
   // Smooth temperature display using rAF
   const displayedTempRef = useRef(10);
@@ -116,21 +198,6 @@ export function StoryContainer() {
     return () => cancelAnimationFrame(frame);
   }, [temperature]);
 
-  // Simple year counter for playground
-  useEffect(() => {
-    if (currentSection !== 6) return;
-    let frame;
-    let last = performance.now();
-    const tick = (now) => {
-      const delta = now - last;
-      last = now;
-      setSimulatedYear((prev) => prev + delta * 0.1);
-      frame = requestAnimationFrame(tick);
-    };
-    frame = requestAnimationFrame(tick);
-    return () => cancelAnimationFrame(frame);
-  }, [currentSection]);
-
   const handleSectionInView = useCallback((id) => {
     setCurrentSection(id);
   }, []);
@@ -149,16 +216,9 @@ export function StoryContainer() {
     []
   );
 
-  const formatNumber = (num) => {
-    if (!isFinite(num) || Math.abs(num) > 1e21) return "0 years";
-    const absNum = Math.abs(num);
-    if (absNum >= 1000000) return `${(absNum / 1000000).toFixed(1)}M years`;
-    if (absNum >= 1000) return `${(absNum / 1000).toFixed(1)}k years`;
-    return `${Math.round(absNum)} years`;
-  };
-
   const isPlayground = currentSection === 6;
   const effectiveFocus = isPlayground ? focusedParam : null;
+  const showComparison = isPlayground && compareMode && comparisonClimate;
 
   return (
     <div className="relative">
@@ -201,9 +261,11 @@ export function StoryContainer() {
             {sceneConfig.showOrbit && (
               <OrbitPath
                 eccentricity={eccentricity}
+                precession={precession}
                 showLabels={currentSection >= 4}
                 currentSection={currentSection}
                 spotlight={effectiveFocus}
+                exaggeration={ORBIT_EXAGGERATION}
               />
             )}
             <OrbitingEarth
@@ -215,7 +277,28 @@ export function StoryContainer() {
               showAxis={sceneConfig.showAxis}
               currentSection={currentSection}
               spotlight={effectiveFocus}
+              exaggeration={ORBIT_EXAGGERATION}
+              markedLatitude={isPlayground ? latitude : null}
+              onSelectLatitude={isPlayground ? handleLatitudeChange : undefined}
             />
+            {showComparison && (
+              <>
+                <ComparisonOrbit
+                  eccentricity={comparison.eccentricity}
+                  exaggeration={ORBIT_EXAGGERATION}
+                />
+                <OrbitingEarth
+                  eccentricity={comparison.eccentricity}
+                  axialTilt={comparison.axialTilt}
+                  precession={comparison.precession}
+                  iceFactor={comparisonClimate.iceFactor}
+                  showAxis={sceneConfig.showAxis}
+                  currentSection={currentSection}
+                  exaggeration={ORBIT_EXAGGERATION}
+                  phaseOffset={Math.PI}
+                />
+              </>
+            )}
             {/* OrbitControls only in playground */}
             {isPlayground && (
               <OrbitControls
@@ -285,18 +368,21 @@ export function StoryContainer() {
           eccentricity={eccentricity}
           onEccentricityChange={setEccentricity}
           temperature={temperature}
+          climate={climate}
           onInView={handleSectionInView}
         />
         <AxialTiltSection
           axialTilt={axialTilt}
           onAxialTiltChange={setAxialTilt}
           temperature={temperature}
+          climate={climate}
           onInView={handleSectionInView}
         />
         <PrecessionSection
           precession={precession}
           onPrecessionChange={setPrecession}
           temperature={temperature}
+          climate={climate}
           onInView={handleSectionInView}
         />
         <CombinedSection
@@ -314,13 +400,29 @@ export function StoryContainer() {
           onAxialTiltChange={setAxialTilt}
           onPrecessionChange={setPrecession}
           simulatedYear={simulatedYear}
+          onYearChange={setSimulatedYear}
           co2Level={co2Level}
+          onCo2Change={setCo2Level}
+          contributions={contributions}
+          climate={climate}
+          compareMode={compareMode}
+          onCompareModeChange={setCompareMode}
+          comparison={comparison}
+          comparisonClimate={comparisonClimate}
+          onComparisonChange={setComparison}
+          climateEngine={climateEngine}
+          onClimateEngineChange={setClimateEngine}
+          feedbacks={feedbacks}
+          onFeedbacksChange={setFeedbacks}
+          latitude={latitude}
+          onLatitudeChange={handleLatitudeChange}
+          calibration={calibration}
           displayedTemp={displayedTemp}
-          formatNumber={formatNumber}
           onInView={handleSectionInView}
           focusedParam={focusedParam}
           onFocusParamChange={setFocusedParam}
           onSnapshot={setSnapshot}
+          restoredFromUrl={restoredFromUrl}
         />
         <ClosingSection onInView={handleSectionInView} snapshot={snapshot} />
       </div>
@@ -1,6 +1,7 @@
 "use client";
 import React, { useRef, useEffect, useState } from "react";
 import { normalizeTemperature } from "@/lib/temperatureUtils";
+import { ModelStatusBadge } from "./ModelStatusBadge";
 
 function TemperatureIcon({ temperature }) {
   // Abstract SVG icons that match the observatory aesthetic
@@ -48,7 +49,7 @@ function TemperatureIcon({ temperature }) {
   );
 }
 
-export function TemperatureIndicator({ temperature }) {
+export function TemperatureIndicator({ temperature, climate }) {
   // Normalize between roughly -5C and 20C range
   const norm = normalizeTemperature(temperature, -5, 20);
   const clampedNorm = Math.max(0, Math.min(1, norm));
@@ -101,6 +102,8 @@ export function TemperatureIndicator({ temperature }) {
         <span className="text-sm text-stardust-white opacity-60">{getLabel()}</span>
       </div>
 
+      <ModelStatusBadge result={climate} />
+
       {/* Gradient bar — uses celestial palette */}
       <div
         className="h-2.5 rounded-full overflow-hidden relative"
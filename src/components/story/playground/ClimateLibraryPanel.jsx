@@ -0,0 +1,168 @@
+"use client";
+import React, { useRef, useState } from "react";
+import { ERAS } from "@/lib/eraLookup";
+import { formatLatitude, formatCO2 } from "@/lib/parameterCopy";
+
+function EntryRow({ entry, isActive, onLoad, onRename, onDelete }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(entry.name);
+  const era = entry.eraKey ? ERAS[entry.eraKey] : null;
+  const { params } = entry;
+
+  const commit = () => {
+    onRename(entry.id, draft);
+    setEditing(false);
+  };
+
+  return (
+    <li
+      className={[
+        "flex items-center gap-2 rounded-md border px-2 py-1.5",
+        isActive ? "border-antique-brass/60 bg-antique-brass/10" : "border-slate-blue/20",
+      ].join(" ")}
+    >
+      <div className="flex-1 min-w-0">
+        {editing ? (
+          <input
+            autoFocus
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={commit}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") commit();
+              if (e.key === "Escape") {
+                setDraft(entry.name);
+                setEditing(false);
+              }
+            }}
+            className="w-full text-xs bg-deep-space/70 text-pale-gold border border-antique-brass/50 rounded px-1.5 py-0.5 focus:outline-none"
+            aria-label="Climate name"
+          />
+        ) : (
+          <button
+            type="button"
+            onClick={() => onLoad(entry)}
+            className="block w-full text-left text-xs text-stardust-white hover:text-pale-gold truncate"
+            title="Load this climate"
+          >
+            {entry.name}
+          </button>
+        )}
+        <div className="text-[10px] font-mono text-stardust-white/40 truncate">
+          {entry.temperature !== null ? `${entry.temperature.toFixed(1)}°C` : "—"}
+          {params.latitude !== undefined ? ` · ${formatLatitude(params.latitude)}` : ""}
+          {params.co2Level !== undefined ? ` · ${formatCO2(params.co2Level)}` : ""}
+          {era ? ` · near ${era.name}` : ""}
+        </div>
+      </div>
+      <button
+        type="button"
+        onClick={() => {
+          setDraft(entry.name);
+          setEditing(true);
+        }}
+        className="text-[10px] text-stardust-white/50 hover:text-pale-gold"
+        aria-label={`Rename ${entry.name}`}
+      >
+        Rename
+      </button>
+      <button
+        type="button"
+        onClick={() => onDelete(entry.id)}
+        className="text-[10px] text-stardust-white/50 hover:text-temp-warm"
+        aria-label={`Delete ${entry.name}`}
+      >
+        ✕
+      </button>
+    </li>
+  );
+}
+
+export function ClimateLibraryPanel({
+  entries,
+  activeId,
+  onLoad,
+  onRename,
+  onDelete,
+  onExport,
+  onImport,
+}) {
+  const fileInputRef = useRef(null);
+  const [message, setMessage] = useState(null);
+
+  const handleExport = () => {
+    const blob = new Blob([onExport()], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "milankovitch-climates.json";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const result = onImport(await file.text());
+    if (result.error) {
+      setMessage(result.error);
+    } else {
+      const skipped = result.skipped ? `, ${result.skipped} skipped` : "";
+      setMessage(`Imported ${result.imported}${skipped}`);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      {entries.length === 0 ? (
+        <p className="text-[11px] text-stardust-white/50">
+          Nothing saved yet — “Name this climate” adds the current setup here.
+        </p>
+      ) : (
+        <ul className="space-y-1.5 max-h-48 overflow-y-auto">
+          {entries.map((entry) => (
+            <EntryRow
+              key={entry.id}
+              entry={entry}
+              isActive={entry.id === activeId}
+              onLoad={onLoad}
+              onRename={onRename}
+              onDelete={onDelete}
+            />
+          ))}
+        </ul>
+      )}
+
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={handleExport}
+          disabled={entries.length === 0}
+          className="celestial-button text-[10px] py-0.5 px-2 disabled:opacity-40"
+        >
+          Export JSON
+        </button>
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          className="celestial-button text-[10px] py-0.5 px-2"
+        >
+          Import JSON
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleFile}
+          className="hidden"
+        />
+        {message && (
+          <span className="text-[10px] font-mono text-stardust-white/50" role="status">
+            {message}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+"use client";
+import React, { useMemo } from "react";
+import { CycleComparisonPanel } from "@/components/CycleComparisonPanel";
+import { compareClimates } from "@/lib/climateComparison";
+import { CO2_PRESETS, formatCO2 } from "@/lib/parameterCopy";
+import { ModelStatusBadge } from "../ModelStatusBadge";
+
+function formatValue(value, unit) {
+  return unit ? `${value.toFixed(1)}${unit}` : value.toFixed(2);
+}
+
+function formatDifference(value, unit) {
+  const sign = value > 0 ? "+" : value < 0 ? "−" : "±";
+  const magnitude = Math.abs(value);
+  return unit ? `${sign}${magnitude.toFixed(1)}${unit}` : `${sign}${magnitude.toFixed(2)}`;
+}
+
+// Warmer is warm-coloured; for the ice factor more ice is the cold direction
+function differenceTone(key, difference) {
+  if (Math.abs(difference) < 0.05) return "text-stardust-white/50";
+  const warmer = key === "iceFactor" ? difference < 0 : difference > 0;
+  return warmer ? "text-temp-warm" : "text-temp-cold";
+}
+
+export function ComparisonPanel({
+  params,
+  co2Level,
+  comparison,
+  climateA,
+  climateB,
+  onComparisonChange,
+  onGlacial,
+  onCopyA,
+  onSwap,
+}) {
+  const rows = useMemo(
+    () => (climateA && climateB ? compareClimates(climateA, climateB) : []),
+    [climateA, climateB]
+  );
+
+  const setField = (field) => (value) =>
+    onComparisonChange({ ...comparison, [field]: value });
+
+  return (
+    <div className="space-y-3 rounded-md border border-slate-blue/30 p-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <span className="flex items-center gap-2 font-mono text-[10px] uppercase tracking-wider text-stardust-white/60">
+          Setup B · blue orbit
+          <ModelStatusBadge result={climateB} />
+        </span>
+        <div className="flex gap-1.5">
+          <button type="button" onClick={onGlacial} className="celestial-button text-[10px] py-0.5 px-2">
+            Ice age (LGM)
+          </button>
+          <button type="button" onClick={onCopyA} className="celestial-button text-[10px] py-0.5 px-2">
+            Copy A
+          </button>
+          <button type="button" onClick={onSwap} className="celestial-button text-[10px] py-0.5 px-2">
+            Swap A ↔ B
+          </button>
+        </div>
+      </div>
+
+      <CycleComparisonPanel
+        eccentricity={comparison.eccentricity}
+        axialTilt={comparison.axialTilt}
+        precession={comparison.precession}
+        baselineEccentricity={params.eccentricity}
+        baselineAxialTilt={params.axialTilt}
+        baselinePrecession={params.precession}
+        onEccentricityChange={setField("eccentricity")}
+        onAxialTiltChange={setField("axialTilt")}
+        onPrecessionChange={setField("precession")}
+      />
+
+      <div className="flex flex-wrap items-center gap-1.5">
+        <span className="font-mono text-[10px] uppercase tracking-wider text-stardust-white/60 mr-1">
+          CO₂ B
+        </span>
+        {CO2_PRESETS.map((preset) => {
+          const active = comparison.co2Level === preset.value;
+          return (
+            <button
+              key={preset.key}
+              type="button"
+              onClick={() => setField("co2Level")(preset.value)}
+              className={[
+                "text-[10px] rounded-full border px-2 py-0.5 transition-colors",
+                active
+                  ? "border-antique-brass/70 text-pale-gold bg-antique-brass/15"
+                  : "border-slate-blue/40 text-stardust-white/60 hover:text-pale-gold",
+              ].join(" ")}
+              title={preset.title}
+            >
+              {preset.label}
+            </button>
+          );
+        })}
+        <span className="text-[10px] font-mono text-stardust-white/40 ml-auto">
+          A: {formatCO2(co2Level)}
+        </span>
+      </div>
+
+      <table className="w-full text-[11px] font-mono">
+        <thead>
+          <tr className="text-[10px] uppercase tracking-wider text-stardust-white/50">
+            <th className="text-left font-normal pb-1">Effect</th>
+            <th className="text-right font-normal pb-1">A</th>
+            <th className="text-right font-normal pb-1">B</th>
+            <th className="text-right font-normal pb-1">B − A</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr
+              key={row.key}
+              className={row.key === "temperature" ? "text-pale-gold" : "text-stardust-white/80"}
+            >
+              <td className="py-0.5">{row.label}</td>
+              <td className="text-right">{formatValue(row.a, row.unit)}</td>
+              <td className="text-right">{formatValue(row.b, row.unit)}</td>
+              <td className={`text-right ${differenceTone(row.key, row.difference)}`}>
+                {formatDifference(row.difference, row.unit)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+"use client";
+import React from "react";
+import { CLIMATE_ENGINES, CLIMATE_ENGINE_ORDER } from "@/lib/climateEngines";
+
+export function EngineToggle({ engine, onChange }) {
+  return (
+    <div className="flex items-center gap-1.5" role="radiogroup" aria-label="Climate model">
+      <span className="text-[10px] font-mono uppercase tracking-wider text-pale-gold/50">
+        Model
+      </span>
+      {CLIMATE_ENGINE_ORDER.map((key) => {
+        const option = CLIMATE_ENGINES[key];
+        const isActive = engine === key;
+        return (
+          <button
+            key={key}
+            type="button"
+            role="radio"
+            aria-checked={isActive}
+            onClick={() => onChange(key)}
+            title={option.description}
+            className={[
+              "text-[10px] font-mono px-2 py-0.5 rounded-full border transition-colors",
+              isActive
+                ? "border-antique-brass/70 text-pale-gold bg-antique-brass/15"
+                : "border-slate-blue/40 text-stardust-white/60 hover:text-pale-gold",
+            ].join(" ")}
+          >
+            {option.name}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
@@ -7,12 +7,23 @@ import {
   findNearestEra,
 } from "@/lib/eraLookup";
 
-export function EraRibbon({ params, activeKey, onSelect }) {
+// Places a point on the ribbon track, matching the era buttons' inset
+const trackLeft = (position) =>
+  `calc(${(position / (ERA_ORDER.length - 1)) * 100}% * (100% - 16px) / 100% + 8px)`;
+
+export function EraRibbon({
+  params,
+  activeKey,
+  onSelect,
+  savedClimates = [],
+  activeSavedId = null,
+  onSelectSaved,
+}) {
   const position = eraPlayheadPosition(params);
-  const nearestKey = findNearestEra(params, 0.04);
+  const nearestKey = activeSavedId ? null : findNearestEra(params, 0.04);
   const displayKey = activeKey || nearestKey;
   const displayEra = displayKey ? ERAS[displayKey] : null;
-  const leftPct = (position / (ERA_ORDER.length - 1)) * 100;
+  const activeSaved = savedClimates.find((entry) => entry.id === activeSavedId);
 
   return (
     <div className="w-full">
@@ -20,7 +31,9 @@ export function EraRibbon({ params, activeKey, onSelect }) {
         <span className="text-[10px] font-mono uppercase tracking-wider text-pale-gold/50">
           Jump through time
         </span>
-        {displayEra && (
+        {activeSaved ? (
+          <span className="text-[10px] font-mono text-pale-gold/70">{activeSaved.name}</span>
+        ) : displayEra && (
           <span className="text-[10px] font-mono text-pale-gold/70">
             {nearestKey && !activeKey ? `like ${displayEra.shortLabel}` : displayEra.shortLabel}
           </span>
@@ -30,9 +43,26 @@ export function EraRibbon({ params, activeKey, onSelect }) {
       <div className="relative h-10">
         <div className="absolute inset-x-2 top-1/2 h-[2px] bg-gradient-to-r from-slate-blue/30 via-antique-brass/40 to-slate-blue/30 -translate-y-1/2 rounded-full" />
 
+        {/* Saved climates sit on the same track as the eras they resemble */}
+        {savedClimates.map((entry) => (
+          <div
+            key={entry.id}
+            className="absolute top-1/2 -translate-y-[9px] pointer-events-none"
+            style={{ left: trackLeft(eraPlayheadPosition(entry.params)) }}
+            aria-hidden
+          >
+            <div
+              className={[
+                "w-1.5 h-1.5 rotate-45 -translate-x-1/2",
+                entry.id === activeSavedId ? "bg-pale-gold" : "bg-stardust-white/40",
+              ].join(" ")}
+            />
+          </div>
+        ))}
+
         <div
           className="absolute top-1/2 -translate-y-1/2 pointer-events-none transition-all duration-300 ease-out"
-          style={{ left: `calc(${leftPct}% * (100% - 16px) / 100% + 8px)` }}
+          style={{ left: trackLeft(position) }}
           aria-hidden
         >
           <div className="w-3 h-3 rounded-full bg-antique-brass border border-stardust-white/40 shadow-[0_0_8px_hsla(36,60%,58%,0.8)] -translate-x-1/2" />
@@ -81,7 +111,35 @@ export function EraRibbon({ params, activeKey, onSelect }) {
         </div>
       </div>
 
-      {displayEra && (
+      {savedClimates.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1.5 mt-1.5">
+          <span className="text-[10px] font-mono uppercase tracking-wider text-pale-gold/50">
+            Yours
+          </span>
+          {savedClimates.map((entry) => {
+            const isActive = entry.id === activeSavedId;
+            return (
+              <button
+                key={entry.id}
+                type="button"
+                onClick={() => onSelectSaved?.(entry)}
+                aria-pressed={isActive}
+                title={entry.temperature !== null ? `${entry.temperature.toFixed(1)}°C` : undefined}
+                className={[
+                  "text-[10px] font-mono px-2 py-0.5 rounded-full border transition-colors max-w-[10rem] truncate",
+                  isActive
+                    ? "border-antique-brass/70 text-pale-gold bg-antique-brass/15"
+                    : "border-slate-blue/40 text-stardust-white/60 hover:text-pale-gold",
+                ].join(" ")}
+              >
+                ◆ {entry.name}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {displayEra && !activeSaved && (
         <p className="text-[11px] text-stardust-white/60 leading-snug mt-1.5">
           {displayEra.description}
         </p>
@@ -0,0 +1,82 @@
+"use client";
+import React from "react";
+import { PARAMETER_LABELS } from "@/lib/parameterCopy";
+
+function formatSigned(value) {
+  const shown = Math.abs(value) < 0.005 ? 0 : value;
+  const sign = shown > 0 ? "+" : shown < 0 ? "−" : "±";
+  return `${sign}${Math.abs(shown).toFixed(2)}°C`;
+}
+
+function tone(value) {
+  if (Math.abs(value) < 0.05) return "text-stardust-white/50";
+  return value > 0 ? "text-temp-warm" : "text-temp-cold";
+}
+
+function termLabel(factors) {
+  return factors.map((factor) => PARAMETER_LABELS[factor] || factor).join(" × ");
+}
+
+export function FactorSeparationPanel({ separation, modes = [], mode, onModeChange, referenceLabel }) {
+  return (
+    <div className="space-y-2">
+      {modes.length > 1 && (
+        <div className="flex flex-wrap gap-1.5" role="radiogroup" aria-label="Measure from">
+          {modes.map(({ key, label }) => (
+            <button
+              key={key}
+              type="button"
+              role="radio"
+              aria-checked={key === mode}
+              onClick={() => onModeChange(key)}
+              className={[
+                "text-[10px] rounded-full border px-2 py-0.5 transition-colors",
+                key === mode
+                  ? "border-antique-brass/70 text-pale-gold bg-antique-brass/15"
+                  : "border-slate-blue/40 text-stardust-white/60 hover:text-pale-gold",
+              ].join(" ")}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {!separation ? (
+        <p className="text-[11px] text-stardust-white/50">Separating…</p>
+      ) : (
+        <>
+          <p className="text-[11px] text-stardust-white/60 leading-snug">
+            {referenceLabel}: {formatSigned(separation.total)} in all, from{" "}
+            {separation.runs} model runs that switch each dial on alone and in
+            every combination.
+          </p>
+          <table className="w-full text-[11px] font-mono">
+            <tbody>
+              {Object.entries(separation.pure).map(([factor, value]) => (
+                <tr key={factor} className="text-stardust-white/80">
+                  <td className="py-0.5">{PARAMETER_LABELS[factor] || factor} alone</td>
+                  <td className={`text-right ${tone(value)}`}>{formatSigned(value)}</td>
+                </tr>
+              ))}
+              {separation.interactions.map((term) => (
+                <tr key={term.factors.join("-")} className="text-stardust-white/50">
+                  <td className="py-0.5">{termLabel(term.factors)}</td>
+                  <td className={`text-right ${tone(term.value)}`}>{formatSigned(term.value)}</td>
+                </tr>
+              ))}
+              <tr className="text-pale-gold border-t border-slate-blue/20">
+                <td className="pt-1">Total</td>
+                <td className="pt-1 text-right">{formatSigned(separation.total)}</td>
+              </tr>
+            </tbody>
+          </table>
+          <p className="text-[10px] text-stardust-white/40 leading-snug">
+            Mixed rows are what two or more dials do together beyond their
+            separate effects (Stein &amp; Alpert factor separation).
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+"use client";
+import React from "react";
+import { CLIMATE_FEEDBACKS, FEEDBACK_ORDER, feedbackEffectKey } from "@/lib/climateFeedbacks";
+
+function formatSigned(value) {
+  const shown = Math.abs(value) < 0.005 ? 0 : value;
+  const sign = shown > 0 ? "+" : shown < 0 ? "−" : "±";
+  return `${sign}${Math.abs(shown).toFixed(2)}°C`;
+}
+
+function tone(value) {
+  if (Math.abs(value) < 0.05) return "text-stardust-white/50";
+  return value > 0 ? "text-temp-warm" : "text-temp-cold";
+}
+
+// Switch and tune the feedback registry; each row shows what the feedback
+// adds to the current reading.
+export function FeedbackPanel({ settings, onChange, result, supported = true }) {
+  if (!supported) {
+    return (
+      <p className="text-[11px] text-stardust-white/50 leading-snug">
+        The energy balance model works out its feedbacks from its own physics.
+        Switch to the simple model to toggle them one by one.
+      </p>
+    );
+  }
+
+  const update = (key, change) => onChange({ ...settings, [key]: { ...settings[key], ...change } });
+
+  return (
+    <div className="space-y-2">
+      <ul className="space-y-1.5">
+        {FEEDBACK_ORDER.map((key) => {
+          const feedback = CLIMATE_FEEDBACKS[key];
+          const enabled = settings[key]?.enabled ?? feedback.defaultEnabled;
+          const effect = result?.[feedbackEffectKey(key)] ?? 0;
+          return (
+            <li key={key} className="space-y-1">
+              <div className="flex items-center justify-between gap-2 text-[11px]">
+                <label className="flex items-center gap-1.5 text-stardust-white/80" title={feedback.description}>
+                  <input
+                    type="checkbox"
+                    checked={enabled}
+                    onChange={(event) => update(key, { enabled: event.target.checked })}
+                    className="accent-antique-brass"
+                  />
+                  {feedback.name}
+                </label>
+                <span className={`font-mono ${enabled ? tone(effect) : "text-stardust-white/30"}`}>
+                  {enabled ? formatSigned(effect) : "off"}
+                </span>
+              </div>
+              {enabled &&
+                Object.entries(feedback.parameters).map(([name, spec]) => {
+                  const value = settings[key]?.[name] ?? spec.defaultValue;
+                  return (
+                    <label
+                      key={name}
+                      className="flex items-center gap-2 pl-5 text-[10px] text-stardust-white/50"
+                    >
+                      <span className="w-28 shrink-0 truncate">{spec.label}</span>
+                      <input
+                        type="range"
+                        min={spec.min}
+                        max={spec.max}
+                        step={spec.step}
+                        value={value}
+                        onChange={(event) => update(key, { [name]: Number(event.target.value) })}
+                        className="flex-1 accent-antique-brass"
+                      />
+                      <span className="w-16 text-right font-mono text-pale-gold/70">
+                        {value}
+                        {spec.unit ? ` ${spec.unit}` : ""}
+                      </span>
+                    </label>
+                  );
+                })}
+            </li>
+          );
+        })}
+      </ul>
+      <div className="flex items-center justify-between gap-2">
+        <p className="text-[10px] text-stardust-white/40 leading-snug">
+          Annual-mean contributions at equilibrium, including the slow
+          ones (ice, vegetation, permafrost).
+        </p>
+        <button
+          type="button"
+          onClick={() => onChange({})}
+          className="text-[10px] text-stardust-white/60 hover:text-pale-gold transition-colors shrink-0"
+        >
+          Defaults ↺
+        </button>
+      </div>
+    </div>
+  );
+}
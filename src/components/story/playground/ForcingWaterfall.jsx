@@ -0,0 +1,128 @@
+"use client";
+import React, { useMemo } from "react";
+import { buildAttributionSteps } from "@/lib/forcingAttribution";
+
+function formatSigned(value) {
+  const sign = value > 0 ? "+" : value < 0 ? "−" : "±";
+  return `${sign}${Math.abs(value).toFixed(1)}°`;
+}
+
+// One row per bar; totals hang from 0°C, component steps float between
+// the running totals before and after them
+function WaterfallRow({ label, from, to, total, toX, detail }) {
+  const left = Math.min(toX(from), toX(to));
+  const width = Math.max(Math.abs(toX(to) - toX(from)), 0.6);
+  const tone = total
+    ? "bg-antique-brass/70"
+    : to >= from
+    ? "bg-temp-warm/80"
+    : "bg-temp-cold/80";
+
+  return (
+    <div className="flex items-center gap-2">
+      <span
+        className={[
+          "w-24 shrink-0 truncate text-[10px]",
+          total ? "text-pale-gold" : "text-stardust-white/70",
+        ].join(" ")}
+      >
+        {label}
+      </span>
+      <div className="relative flex-1 h-3">
+        <div
+          className={`absolute top-0 bottom-0 rounded-sm ${tone}`}
+          style={{ left: `${left}%`, width: `${width}%` }}
+        />
+      </div>
+      <span
+        className={[
+          "w-12 shrink-0 text-right text-[10px] font-mono",
+          total ? "text-pale-gold" : "text-stardust-white/60",
+        ].join(" ")}
+      >
+        {detail}
+      </span>
+    </div>
+  );
+}
+
+export function ForcingWaterfall({ result, reference = null, labels, modes = [], mode, onModeChange }) {
+  const attribution = useMemo(
+    () => (result ? buildAttributionSteps(result, reference, labels) : null),
+    [result, reference, labels]
+  );
+
+  if (!attribution) return null;
+  const { start, steps, end } = attribution;
+
+  // Shared scale covering 0°C and every running total, with a little margin
+  const values = [0, start.value, end.value, ...steps.map((step) => step.to)];
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const padding = Math.max((max - min) * 0.05, 0.5);
+  const toX = (value) => ((value - (min - padding)) / (max - min + 2 * padding)) * 100;
+
+  return (
+    <div className="space-y-2">
+      {modes.length > 1 && (
+        <div className="flex flex-wrap gap-1.5" role="radiogroup" aria-label="Measure from">
+          {modes.map(({ key, label }) => (
+            <button
+              key={key}
+              type="button"
+              role="radio"
+              aria-checked={key === mode}
+              onClick={() => onModeChange(key)}
+              className={[
+                "text-[10px] rounded-full border px-2 py-0.5 transition-colors",
+                key === mode
+                  ? "border-antique-brass/70 text-pale-gold bg-antique-brass/15"
+                  : "border-slate-blue/40 text-stardust-white/60 hover:text-pale-gold",
+              ].join(" ")}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="relative space-y-1">
+        <div
+          className="absolute top-0 bottom-0 border-l border-dashed border-slate-blue/40 pointer-events-none"
+          style={{ left: `calc(6.5rem + (100% - 10rem) * ${toX(0) / 100})` }}
+          aria-hidden="true"
+        />
+        <WaterfallRow
+          label={start.label}
+          from={0}
+          to={start.value}
+          total
+          toX={toX}
+          detail={`${start.value.toFixed(1)}°C`}
+        />
+        {steps.map((step) => (
+          <WaterfallRow
+            key={step.key}
+            label={step.label}
+            from={step.from}
+            to={step.to}
+            toX={toX}
+            detail={formatSigned(step.value)}
+          />
+        ))}
+        <WaterfallRow
+          label={end.label}
+          from={0}
+          to={end.value}
+          total
+          toX={toX}
+          detail={`${end.value.toFixed(1)}°C`}
+        />
+      </div>
+      <p className="text-[10px] text-stardust-white/40 leading-snug">
+        Warm bars push the temperature up, cold bars pull it down; the dashed
+        line is 0°C.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+"use client";
+import React, { useMemo } from "react";
+import { runIceVolumeModel } from "@/lib/iceVolumeModel";
+import { TIMELINE_MIN_YEAR, TIMELINE_MAX_YEAR } from "@/lib/eraLookup";
+import { formatYear } from "@/lib/parameterCopy";
+
+const GOLD = "#e8d0a9";
+const ICE = "rgba(135, 190, 230, 0.85)";
+const ICE_FILL = "rgba(135, 190, 230, 0.18)";
+const SLATE = "rgba(135, 165, 200, 0.35)";
+
+const WIDTH = 320;
+const HEIGHT = 56;
+const MIN_SEA_LEVEL = -130;
+
+export function IceVolumeStrip({ year, following }) {
+  // Deterministic in time, so one run covers every render
+  const series = useMemo(
+    () =>
+      runIceVolumeModel({
+        startYear: TIMELINE_MIN_YEAR,
+        endYear: TIMELINE_MAX_YEAR,
+        stepYears: 1000,
+      }),
+    []
+  );
+
+  const toX = (y) =>
+    ((y - TIMELINE_MIN_YEAR) / (TIMELINE_MAX_YEAR - TIMELINE_MIN_YEAR)) * WIDTH;
+  const toY = (seaLevel) => (seaLevel / MIN_SEA_LEVEL) * (HEIGHT - 4);
+
+  const line = series
+    .map((p, i) => `${i === 0 ? "M" : "L"}${toX(p.year).toFixed(1)},${toY(p.seaLevel).toFixed(1)}`)
+    .join(" ");
+  const area = `${line} L${WIDTH},0 L0,0 Z`;
+
+  // Nearest sample to the scrubber year
+  const index = Math.round((year - series[0].year) / 1000);
+  const current = series[Math.max(0, Math.min(series.length - 1, index))];
+
+  return (
+    <div className="w-full">
+      <div className="flex items-baseline justify-between mb-1">
+        <span className="text-[10px] font-mono uppercase tracking-wider text-pale-gold/50">
+          Ice sheets · sea level
+        </span>
+        <span
+          className={[
+            "text-[10px] font-mono transition-opacity",
+            following ? "text-pale-gold/70" : "text-stardust-white/40",
+          ].join(" ")}
+          title="Imbrie & Imbrie (1980) ice volume driven by 65°N June insolation"
+        >
+          {current.seaLevel > -0.5 ? "≈ today" : `${Math.round(current.seaLevel)} m`}
+        </span>
+      </div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        preserveAspectRatio="none"
+        className="w-full h-12"
+        role="img"
+        aria-label={`Modelled sea level ${Math.round(current.seaLevel)} m at ${formatYear(year).toLowerCase()}`}
+      >
+        <line x1="0" y1="0.5" x2={WIDTH} y2="0.5" stroke={SLATE} strokeWidth="1" strokeDasharray="3 3" />
+        <path d={area} fill={ICE_FILL} />
+        <path d={line} fill="none" stroke={ICE} strokeWidth="1.2" vectorEffect="non-scaling-stroke" />
+        {following && (
+          <line
+            x1={toX(year)}
+            y1="0"
+            x2={toX(year)}
+            y2={HEIGHT}
+            stroke={GOLD}
+            strokeWidth="1"
+            vectorEffect="non-scaling-stroke"
+          />
+        )}
+      </svg>
+      <div className="flex justify-between text-[9px] font-mono text-stardust-white/40">
+        <span>{formatYear(TIMELINE_MIN_YEAR)}</span>
+        <span>glacials build slowly, end abruptly</span>
+        <span>{formatYear(TIMELINE_MAX_YEAR)}</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+"use client";
+import React from "react";
+import {
+  REFERENCE_PLACES,
+  PLACE_ORDER,
+  findPlaceByLatitude,
+} from "@/lib/referencePlaces";
+import { formatLatitude } from "@/lib/parameterCopy";
+
+const CUSTOM = "custom";
+
+export function LatitudePicker({ latitude, onChange }) {
+  const placeKey = findPlaceByLatitude(latitude);
+
+  return (
+    <div className="flex items-center gap-1.5 min-w-0">
+      <label
+        htmlFor="latitude-picker"
+        className="text-[10px] font-mono uppercase tracking-wider text-pale-gold/50 shrink-0"
+      >
+        Where
+      </label>
+      <select
+        id="latitude-picker"
+        value={placeKey || CUSTOM}
+        onChange={(e) => {
+          const place = REFERENCE_PLACES[e.target.value];
+          if (place) onChange(place.latitude);
+        }}
+        className="min-w-0 text-[11px] font-mono bg-deep-space/70 text-pale-gold border border-slate-blue/40 rounded-full px-2 py-0.5 focus:outline-none focus:border-antique-brass/70"
+        title="Pick a place, or click the globe to choose any latitude"
+      >
+        {!placeKey && (
+          <option value={CUSTOM}>{formatLatitude(latitude)} · from globe</option>
+        )}
+        {PLACE_ORDER.map((key) => (
+          <option key={key} value={key}>
+            {formatLatitude(REFERENCE_PLACES[key].latitude)} · {REFERENCE_PLACES[key].name}
+          </option>
+        ))}
+      </select>
+      <span className="hidden md:inline text-[10px] text-stardust-white/40 whitespace-nowrap">
+        or click the globe
+      </span>
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
 "use client";
 import React from "react";
-import { TODAY_ECC, TODAY_TILT, TODAY_PREC } from "@/lib/parameterCopy";
+import { TODAY_ECC, TODAY_TILT, TODAY_PREC, PREINDUSTRIAL_CO2 } from "@/lib/parameterCopy";
 
 const BRASS = "#cdaf7d";
 const GOLD = "#e8d0a9";
@@ -122,9 +122,37 @@ export function WobbleViz({ value, size = 56 }) {
   );
 }
 
+export function CO2Viz({ value, size = 56 }) {
+  const cx = size / 2;
+  const cy = size / 2;
+  const planetR = size * 0.2;
+  // Blanket thickness follows the logarithmic forcing, not ppm itself
+  const thickness = (ppm) =>
+    size * 0.1 * Math.max(0.25, 1 + Math.log2(ppm / PREINDUSTRIAL_CO2));
+  const todayR = planetR + thickness(PREINDUSTRIAL_CO2);
+  const blanketR = planetR + thickness(value);
+  return (
+    <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`} aria-hidden>
+      <circle cx={cx} cy={cy} r={blanketR} fill={BRASS} opacity="0.25" />
+      <circle
+        cx={cx}
+        cy={cy}
+        r={todayR}
+        fill="none"
+        stroke={GHOST}
+        strokeWidth="1"
+        strokeDasharray="2 2"
+      />
+      <circle cx={cx} cy={cy} r={blanketR} fill="none" stroke={GOLD} strokeWidth="1.2" />
+      <circle cx={cx} cy={cy} r={planetR} fill={SLATE} />
+    </svg>
+  );
+}
+
 export function MiniViz({ kind, value, size }) {
   if (kind === "stretch") return <EllipseViz value={value} size={size} />;
   if (kind === "lean") return <TiltViz value={value} size={size} />;
   if (kind === "wobble") return <WobbleViz value={value} size={size} />;
+  if (kind === "co2") return <CO2Viz value={value} size={size} />;
   return null;
 }
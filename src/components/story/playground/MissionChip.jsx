@@ -1,127 +1,156 @@
 "use client";
-import React, { useEffect, useRef, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  availableMissions,
+  evaluateMission,
+  missionGoal,
+  missionScore,
+  packSummary,
+  resolveMission,
+} from "@/lib/missions";
 
-// Targets are 65°N annual-mean temperatures — the latitude that drives
-// glacial cycles. Today's value sits near -8°C for current orbital config;
-// the achievable range across the playground sliders is roughly -15 to +10°C.
-const TODAY_TEMP = -8;
-
-const MISSIONS = [
-  {
-    id: "iceAge",
-    label: "Build an ice age",
-    target: "≤ -12°C",
-    check: (t) => t <= -12,
-  },
-  {
-    id: "warm",
-    label: "Warm Earth up",
-    target: "≥ 5°C",
-    check: (t) => t >= 5,
-  },
-  {
-    id: "today",
-    label: "Match today",
-    target: `~${TODAY_TEMP}°C`,
-    check: (t) => Math.abs(t - TODAY_TEMP) < 1.2,
-  },
-];
-
-export function MissionChip({ temperature, className = "" }) {
+export function MissionChip({
+  missions,
+  calibration,
+  context,
+  onShowMe,
+  solving = false,
+  className = "",
+}) {
+  const { activePack, packProgress, ready } = missions;
+  const resolved = useMemo(
+    () => activePack.missions.map((mission) => resolveMission(mission, calibration)),
+    [activePack, calibration]
+  );
+  const available = availableMissions(activePack, packProgress).map((mission) =>
+    resolved.find((entry) => entry.id === mission.id)
+  );
   const [index, setIndex] = useState(0);
-  const [justCompleted, setJustCompleted] = useState(false);
+  const [celebrating, setCelebrating] = useState(null);
+  const [hintOpen, setHintOpen] = useState(false);
   const celebrateTimer = useRef(null);
-  const rotateTimer = useRef(null);
-  const armedRef = useRef(true);
 
-  const current = MISSIONS[index];
-  const done = current.check(temperature);
+  const current = available.length > 0 ? available[index % available.length] : null;
+  const done = ready && current !== null && evaluateMission(current, context).complete;
+  const summary = packSummary(activePack, packProgress);
 
   useEffect(() => {
-    if (done && armedRef.current && !justCompleted) {
-      armedRef.current = false;
-      setJustCompleted(true);
-      celebrateTimer.current = setTimeout(() => {
-        rotateTimer.current = setTimeout(() => {
-          setIndex((i) => (i + 1) % MISSIONS.length);
-          setJustCompleted(false);
-          armedRef.current = true;
-        }, 400);
-      }, 1200);
-    }
-    if (!done && !justCompleted) {
-      armedRef.current = true;
-    }
-    return () => {
-      clearTimeout(celebrateTimer.current);
-      clearTimeout(rotateTimer.current);
-    };
-  }, [done, justCompleted]);
+    if (!done) return;
+    missions.complete(current);
+    setCelebrating({ title: current.title, score: missionScore(current, Boolean(packProgress[current.id]?.hintUsed)) });
+    setHintOpen(false);
+    clearTimeout(celebrateTimer.current);
+    celebrateTimer.current = setTimeout(() => setCelebrating(null), 1600);
+  }, [done, current?.id]);
+
+  useEffect(() => () => clearTimeout(celebrateTimer.current), []);
 
   const advance = () => {
-    clearTimeout(celebrateTimer.current);
-    clearTimeout(rotateTimer.current);
-    setJustCompleted(false);
-    armedRef.current = true;
-    setIndex((i) => (i + 1) % MISSIONS.length);
+    setHintOpen(false);
+    setIndex((i) => (i + 1) % Math.max(available.length, 1));
   };
 
+  const openHint = () => {
+    if (!hintOpen && current) missions.revealHint(current);
+    setHintOpen((open) => !open);
+  };
+
+  const canSolve = onShowMe && current && !celebrating && missionGoal(current);
+
   return (
-    <div
-      className={[
-        "inline-flex items-center gap-2 py-1.5 px-3 rounded-full border text-xs transition-all duration-300",
-        justCompleted
-          ? "bg-emerald-500/15 border-emerald-400/60 text-emerald-200"
-          : "bg-deep-space/70 border-antique-brass/40 text-pale-gold",
-        className,
-      ].join(" ")}
-      role="status"
-      aria-live="polite"
-    >
-      <span aria-hidden className="shrink-0">
-        {justCompleted ? (
-          <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
-            <path
-              d="M2 7l3.5 3.5L12 3"
-              stroke="currentColor"
-              strokeWidth="2"
-              strokeLinecap="round"
-              strokeLinejoin="round"
-            />
-          </svg>
-        ) : (
-          <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
-            <circle cx="7" cy="7" r="5.5" stroke="currentColor" strokeWidth="1.2" opacity="0.6" />
-            <circle cx="7" cy="7" r="2" fill="currentColor" opacity="0.4" />
-          </svg>
+    <div className={["flex flex-col items-start gap-1", className].join(" ")}>
+      <div
+        className={[
+          "inline-flex items-center gap-2 py-1.5 px-3 rounded-full border text-xs transition-all duration-300",
+          celebrating
+            ? "bg-emerald-500/15 border-emerald-400/60 text-emerald-200"
+            : "bg-deep-space/70 border-antique-brass/40 text-pale-gold",
+        ].join(" ")}
+        role="status"
+        aria-live="polite"
+      >
+        <span aria-hidden className="shrink-0">
+          {celebrating || !current ? (
+            <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
+              <path
+                d="M2 7l3.5 3.5L12 3"
+                stroke="currentColor"
+                strokeWidth="2"
+                strokeLinecap="round"
+                strokeLinejoin="round"
+              />
+            </svg>
+          ) : (
+            <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
+              <circle cx="7" cy="7" r="5.5" stroke="currentColor" strokeWidth="1.2" opacity="0.6" />
+              <circle cx="7" cy="7" r="2" fill="currentColor" opacity="0.4" />
+            </svg>
+          )}
+        </span>
+        <span className="whitespace-nowrap">
+          {celebrating ? (
+            <>
+              Nailed it — {celebrating.title.toLowerCase()}
+              <span className="ml-1 font-mono opacity-70">+{celebrating.score}</span>
+            </>
+          ) : current ? (
+            <>
+              <span className="opacity-60">Try:</span> {current.title}
+              <span className="ml-1 opacity-50 font-mono">({current.target})</span>
+            </>
+          ) : (
+            <>
+              {activePack.title} complete
+              <span className="ml-1 opacity-60 font-mono">
+                {summary.score}/{summary.maxScore}
+              </span>
+            </>
+          )}
+        </span>
+        {current && !celebrating && current.hint && (
+          <button
+            type="button"
+            onClick={openHint}
+            aria-expanded={hintOpen}
+            className="text-[10px] opacity-60 hover:opacity-100 transition-opacity"
+            title="Show a hint (halves this mission's points)"
+          >
+            Hint
+          </button>
         )}
-      </span>
-      <span className="whitespace-nowrap">
-        {justCompleted ? (
-          <>Nailed it — {current.label.toLowerCase()}</>
-        ) : (
-          <>
-            <span className="opacity-60">Try:</span> {current.label}
-            <span className="ml-1 opacity-50 font-mono">({current.target})</span>
-          </>
+        {canSolve && (
+          <button
+            type="button"
+            onClick={() => onShowMe(current)}
+            disabled={solving}
+            className="text-[10px] underline decoration-dotted underline-offset-2 opacity-70 hover:opacity-100 transition-opacity whitespace-nowrap disabled:opacity-40"
+            title="Find the nearest dial settings that complete this mission"
+          >
+            {solving ? "Searching…" : "Show me how"}
+          </button>
         )}
-      </span>
-      <button
-        type="button"
-        onClick={advance}
-        aria-label="Next mission"
-        className="opacity-60 hover:opacity-100 transition-opacity p-0.5"
-      >
-        <svg width="12" height="12" viewBox="0 0 12 12" fill="none">
-          <path
-            d="M2 6a4 4 0 1 1 1.2 2.85M2 9.5V6.5h3"
-            stroke="currentColor"
-            strokeWidth="1.3"
-            strokeLinecap="round"
-            strokeLinejoin="round"
-          />
-        </svg>
-      </button>
+        {available.length > 1 && (
+          <button
+            type="button"
+            onClick={advance}
+            aria-label="Next mission"
+            className="opacity-60 hover:opacity-100 transition-opacity p-0.5"
+          >
+            <svg width="12" height="12" viewBox="0 0 12 12" fill="none">
+              <path
+                d="M2 6a4 4 0 1 1 1.2 2.85M2 9.5V6.5h3"
+                stroke="currentColor"
+                strokeWidth="1.3"
+                strokeLinecap="round"
+                strokeLinejoin="round"
+              />
+            </svg>
+          </button>
+        )}
+      </div>
+      {hintOpen && current && !celebrating && (
+        <p className="text-[11px] text-stardust-white/60 leading-snug px-3">{current.hint}</p>
+      )}
     </div>
   );
 }
@@ -0,0 +1,158 @@
+"use client";
+import React, { useMemo, useRef, useState } from "react";
+import {
+  DEFAULT_MISSION_PACK,
+  availableMissions,
+  exportMissionPack,
+  missionScore,
+  packSummary,
+  resolveMission,
+} from "@/lib/missions";
+
+function MissionRow({ mission, entry, status }) {
+  return (
+    <li
+      className={[
+        "flex items-start gap-2 rounded-md border px-2 py-1.5",
+        status === "current" ? "border-antique-brass/60 bg-antique-brass/10" : "border-slate-blue/20",
+        status === "locked" ? "opacity-50" : "",
+      ].join(" ")}
+    >
+      <span className="w-4 shrink-0 text-xs text-center" aria-hidden>
+        {status === "done" ? "✓" : status === "locked" ? "🔒" : "•"}
+      </span>
+      <div className="flex-1 min-w-0">
+        <div className="text-xs text-stardust-white truncate">{mission.title}</div>
+        <div className="text-[10px] font-mono text-stardust-white/50 truncate">{mission.target}</div>
+        {mission.description && (
+          <p className="text-[10px] text-stardust-white/50 leading-snug">{mission.description}</p>
+        )}
+      </div>
+      <span className="text-[10px] font-mono text-pale-gold/70 whitespace-nowrap">
+        {status === "done"
+          ? `${entry.score} pts${entry.hintUsed ? " · hint" : ""}`
+          : `${missionScore(mission, Boolean(entry?.hintUsed))} pts`}
+      </span>
+    </li>
+  );
+}
+
+export function MissionPanel({ missions, calibration }) {
+  const { packs, activePack, packProgress } = missions;
+  const fileInputRef = useRef(null);
+  const [message, setMessage] = useState(null);
+
+  const resolved = useMemo(
+    () => activePack.missions.map((mission) => resolveMission(mission, calibration)),
+    [activePack, calibration]
+  );
+  const availableIds = new Set(availableMissions(activePack, packProgress).map((m) => m.id));
+  const summary = packSummary(activePack, packProgress);
+
+  const statusOf = (mission) => {
+    if (packProgress[mission.id]?.completedAt) return "done";
+    return availableIds.has(mission.id) ? "current" : "locked";
+  };
+
+  // The active pack doubles as a template for writing new ones
+  const handleExport = () => {
+    const blob = new Blob([exportMissionPack(activePack)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${activePack.id}-missions.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const result = missions.importPack(await file.text());
+    if (result.error) {
+      setMessage(result.error);
+    } else {
+      const skipped = result.skipped ? `, ${result.skipped} skipped` : "";
+      setMessage(`Loaded “${result.pack.title}”: ${result.pack.missions.length} missions${skipped}`);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-1.5">
+        {packs.map((pack) => (
+          <button
+            key={pack.id}
+            type="button"
+            onClick={() => missions.selectPack(pack.id)}
+            className={[
+              "text-[10px] rounded-full border px-2 py-0.5 transition-colors",
+              pack.id === activePack.id
+                ? "border-antique-brass/70 text-pale-gold bg-antique-brass/15"
+                : "border-slate-blue/40 text-stardust-white/60 hover:text-pale-gold",
+            ].join(" ")}
+          >
+            {pack.title}
+          </button>
+        ))}
+        <span className="ml-auto text-[10px] font-mono text-stardust-white/50">
+          {summary.completed}/{summary.total} · {summary.score}/{summary.maxScore} pts
+        </span>
+      </div>
+
+      <ul className="space-y-1.5 max-h-56 overflow-y-auto">
+        {resolved.map((mission) => (
+          <MissionRow
+            key={mission.id}
+            mission={mission}
+            entry={packProgress[mission.id]}
+            status={statusOf(mission)}
+          />
+        ))}
+      </ul>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          className="celestial-button text-[10px] py-0.5 px-2"
+        >
+          Load pack
+        </button>
+        <button type="button" onClick={handleExport} className="celestial-button text-[10px] py-0.5 px-2">
+          Download JSON
+        </button>
+        <button
+          type="button"
+          onClick={() => missions.resetPack(activePack.id)}
+          disabled={summary.completed === 0}
+          className="celestial-button text-[10px] py-0.5 px-2 disabled:opacity-40"
+        >
+          Reset progress
+        </button>
+        {activePack.id !== DEFAULT_MISSION_PACK.id && (
+          <button
+            type="button"
+            onClick={() => missions.removePack(activePack.id)}
+            className="text-[10px] text-stardust-white/50 hover:text-temp-warm"
+          >
+            Remove pack
+          </button>
+        )}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleFile}
+          className="hidden"
+        />
+        {message && (
+          <span className="text-[10px] font-mono text-stardust-white/50" role="status">
+            {message}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -13,6 +13,8 @@ export function ParameterCard({
   max,
   step,
   todayValue,
+  todayLabel,
+  presets,
   formatValue,
   describe,
   focused,
@@ -76,6 +78,7 @@ export function ParameterCard({
           max={max}
           step={step}
           todayMark={todayValue}
+          todayLabel={todayLabel}
           snapToToday
           formatValue={formatValue}
           ariaValueText={`${headline}, ${raw}`}
@@ -89,6 +92,31 @@ export function ParameterCard({
         />
       </div>
 
+      {presets && (
+        <div className="flex flex-wrap gap-1.5 mt-2">
+          {presets.map((preset) => {
+            const isActive = Math.abs(value - preset.value) < step / 2;
+            return (
+              <button
+                key={preset.key}
+                type="button"
+                onClick={() => onChange(preset.value)}
+                title={preset.title}
+                aria-pressed={isActive}
+                className={[
+                  "text-[10px] font-mono px-2 py-0.5 rounded-full border transition-colors",
+                  isActive
+                    ? "border-antique-brass/70 text-pale-gold bg-antique-brass/15"
+                    : "border-slate-blue/40 text-stardust-white/60 hover:text-pale-gold",
+                ].join(" ")}
+              >
+                {preset.label} · {preset.value}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
       <p
         className={[
           "text-xs mt-2 leading-snug transition-colors duration-300",
@@ -2,6 +2,11 @@
 import React, { useEffect, useRef, useState } from "react";
 import { normalizeTemperature } from "@/lib/temperatureUtils";
 import { ERAS, findNearestEra } from "@/lib/eraLookup";
+import { formatLatitude, PARAMETER_LABELS } from "@/lib/parameterCopy";
+import { ModelStatusBadge } from "../ModelStatusBadge";
+
+// Ensemble spread (°C) below which the 5–95% range is not worth drawing
+const ENSEMBLE_AGREEMENT = 0.1;
 
 function TempIcon({ temperature }) {
   if (temperature < -10) {
@@ -43,14 +48,39 @@ function TempIcon({ temperature }) {
   );
 }
 
-// Labels are calibrated for the 65°N annual-mean reading (today ≈ -8°C).
-// The achievable range across playground sliders is roughly -15..+10°C.
-function label(t) {
-  if (t < -10) return "Glacial";
-  if (t < -5) return "Cold";
-  if (t < 0) return "Cool";
-  if (t < 5) return "Moderate";
-  return "Warm";
+// Labels compare with today's annual mean at the chosen latitude, scaled by
+// how far the sliders can push it either way.
+function label(t, { baseline, min, max }) {
+  const delta = t - baseline;
+  if (delta < -0.6 * (baseline - min)) return "Glacial";
+  if (delta < -0.5) return "Colder than today";
+  if (delta <= 0.5) return "Like today";
+  if (delta < 0.65 * (max - baseline)) return "Warmer than today";
+  return "Very warm";
+}
+
+function ContributionReadout({ label, value, emphasized = false }) {
+  const shown = Math.abs(value) < 0.05 ? 0 : value;
+  return (
+    <span className={emphasized ? "text-pale-gold" : "text-stardust-white/50"}>
+      {label}{" "}
+      <span
+        className={[
+          "font-mono",
+          shown > 0 ? "text-temp-warm" : shown < 0 ? "text-temp-cold" : "text-pale-gold/70",
+        ].join(" ")}
+      >
+        {shown > 0 ? "+" : ""}
+        {shown.toFixed(1)}°C
+      </span>
+    </span>
+  );
+}
+
+// Bar spans the reachable range with a little headroom
+function barRange({ min, max }) {
+  const pad = Math.max(1, (max - min) * 0.1);
+  return [min - pad, max + pad];
 }
 
 export function TemperaturePod({
@@ -60,8 +90,16 @@ export function TemperaturePod({
   axialTilt,
   precession,
   focusedParam,
+  latitude,
+  calibration,
+  contributions,
+  separation,
+  climate,
+  ensemble = null,
 }) {
-  const norm = normalizeTemperature(temperature, -15, 10);
+  const [barMin, barMax] = barRange(calibration);
+  const norm = normalizeTemperature(temperature, barMin, barMax);
+  const todayPct = normalizeTemperature(calibration.baseline, barMin, barMax) * 100;
   const pct = Math.max(0, Math.min(1, norm)) * 100;
 
   const [ghostTemp, setGhostTemp] = useState(null);
@@ -82,7 +120,7 @@ export function TemperaturePod({
 
   const ghostPct =
     ghostTemp !== null
-      ? Math.max(0, Math.min(1, normalizeTemperature(ghostTemp, -15, 10))) * 100
+      ? Math.max(0, Math.min(1, normalizeTemperature(ghostTemp, barMin, barMax))) * 100
       : null;
 
   const delta =
@@ -98,16 +136,26 @@ export function TemperaturePod({
 
   const icePct = Math.round(iceFactor * 100);
 
+  // Ensemble 5–95% range as a stretch of the bar; when the runs agree the
+  // stretch would have no width, so a note says so instead
+  const ensembleAgrees = ensemble && ensemble.temperature.p95 - ensemble.temperature.p5 < ENSEMBLE_AGREEMENT;
+  const band = ensemble && !ensembleAgrees
+    ? {
+        left: Math.max(0, Math.min(1, normalizeTemperature(ensemble.temperature.p5, barMin, barMax))) * 100,
+        right: Math.max(0, Math.min(1, normalizeTemperature(ensemble.temperature.p95, barMin, barMax))) * 100,
+      }
+    : null;
+
   return (
     <div className="observatory-panel p-3 md:p-4 space-y-2.5 w-full md:w-60">
       <div className="flex items-center justify-between">
         <span
           className="text-[10px] font-mono uppercase tracking-wider text-pale-gold/50"
-          title="Annual mean at 65°N — the latitude that drives glacial cycles"
+          title={`Annual mean at ${formatLatitude(latitude)} — today ≈ ${calibration.baseline.toFixed(1)}°C`}
         >
-          Climate · 65°N
+          Climate · {formatLatitude(latitude)}
         </span>
-        <span className="text-xs text-stardust-white/70">{label(temperature)}</span>
+        <span className="text-xs text-stardust-white/70">{label(temperature, calibration)}</span>
       </div>
 
       <div className="flex items-center gap-2">
@@ -128,6 +176,8 @@ export function TemperaturePod({
         )}
       </div>
 
+      <ModelStatusBadge result={climate} />
+
       <div
         className="h-2 rounded-full overflow-hidden relative"
         style={{
@@ -135,6 +185,19 @@ export function TemperaturePod({
             "linear-gradient(to right, hsl(222 50% 36%), hsl(215 32% 45%), hsl(30 58% 47%), hsl(20 60% 44%), hsl(10 65% 41%))",
         }}
       >
+        <div
+          className="absolute top-0 h-full w-px bg-stardust-white/40"
+          style={{ left: `${todayPct}%` }}
+          title={`Today ≈ ${calibration.baseline.toFixed(1)}°C`}
+          aria-hidden
+        />
+        {band && (
+          <div
+            className="absolute top-0 h-full bg-stardust-white/25"
+            style={{ left: `${band.left}%`, width: `${Math.max(0.5, band.right - band.left)}%` }}
+            aria-hidden
+          />
+        )}
         {ghostPct !== null && (
           <div
             className="absolute top-0 h-full w-[2px] bg-pale-gold/50"
@@ -152,9 +215,66 @@ export function TemperaturePod({
         />
       </div>
 
+      {ensemble && (
+        <div
+          className="flex items-center justify-between text-[11px]"
+          title={`${ensemble.size} runs with CO₂ sensitivity, water-vapour, cloud and ice-albedo feedbacks sampled across their uncertain ranges`}
+        >
+          {ensembleAgrees ? (
+            <span className="text-stardust-white/50">Runs agree within 0.1°C here</span>
+          ) : (
+            <span className="text-stardust-white/50">
+              5–95%{" "}
+              <span className="font-mono text-pale-gold/70">
+                {ensemble.temperature.p5.toFixed(1)} to {ensemble.temperature.p95.toFixed(1)}°C
+              </span>
+            </span>
+          )}
+          <span className="text-stardust-white/50">
+            median <span className="font-mono text-pale-gold/70">{ensemble.temperature.median.toFixed(1)}°C</span>
+          </span>
+        </div>
+      )}
+
+      {contributions && (
+        <div
+          className="flex items-center justify-between text-[11px]"
+          title="Change from today's climate here, split into the orbital and CO₂ parts"
+        >
+          <ContributionReadout label="Orbit" value={contributions.orbital} />
+          <ContributionReadout label="CO₂" value={contributions.co2} />
+        </div>
+      )}
+
+      {separation && (
+        <div
+          className="flex flex-wrap items-center gap-x-2.5 gap-y-0.5 text-[11px]"
+          title="Orbital part split by dial: each dial moved from today's value on its own; 'mix' is what they add together"
+        >
+          {Object.entries(separation.pure).map(([factor, value]) => (
+            <ContributionReadout
+              key={factor}
+              label={PARAMETER_LABELS[factor]}
+              value={value}
+              emphasized={focusedParam === factor}
+            />
+          ))}
+          <ContributionReadout
+            label="mix"
+            value={separation.interactions.reduce((sum, term) => sum + term.value, 0)}
+          />
+        </div>
+      )}
+
       <div className="flex items-center justify-between text-[11px]">
         <span className="text-stardust-white/50">
           Ice <span className="font-mono text-pale-gold/70">{icePct}%</span>
+          {ensemble && (
+            <span className="font-mono text-stardust-white/40">
+              {" "}
+              ({Math.round(ensemble.iceFactor.p5 * 100)}–{Math.round(ensemble.iceFactor.p95 * 100)}%)
+            </span>
+          )}
         </span>
         <span className="text-pale-gold/70 font-mono">
           {nearestEra ? `like ${nearestEra.shortLabel}` : ""}
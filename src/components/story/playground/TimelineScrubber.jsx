@@ -0,0 +1,85 @@
+"use client";
+import React from "react";
+import { StorySlider } from "../StorySlider";
+import {
+  TIMELINE_LANDMARKS,
+  TIMELINE_MIN_YEAR,
+  TIMELINE_MAX_YEAR,
+} from "@/lib/eraLookup";
+import { formatYear } from "@/lib/parameterCopy";
+
+export function TimelineScrubber({ year, following, onYearChange, onJump, onFollow }) {
+  return (
+    <div className="w-full">
+      <div className="flex items-baseline justify-between mb-1.5">
+        <span className="text-[10px] font-mono uppercase tracking-wider text-pale-gold/50">
+          Deep time
+        </span>
+        {following ? (
+          <span className="text-[10px] font-mono text-pale-gold/70">
+            Orbit of {formatYear(year).toLowerCase()}
+          </span>
+        ) : (
+          <button
+            type="button"
+            onClick={onFollow}
+            className="text-[10px] font-mono text-stardust-white/60 hover:text-pale-gold transition-colors"
+            title="Drop the manual settings and follow the orbit of the selected year"
+          >
+            Manual override · follow {formatYear(year).toLowerCase()} ↺
+          </button>
+        )}
+      </div>
+
+      <div
+        className={[
+          "transition-opacity duration-300",
+          following ? "opacity-100" : "opacity-50",
+        ].join(" ")}
+      >
+        <StorySlider
+          label="Year"
+          scienceName="Berger 1978"
+          value={year}
+          onChange={onYearChange}
+          min={TIMELINE_MIN_YEAR}
+          max={TIMELINE_MAX_YEAR}
+          step={500}
+          todayMark={0}
+          snapToToday
+          formatValue={formatYear}
+          minLabel={formatYear(TIMELINE_MIN_YEAR)}
+          maxLabel={formatYear(TIMELINE_MAX_YEAR)}
+          renderValue={() => (
+            <span className="text-xs font-mono text-pale-gold opacity-60">
+              {formatYear(year)}
+            </span>
+          )}
+        />
+      </div>
+
+      <div className="flex flex-wrap gap-1.5 mt-1">
+        {TIMELINE_LANDMARKS.map((landmark) => {
+          const isActive = following && Math.abs(year - landmark.year) < 250;
+          return (
+            <button
+              key={landmark.year}
+              type="button"
+              onClick={() => onJump(landmark.year)}
+              title={`${landmark.name} — ${formatYear(landmark.year)}`}
+              aria-pressed={isActive}
+              className={[
+                "text-[10px] font-mono px-2 py-0.5 rounded-full border transition-colors",
+                isActive
+                  ? "border-antique-brass/70 text-pale-gold bg-antique-brass/15"
+                  : "border-slate-blue/40 text-stardust-white/60 hover:text-pale-gold",
+              ].join(" ")}
+            >
+              {landmark.label}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+"use client";
+import React from "react";
+import * as THREE from "three";
+import { Line, Html } from "@react-three/drei";
+import {
+  displayEccentricity,
+  orbitPositionAtTrueAnomaly,
+  sampleOrbit,
+} from "@/lib/orbitGeometry";
+
+const COMPARISON_COLOR = "#87a5c8";
+
+// Second orbit drawn in compare mode: a quieter blue line for setup B, so
+// the two shapes can be read against each other around the same Sun
+export function ComparisonOrbit({ eccentricity, exaggeration = 1, label = "B" }) {
+  const e = displayEccentricity(eccentricity, exaggeration);
+  const points = sampleOrbit(e).map(({ x, z }) => new THREE.Vector3(x, 0, z));
+  const aphelion = orbitPositionAtTrueAnomaly(Math.PI, e);
+
+  return (
+    <group>
+      <Line
+        points={points}
+        color={COMPARISON_COLOR}
+        lineWidth={2}
+        transparent
+        opacity={0.9}
+        dashed
+        dashSize={0.6}
+        gapSize={0.3}
+      />
+      <Line
+        points={points}
+        color={COMPARISON_COLOR}
+        lineWidth={5}
+        transparent
+        opacity={0.25}
+      />
+      <Html position={[aphelion.x - 1.5, 1.5, aphelion.z]} center>
+        <div
+          style={{
+            color: COMPARISON_COLOR,
+            backgroundColor: "rgba(135, 165, 200, 0.15)",
+            padding: "2px 8px",
+            borderRadius: "10px",
+            fontSize: "11px",
+            fontWeight: "600",
+            whiteSpace: "nowrap",
+            border: "1px solid rgba(135, 165, 200, 0.4)",
+          }}
+        >
+          Orbit {label}
+        </div>
+      </Html>
+    </group>
+  );
+}
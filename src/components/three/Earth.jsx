@@ -12,7 +12,16 @@ import { AxisIndicators } from "./AxisIndicators";
 
 export const Earth = React.forwardRef(
   (
-    { axialTilt, precession, iceFactor, onReady, showAxis = true, spotlight = null },
+    {
+      axialTilt,
+      precession,
+      iceFactor,
+      onReady,
+      showAxis = true,
+      spotlight = null,
+      markedLatitude = null,
+      onSelectLatitude,
+    },
     ref
   ) => {
     const [texturesLoaded, setTexturesLoaded] = useState(false);
@@ -118,13 +127,31 @@ export const Earth = React.forwardRef(
       return tiltQuaternion.multiply(precessionQuaternion);
     }, [axialTilt, precession]);
 
+    // The spin axis is the mesh's local y, so latitude is the angle above
+    // its equatorial plane wherever the globe has turned to
+    const handleGlobeClick = (event) => {
+      if (!onSelectLatitude || !ref?.current) return;
+      event.stopPropagation();
+      const local = ref.current.worldToLocal(event.point.clone());
+      const latitude = THREE.MathUtils.radToDeg(Math.asin(local.y / local.length()));
+      onSelectLatitude(Math.round(latitude * 10) / 10);
+    };
+
     if (!texturesLoaded || !uniforms || !textures) {
       return null;
     }
 
+    const markerLatitude =
+      markedLatitude === null ? null : THREE.MathUtils.degToRad(markedLatitude);
+
     return (
       <group quaternion={combinedQuaternion}>
-        <mesh ref={ref} castShadow receiveShadow>
+        <mesh
+          ref={ref}
+          castShadow
+          receiveShadow
+          onClick={onSelectLatitude ? handleGlobeClick : undefined}
+        >
           <sphereGeometry args={[1, 64, 64]} />
           <shaderMaterial
             fragmentShader={earthFragmentShader}
@@ -169,6 +196,17 @@ export const Earth = React.forwardRef(
           />
         </mesh>
 
+        {/* Chosen latitude, drawn as a parallel just above the surface */}
+        {markerLatitude !== null && (
+          <mesh
+            position={[0, Math.sin(markerLatitude) * 1.02, 0]}
+            rotation={[Math.PI / 2, 0, 0]}
+          >
+            <torusGeometry args={[Math.max(0.02, Math.cos(markerLatitude)) * 1.02, 0.012, 8, 96]} />
+            <meshBasicMaterial color="#e8d0a9" transparent opacity={0.9} depthWrite={false} />
+          </mesh>
+        )}
+
         {showAxis ? <AxisIndicators spotlight={spotlight} /> : null}
       </group>
     );
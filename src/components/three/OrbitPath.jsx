@@ -2,40 +2,60 @@
 import React from "react";
 import * as THREE from "three";
 import { Line, Html } from "@react-three/drei";
+import {
+  ORBIT_SEMI_MAJOR_AXIS,
+  displayEccentricity,
+  orbitPositionAtTrueAnomaly,
+  sampleOrbit,
+  trueAnomalyAtSolarLongitude,
+} from "@/lib/orbitGeometry";
+import { precessionToLongitudeOfPerihelion } from "@/lib/orbitalSolution";
+
+// Solstices and equinoxes by solar longitude
+const SEASON_MARKERS = [
+  { solarLongitude: 270, label: "Winter (N. Hemisphere)" },
+  { solarLongitude: 0, label: "Spring (N. Hemisphere)" },
+  { solarLongitude: 90, label: "Summer (N. Hemisphere)" },
+  { solarLongitude: 180, label: "Fall (N. Hemisphere)" },
+];
+
+const APSIS_MARKERS = [
+  { trueAnomaly: 0, label: "Perihelion · closest", color: "#fbbf24" },
+  { trueAnomaly: Math.PI, label: "Aphelion · farthest", color: "#87a5c8" },
+];
 
 export function OrbitPath({
   eccentricity,
+  precession = 0,
   showLabels = true,
   currentSection = 0,
   spotlight = null,
+  exaggeration = 1,
 }) {
-  const a = 20;
-  const b = a * (1 - 2 * eccentricity);
-  const baselineB = a * (1 - 2 * 0.0167);
-
-  const points = [];
-  const baselinePoints = [];
-  const seasonalMarkers = [];
-
-  for (let theta = 0; theta <= Math.PI * 2; theta += 0.02) {
-    const x = a * Math.cos(theta);
-    const currentZ = b * Math.sin(theta);
-    const baselineZ = baselineB * Math.sin(theta);
-    points.push(new THREE.Vector3(x, 0, currentZ));
-    baselinePoints.push(new THREE.Vector3(x, 0, baselineZ));
-  }
+  const a = ORBIT_SEMI_MAJOR_AXIS;
+  // Sun at the focus (origin), perihelion along +x
+  const e = displayEccentricity(eccentricity, exaggeration);
+  const baselineE = displayEccentricity(0.0167, exaggeration);
 
-  seasonalMarkers.push(new THREE.Vector3(a, 0, 0));
-  seasonalMarkers.push(new THREE.Vector3(0, 0, b));
-  seasonalMarkers.push(new THREE.Vector3(-a, 0, 0));
-  seasonalMarkers.push(new THREE.Vector3(0, 0, -b));
+  const toVector = ({ x, z }) => new THREE.Vector3(x, 0, z);
+  const points = sampleOrbit(e).map(toVector);
+  const baselinePoints = sampleOrbit(baselineE).map(toVector);
 
-  const seasonLabels = [
-    "Winter (N. Hemisphere)",
-    "Spring (N. Hemisphere)",
-    "Summer (N. Hemisphere)",
-    "Fall (N. Hemisphere)",
-  ];
+  // The apsides stay put while precession slides the seasons around the orbit
+  const longitudeOfPerihelion = precessionToLongitudeOfPerihelion(precession);
+  const seasonalMarkers = SEASON_MARKERS.map(({ solarLongitude }) =>
+    toVector(
+      orbitPositionAtTrueAnomaly(
+        trueAnomalyAtSolarLongitude(solarLongitude, longitudeOfPerihelion),
+        e
+      )
+    )
+  );
+  const apsisMarkers = APSIS_MARKERS.map(({ trueAnomaly }) =>
+    toVector(orbitPositionAtTrueAnomaly(trueAnomaly, e))
+  );
+  const perihelionX = a * (1 - e);
+  const aphelionX = -a * (1 + e);
 
   const showDistanceLabels = currentSection === 2;
 
@@ -109,7 +129,7 @@ export function OrbitPath({
 
       {showDistanceLabels && (
         <>
-          <Html position={[-a + 2, 2, 0]} center>
+          <Html position={[aphelionX + 2, 2, 0]} center>
             <div
               style={{
                 color: "#ef4444",
@@ -125,7 +145,7 @@ export function OrbitPath({
               ← Farther from Sun
             </div>
           </Html>
-          <Html position={[a - 2, 2, 0]} center>
+          <Html position={[perihelionX - 2, 2, 0]} center>
             <div
               style={{
                 color: "#fbbf24",
@@ -156,6 +176,11 @@ export function OrbitPath({
           }}
         >
           Sun ☀️
+          {exaggeration > 1 && (
+            <div style={{ fontSize: "9px", opacity: 0.7, textAlign: "center" }}>
+              orbit shape ×{exaggeration}
+            </div>
+          )}
         </div>
       </Html>
 
@@ -202,7 +227,36 @@ export function OrbitPath({
                   opacity: markerFade,
                 }}
               >
-                {seasonLabels[index]}
+                {SEASON_MARKERS[index].label}
+              </div>
+            </Html>
+          )}
+        </group>
+      ))}
+
+      {apsisMarkers.map((position, index) => (
+        <group key={APSIS_MARKERS[index].label} position={position}>
+          <mesh rotation={[Math.PI / 2, 0, 0]}>
+            <torusGeometry args={[0.55, 0.06, 8, 32]} />
+            <meshBasicMaterial
+              color={APSIS_MARKERS[index].color}
+              transparent
+              opacity={0.9 * markerFade}
+            />
+          </mesh>
+          {showLabels && (
+            <Html position={[0, -1, 0]} center>
+              <div
+                style={{
+                  color: APSIS_MARKERS[index].color,
+                  fontSize: "11px",
+                  fontWeight: "600",
+                  whiteSpace: "nowrap",
+                  textShadow: "0 0 8px rgba(0, 0, 0, 0.8)",
+                  opacity: markerFade,
+                }}
+              >
+                {APSIS_MARKERS[index].label}
               </div>
             </Html>
           )}
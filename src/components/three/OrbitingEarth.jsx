@@ -4,6 +4,7 @@ import { useFrame } from "@react-three/fiber";
 import * as THREE from "three";
 import { Earth } from "./Earth";
 import { PrecessionCone } from "./AxisIndicators";
+import { displayEccentricity, orbitPositionAtMeanAnomaly } from "@/lib/orbitGeometry";
 
 export function OrbitingEarth({
   eccentricity,
@@ -14,13 +15,20 @@ export function OrbitingEarth({
   showAxis = true,
   currentSection = 0,
   spotlight = null,
+  exaggeration = 1,
+  markedLatitude = null,
+  onSelectLatitude,
+  // Head start along the orbit in radians of mean anomaly, so a second
+  // Earth in compare mode travels opposite the first instead of on top of it
+  phaseOffset = 0,
 }) {
-  const a = 20;
-  const b = a * (1 - 2 * eccentricity);
+  const e = displayEccentricity(eccentricity, exaggeration);
   const groupRef = useRef();
   const earthRef = useRef();
   const [isReady, setIsReady] = useState(false);
-  const orbitThetaRef = useRef(0);
+  // Mean anomaly advances uniformly in time; Kepler's equation turns it into
+  // a position, so Earth speeds up near perihelion
+  const meanAnomalyRef = useRef(0);
 
   useEffect(() => {
     if (groupRefFromParent && groupRef.current) {
@@ -33,12 +41,13 @@ export function OrbitingEarth({
 
     const isPinnedSection = currentSection === 3 || currentSection === 4;
     if (!isPinnedSection) {
-      orbitThetaRef.current += delta * 0.1;
+      meanAnomalyRef.current = (meanAnomalyRef.current + delta * 0.1) % (Math.PI * 2);
     }
 
-    const targetTheta = isPinnedSection ? 0 : orbitThetaRef.current;
-    const targetX = a * Math.cos(targetTheta);
-    const targetZ = b * Math.sin(targetTheta);
+    const { x: targetX, z: targetZ } = orbitPositionAtMeanAnomaly(
+      (isPinnedSection ? 0 : meanAnomalyRef.current) + phaseOffset,
+      e
+    );
     const easing = isPinnedSection ? 0.16 : 0.08;
 
     groupRef.current.position.x = THREE.MathUtils.lerp(
@@ -74,6 +83,8 @@ export function OrbitingEarth({
         onReady={onEarthReady}
         showAxis={showAxis}
         spotlight={spotlight}
+        markedLatitude={markedLatitude}
+        onSelectLatitude={onSelectLatitude}
       />
       {/* Precession cone is outside Earth's quaternion group so it stays fixed */}
       <PrecessionCone
@@ -7,8 +7,10 @@
 
 import { 
   calculateGlobalTemperature, 
-  calculateRegionalTemperatures 
+  calculateRegionalTemperatures,
+  createLatitudeGrid
 } from '../lib/temperatureUtils.js';
+import { presetParams } from '../lib/presets.js';
 
 /**
  * Generate ASCII visualization of temperatures across latitudes
@@ -90,10 +92,9 @@ function compareScenarios(title, scenario1, label1, scenario2, label2) {
 // ========== EXAMPLE 1: LATITUDE TEMPERATURE PROFILE - PRESENT DAY ==========
 console.log("\n🌍 EXAMPLE 1: PRESENT DAY TEMPERATURE PROFILE BY LATITUDE");
 
+// Orbit from the preset registry (src/lib/presets.js), with 2023 CO2
 const presentDayParams = {
-  eccentricity: 0.0167,          // Current eccentricity
-  axialTilt: 23.44,              // Current axial tilt (obliquity) in degrees
-  precession: 102.0,             // Current precession angle in degrees
+  ...presetParams('today'),
   co2Level: 415,                 // Current CO2 level (2023) in ppm
   season: 0.5,                   // Mid-year (Northern Hemisphere summer)
   sensitivityLevel: 'medium'     // Medium climate sensitivity
@@ -106,10 +107,7 @@ visualizeLatitudeTemperatures("Present Day Temperature Profile", presentDayRegio
 console.log("\n\n❄️ EXAMPLE 2: ICE AGE VS PRESENT DAY");
 
 const iceAgeParams = {
-  eccentricity: 0.019,           // Higher eccentricity during LGM
-  axialTilt: 22.95,              // Lower axial tilt during LGM
-  precession: 114.0,             // Different precession
-  co2Level: 180,                 // Lower CO2 during ice age
+  ...presetParams('lgm'),
   season: 0.5,                   // Mid-year
   timeScaleYears: 10000,         // Full ice sheet development
   sensitivityLevel: 'medium'     // Medium climate sensitivity
@@ -225,8 +223,17 @@ highEmissionRegional.bandResults.forEach(band => {
 // Visualize the high emission scenario
 visualizeLatitudeTemperatures("High Emission Scenario (800 ppm CO2)", highEmissionRegional);
 
-// ========== EXAMPLE 6: INTERACTIVE REGIONAL CLIMATE EXPLORER SIMULATION ==========
-console.log("\n\n🔍 EXAMPLE 6: INTERACTIVE REGIONAL CLIMATE EXPLORER");
+// ========== EXAMPLE 6: A FINER LATITUDE GRID ==========
+console.log("\n\n🗺️ EXAMPLE 6: PRESENT DAY ON A 10° GRID");
+
+// Any grid works; bands keep the same shape and the global mean stays area-weighted
+const fineGridRegional = calculateRegionalTemperatures(presentDayParams, {
+  latitudes: createLatitudeGrid(10)
+});
+visualizeLatitudeTemperatures("Present Day Temperature Profile (10° grid)", fineGridRegional);
+
+// ========== EXAMPLE 7: INTERACTIVE REGIONAL CLIMATE EXPLORER SIMULATION ==========
+console.log("\n\n🔍 EXAMPLE 7: INTERACTIVE REGIONAL CLIMATE EXPLORER");
 console.log("\nTo create an interactive visualization in your application:");
 console.log("1. Use the regional temperature calculations to generate data for all latitudes");
 console.log("2. Map the temperature values to colors (blue for cold, red for warm)");
@@ -239,18 +246,15 @@ console.log(`
 // In your React component
 function ClimateExplorer() {
   const [params, setParams] = useState({
-    eccentricity: 0.0167,
-    axialTilt: 23.44,
-    precession: 102.0,
-    co2Level: 415,
+    ...presetParams('today'),
     season: 0.5,
     timeScaleYears: 0,
     sensitivityLevel: 'medium'
   });
   
-  // Calculate temperatures whenever params change
+  // Calculate temperatures on a 5° grid whenever params change
   const regionalData = useMemo(() => 
-    calculateRegionalTemperatures(params), 
+    calculateRegionalTemperatures(params, { latitudes: createLatitudeGrid(5) }), 
     [params]
   );
   
@@ -7,8 +7,42 @@
 
 import { 
   calculateGlobalTemperature, 
-  calculateRegionalTemperatures 
+  calculateRegionalTemperatures,
+  calculateAnnualMeanTemperature,
+  calculateDailyInsolation,
+  calculateSeasonalVariation,
+  calculateLatitudeWeights,
+  createLatitudeGrid,
+  getLatitudeBaseTemperature,
+  SURFACE_TYPES
 } from '../lib/temperatureUtils.js';
+import { calculateEnergyBalanceTemperature } from '../lib/energyBalanceModel.js';
+import { runIceVolumeModel } from '../lib/iceVolumeModel.js';
+import { calculateLatitudeCalibration, getClimateEngine } from '../lib/climateEngines.js';
+import { REFERENCE_PLACES, PLACE_ORDER } from '../lib/referencePlaces.js';
+import { compareClimates, createGlacialComparison } from '../lib/climateComparison.js';
+import { buildAttributionSteps } from '../lib/forcingAttribution.js';
+import { separateFactors, ORBITAL_FACTORS } from '../lib/factorSeparation.js';
+import { solveForGoal } from '../lib/inverseSolver.js';
+import {
+  DEFAULT_MISSION_PACK,
+  evaluateMission,
+  missionGoal,
+  parseMissionPack,
+  resolveMission
+} from '../lib/missions.js';
+import { PRESETS, PRESET_ORDER, checkPresetSchema, presetParams } from '../lib/presets.js';
+import { calculateOrbitalParameters } from '../lib/orbitalSolution.js';
+import { buildValidationReport } from '../lib/modelValidation.js';
+import { ClimateInputError, warningLabels } from '../lib/climateDiagnostics.js';
+import { CALENDARS, convertOrbitalPosition } from '../lib/orbitalCalendar.js';
+import { ENSEMBLE_PARAMETERS, runSensitivityEnsemble } from '../lib/sensitivityEnsemble.js';
+import {
+  CLIMATE_FEEDBACKS,
+  FEEDBACK_ORDER,
+  feedbackEffectKey,
+  registerClimateFeedback
+} from '../lib/climateFeedbacks.js';
 
 // Print results in a nicely formatted way
 function printTemperatureResults(label, results) {
@@ -38,11 +72,9 @@ function printRegionalResults(label, results) {
 // ======== TEST SCENARIO 1: PRESENT DAY CONDITIONS ========
 console.log("\n\n🌍 SCENARIO 1: PRESENT DAY CONDITIONS");
 
+// Orbit and pre-industrial CO2 from the preset registry (src/lib/presets.js)
 const presentDayParams = {
-  eccentricity: 0.0167,          // Current eccentricity
-  axialTilt: 23.44,              // Current axial tilt (obliquity) in degrees
-  precession: 102.0,             // Current precession angle in degrees
-  co2Level: 415,                 // Current CO2 level (2023) in ppm
+  ...presetParams('today'),
   season: 0.5,                   // Mid-year
   sensitivityLevel: 'medium'     // Medium climate sensitivity
 };
@@ -62,10 +94,7 @@ printRegionalResults("Present day - Global", presentDayGlobal);
 console.log("\n\n❄️ SCENARIO 2: LAST GLACIAL MAXIMUM (20,000 YEARS AGO)");
 
 const lgmParams = {
-  eccentricity: 0.019,           // Higher eccentricity during LGM
-  axialTilt: 22.95,              // Lower axial tilt during LGM
-  precession: 114.0,             // Different precession (perihelion in different season)
-  co2Level: 180,                 // Lower CO2 during ice age
+  ...presetParams('lgm'),
   season: 0.5,                   // Mid-year
   timeScaleYears: 10000,         // Full ice sheet development
   sensitivityLevel: 'medium'     // Medium climate sensitivity
@@ -87,10 +116,7 @@ printTemperatureResults("Last Glacial Maximum - 65°N", lgm65N);
 console.log("\n\n☀️ SCENARIO 3: MID-HOLOCENE OPTIMUM (6,000 YEARS AGO)");
 
 const midHoloceneParams = {
-  eccentricity: 0.019,           // Higher eccentricity than today
-  axialTilt: 24.1,               // Higher tilt than today
-  precession: 0.0,               // Perihelion close to Northern Hemisphere summer
-  co2Level: 265,                 // Slightly lower CO2 than pre-industrial
+  ...presetParams('midHolocene'),
   season: 0.5,                   // Summer in Northern Hemisphere
   timeScaleYears: 5000,          // Long-term equilibrium
   sensitivityLevel: 'medium'
@@ -103,10 +129,9 @@ printRegionalResults("Mid-Holocene Optimum - Global", midHoloceneGlobal);
 // ======== TEST SCENARIO 4: FUTURE HIGH CO2 SCENARIO (2100) ========
 console.log("\n\n🔥 SCENARIO 4: FUTURE HIGH CO2 SCENARIO (YEAR 2100)");
 
+// Today's orbit (negligible change over 100 years); CO2 is set per scenario
 const futureScenariosParams = {
-  eccentricity: 0.0167,          // Same as present (negligible change over 100 years)
-  axialTilt: 23.44,              // Same as present (negligible change over 100 years)
-  precession: 102.0,             // Same as present (negligible change over 100 years)
+  ...presetParams('today'),
   season: 0.5                    // Mid-year
 };
 
@@ -161,4 +186,338 @@ const co2Double1000yrResponse = calculateGlobalTemperature({
 });
 printTemperatureResults("CO2 Doubling - 1000 Year Response", co2Double1000yrResponse);
 
+// ======== TEST SCENARIO 6: ENERGY BALANCE MODEL ENGINE ========
+console.log("\n\n🌐 SCENARIO 6: ENERGY BALANCE MODEL (BUDYKO-SELLERS) ENGINE");
+
+// Same parameters as the simple model, integrated through the seasons
+const presentDayEBM = calculateEnergyBalanceTemperature({
+  ...presentDayParams,
+  latitude: 65,
+  annualMean: true
+});
+printTemperatureResults("Present day - 65°N annual mean (EBM)", presentDayEBM);
+console.log(`Global mean temperature: ${presentDayEBM.globalMeanTemperature.toFixed(2)}°C`);
+
+const lgmEBM = calculateEnergyBalanceTemperature({
+  ...lgmParams,
+  latitude: 65,
+  annualMean: true
+});
+printTemperatureResults("Last Glacial Maximum - 65°N annual mean (EBM)", lgmEBM);
+console.log(`Global mean temperature: ${lgmEBM.globalMeanTemperature.toFixed(2)}°C`);
+
+// ======== TEST SCENARIO 7: ICE VOLUME MODEL ========
+console.log("\n\n🧊 SCENARIO 7: ICE VOLUME MODEL (IMBRIE & IMBRIE)");
+
+// Ice volume integrated over the last glacial cycle
+const iceSeries = runIceVolumeModel({ startYear: -130000, endYear: 0, stepYears: 1000 });
+[-125000, -115000, -70000, -21000, -11000, 0].forEach(year => {
+  const point = iceSeries.find(p => p.year === year);
+  console.log(
+    `${String(year).padStart(8)} yrs: ` +
+    `65°N June insolation ${point.insolation.toFixed(1)} W/m², ` +
+    `sea level ${point.seaLevel.toFixed(1)} m`
+  );
+});
+
+// ======== TEST SCENARIO 8: LATITUDE CALIBRATION ========
+console.log("\n\n📍 SCENARIO 8: PRESENT-DAY BASELINE BY LATITUDE");
+
+// Today's annual mean and the range the playground sliders can reach
+PLACE_ORDER.forEach(key => {
+  const place = REFERENCE_PLACES[key];
+  const { baseline, min, max } = calculateLatitudeCalibration('simple', place.latitude);
+  console.log(
+    `${place.name.padEnd(32)} ${String(place.latitude).padStart(6)}°: ` +
+    `today ${baseline.toFixed(1)}°C, sliders reach ${min.toFixed(1)} to ${max.toFixed(1)}°C`
+  );
+});
+
+// ======== TEST SCENARIO 9: A/B COMPARISON ========
+console.log("\n\n⚖️ SCENARIO 9: TODAY (A) AGAINST THE LAST GLACIAL MAXIMUM (B)");
+
+// Same latitude and engine on both sides; only the setup differs
+const comparisonA = calculateAnnualMeanTemperature({ ...presetParams('today'), latitude: 65 });
+const comparisonB = calculateAnnualMeanTemperature({ ...createGlacialComparison(), latitude: 65 });
+compareClimates(comparisonA, comparisonB).forEach(row => {
+  const digits = row.unit ? 2 : 3;
+  console.log(
+    `${row.label.padEnd(18)} A ${row.a.toFixed(digits).padStart(8)}  ` +
+    `B ${row.b.toFixed(digits).padStart(8)}  B−A ${row.difference.toFixed(digits).padStart(8)}${row.unit}`
+  );
+});
+
+// ======== TEST SCENARIO 10: FORCING ATTRIBUTION ========
+console.log("\n\n📊 SCENARIO 10: WATERFALL FROM TODAY TO THE LAST GLACIAL MAXIMUM");
+
+// Each step is the change in one component; the steps must land on B's temperature
+const attribution = buildAttributionSteps(comparisonB, comparisonA);
+console.log(`${attribution.start.label.padEnd(18)} ${attribution.start.value.toFixed(2)}°C`);
+attribution.steps.forEach(step => {
+  console.log(`${step.label.padEnd(18)} ${step.value >= 0 ? '+' : ''}${step.value.toFixed(2)}°C → ${step.to.toFixed(2)}°C`);
+});
+console.log(`${attribution.end.label.padEnd(18)} ${attribution.end.value.toFixed(2)}°C`);
+
+// ======== TEST SCENARIO 11: FACTOR SEPARATION ========
+console.log("\n\n🧩 SCENARIO 11: FACTOR SEPARATION, TODAY TO THE LAST GLACIAL MAXIMUM");
+
+// Stein & Alpert (1993): pure contributions plus interactions must equal the total
+const separation = separateFactors({
+  reference: presetParams('today'),
+  target: createGlacialComparison(),
+  factors: [...ORBITAL_FACTORS, 'co2Level'],
+  baseParams: { latitude: 65 },
+  calculate: calculateAnnualMeanTemperature
+});
+separation.terms.forEach(term => {
+  console.log(`${term.factors.join(' × ').padEnd(48)} ${term.value >= 0 ? '+' : ''}${term.value.toFixed(3)}°C`);
+});
+const separatedSum = separation.terms.reduce((sum, term) => sum + term.value, 0);
+console.log(`Total ${separation.total.toFixed(3)}°C from ${separation.runs} runs; terms sum to ${separatedSum.toFixed(3)}°C`);
+
+// ======== TEST SCENARIO 12: MISSION REACHABILITY ========
+console.log("\n\n🎯 SCENARIO 12: EVERY MISSION REACHABLE FROM TODAY'S ORBIT");
+
+// The inverse solver must find dial settings for each built-in mission it
+// can chase (single temperature or ice condition) at each place
+const missionChecks = [
+  ...PLACE_ORDER.map(key => ({ engineKey: 'simple', latitude: REFERENCE_PLACES[key].latitude })),
+  { engineKey: 'ebm', latitude: 65 }
+];
+missionChecks.forEach(({ engineKey, latitude }) => {
+  const engine = getClimateEngine(engineKey);
+  const calibration = calculateLatitudeCalibration(engineKey, latitude);
+  const missions = DEFAULT_MISSION_PACK.missions
+    .map(mission => resolveMission(mission, calibration))
+    .filter(mission => missionGoal(mission));
+  const outcomes = missions.map(mission => {
+    const { co2Level, ...todayOrbit } = presetParams('today');
+    const solution = solveForGoal({
+      start: todayOrbit,
+      goal: missionGoal(mission),
+      baseParams: { latitude, co2Level, tempOffset: 0 },
+      calculate: engine.calculateAnnualMean
+    });
+    return `${mission.id} ${solution.reached ? '✅' : '❌'} ${solution.value.toFixed(1)}°C (${solution.evaluations} runs)`;
+  });
+  console.log(`${engineKey.padEnd(6)} ${String(latitude).padStart(6)}°: ${outcomes.join(', ')}`);
+});
+
+// ======== TEST SCENARIO 13: MISSION PACKS ========
+console.log("\n\n📚 SCENARIO 13: A TEACHER'S MISSION PACK");
+
+// Conditions on the dials and on June sunshine, plus one unreadable mission
+const teacherPack = parseMissionPack(JSON.stringify({
+  title: 'Orbit basics',
+  missions: [
+    { id: 'lean', title: 'Lean over', conditions: [{ output: 'axialTilt', comparison: 'atLeast', value: 24.2 }] },
+    { id: 'sun', title: 'Bright June', conditions: [{ output: 'summerInsolation', latitude: 65, comparison: 'between', min: 500, max: 560 }] },
+    { id: 'broken', conditions: [{ output: 'temperature', comparison: 'roughly' }] }
+  ]
+}));
+console.log(`Loaded "${teacherPack.pack.title}" (${teacherPack.pack.id}): ${teacherPack.pack.missions.length} missions, ${teacherPack.skipped} skipped`);
+const teacherParams = { eccentricity: 0.04, axialTilt: 24.3, precession: 180, co2Level: 280, latitude: 65 };
+const teacherContext = {
+  params: teacherParams,
+  result: calculateAnnualMeanTemperature({ ...teacherParams, tempOffset: 0 })
+};
+teacherPack.pack.missions.forEach(mission => {
+  const resolved = resolveMission(mission, calculateLatitudeCalibration('simple', 65));
+  const { complete, conditions } = evaluateMission(resolved, teacherContext);
+  const actual = conditions.map(condition => condition.actual.toFixed(1)).join(', ');
+  console.log(`${resolved.title.padEnd(12)} ${resolved.target.padEnd(28)} now ${actual} ${complete ? '✅' : '❌'}`);
+});
+
+// ======== TEST SCENARIO 14: PRESET REGISTRY ========
+console.log("\n\n🗂️ SCENARIO 14: THE PRESET REGISTRY");
+
+// Every preset is well formed, and orbits taken from the solution still match it
+PRESET_ORDER.forEach(key => {
+  const preset = PRESETS[key];
+  const problems = checkPresetSchema(preset);
+  let orbit = preset.orbitSource;
+  if (preset.orbitSource === 'solution') {
+    const solution = calculateOrbitalParameters(preset.year);
+    const precessionGap = Math.abs((((preset.precession - solution.precession) % 360) + 540) % 360 - 180);
+    orbit += ` (Δe ${Math.abs(preset.eccentricity - solution.eccentricity).toFixed(4)}, ` +
+      `Δtilt ${Math.abs(preset.axialTilt - solution.axialTilt).toFixed(2)}°, Δprec ${precessionGap.toFixed(1)}°)`;
+  }
+  const expected = preset.expectedTemperature ? `${preset.expectedTemperature.range.join('–')}°C` : 'no reference';
+  console.log(`${key.padEnd(12)} ${problems.length ? '❌ ' + problems.join('; ') : '✅'} ${orbit}, expected ${expected}`);
+});
+
+// ======== TEST SCENARIO 15: MODEL VALIDATION REPORT ========
+console.log("\n\n📋 SCENARIO 15: PRESETS AGAINST PUBLISHED TEMPERATURES");
+
+// The same report scripts/validate-model.js prints, from the shipped model
+const validationReport = buildValidationReport();
+validationReport.presets
+  .filter(entry => entry.status !== 'skipped')
+  .forEach(entry => {
+    const [min, max] = entry.expected.range;
+    console.log(`${entry.key.padEnd(12)} ${entry.computed.temperature.toFixed(2).padStart(6)}°C vs ${min}–${max}°C ${entry.status === 'pass' ? '✅' : '❌'}`);
+  });
+const { passed, failed, skipped } = validationReport.summary;
+console.log(`${passed} passed, ${failed} failed, ${skipped} skipped`);
+
+// ======== TEST SCENARIO 16: CALENDARS ========
+console.log("\n\n📅 SCENARIO 16: MID-JULY UNDER EACH CALENDAR");
+
+// 15 July at 65°N, today and in the mid-Holocene, under both calendars
+const midJuly = 196;
+[['today', PRESETS.today], ['midHolocene', PRESETS.midHolocene]].forEach(([key, preset]) => {
+  Object.keys(CALENDARS).forEach(calendar => {
+    const insolation = calculateDailyInsolation(
+      65, midJuly, preset.eccentricity, preset.axialTilt, preset.precession,
+      { input: 'dayOfYear', calendar }
+    );
+    console.log(`${key.padEnd(12)} ${calendar.padEnd(14)} ${insolation.toFixed(1)} W/m²`);
+  });
+});
+
+// Day → solar longitude → day comes back to where it started
+const roundTrip = convertOrbitalPosition({
+  input: 'solarLongitude',
+  value: convertOrbitalPosition({ input: 'dayOfYear', value: midJuly, eccentricity: 0.05, longitudeOfPerihelion: 270 }).solarLongitude,
+  eccentricity: 0.05,
+  longitudeOfPerihelion: 270
+});
+console.log(`Round trip at e = 0.05: day ${midJuly} → day ${roundTrip.dayOfYear.toFixed(4)} ${Math.abs(roundTrip.dayOfYear - midJuly) < 1e-6 ? '✅' : '❌'}`);
+
+// ======== TEST SCENARIO 17: SEASONAL CYCLE ========
+console.log("\n\n🌡️ SCENARIO 17: SEASONS FROM SUNLIGHT AND HEAT CAPACITY");
+
+// Seasonal swing at 65°N over land and ocean, and when in the year it peaks
+const seasonalCycle = (axialTilt, surfaceType) => {
+  const days = Array.from({ length: 73 }, (_, i) => i * 5);
+  const values = days.map(day => calculateSeasonalVariation(
+    65, day / 365.2422, { ...PRESETS.today, axialTilt }, surfaceType
+  ));
+  const peak = values.indexOf(Math.max(...values));
+  return { range: Math.max(...values) - Math.min(...values), peakDay: days[peak] + 1 };
+};
+Object.keys(SURFACE_TYPES).forEach(surfaceType => {
+  [22.1, 24.5].forEach(axialTilt => {
+    const { range, peakDay } = seasonalCycle(axialTilt, surfaceType);
+    console.log(`${surfaceType.padEnd(6)} tilt ${axialTilt}°: range ${range.toFixed(1)}°C, warmest near day ${peakDay}`);
+  });
+});
+
+// ======== TEST SCENARIO 18: LATITUDE GRIDS ========
+console.log("\n\n🗺️ SCENARIO 18: GLOBAL MEAN ON FINER LATITUDE GRIDS");
+
+// Area weights cover the sphere and the global mean settles as the grid refines
+[undefined, 10, 5, 2.5].forEach(step => {
+  const latitudes = step ? createLatitudeGrid(step) : undefined;
+  const regional = calculateRegionalTemperatures({ ...presetParams('today'), season: 0 }, { latitudes });
+  const weightSum = regional.bandResults.reduce((sum, band) => sum + band.weight, 0);
+  const label = step ? `${step}° grid` : 'named bands';
+  console.log(`${label.padEnd(12)} ${String(regional.bandResults.length).padStart(3)} bands, weights sum ${weightSum.toFixed(4)}, global ${regional.globalTemperature.toFixed(2)}°C`);
+});
+const fiveDegreeWeights = calculateLatitudeWeights(createLatitudeGrid(5));
+console.log(`5° grid: equator weight ${fiveDegreeWeights[18].toFixed(4)}, pole weight ${fiveDegreeWeights[0].toFixed(4)}`);
+
+// Baseline temperatures change smoothly with latitude
+console.log(`Baseline 50°, 52.4°, 55°: ${[50, 52.4, 55].map(lat => getLatitudeBaseTemperature(lat).toFixed(2)).join(', ')}°C`);
+
+// ======== TEST SCENARIO 19: DIAGNOSTICS ========
+console.log("\n\n🩺 SCENARIO 19: INPUT ERRORS AND CLAMPING WARNINGS");
+
+// Out-of-range inputs are refused with a typed error instead of a made-up climate
+[
+  { eccentricity: 0.3 },
+  { co2Level: -10 },
+  { sensitivityLevel: 'extreme' }
+].forEach(change => {
+  try {
+    calculateGlobalTemperature({ ...presetParams('today'), ...change });
+    console.log(`${JSON.stringify(change)} ❌ accepted`);
+  } catch (error) {
+    console.log(`${JSON.stringify(change)} ${error instanceof ClimateInputError ? '✅' : '❌'} ${error.message}`);
+  }
+});
+
+// A result the model had to clamp says so
+const clampedResult = calculateGlobalTemperature({ ...presetParams('today'), latitude: 0, tempOffset: 40 });
+console.log(`Offset +40°C at the equator: ${clampedResult.temperature.toFixed(1)}°C, ` +
+  `warnings: ${clampedResult.diagnostics.warnings.map(warning => warning.message).join('; ') || 'none ❌'}`);
+const clampedLabels = warningLabels(clampedResult.diagnostics.warnings);
+console.log(`Badge label: ${clampedLabels.join(' · ')} ${clampedLabels.join() === 'Clamped' ? '✅' : '❌'}`);
+
+// ======== TEST SCENARIO 20: SENSITIVITY ENSEMBLE ========
+console.log("\n\n🎲 SCENARIO 20: FEEDBACK UNCERTAINTY ENSEMBLE (65°N)");
+
+Object.values(ENSEMBLE_PARAMETERS).forEach(({ label, min, max, unit }) => {
+  console.log(`${label}: ${min} to ${max} ${unit}`);
+});
+
+['today', 'lgm', 'petm'].forEach(key => {
+  const params = { ...presetParams(key), latitude: 65, tempOffset: 0 };
+  const single = calculateAnnualMeanTemperature(params).temperature;
+  const { size, temperature, iceFactor } = runSensitivityEnsemble(params);
+  const again = runSensitivityEnsemble(params).temperature;
+  const ordered = temperature.p5 <= temperature.median && temperature.median <= temperature.p95;
+  const repeatable = again.median === temperature.median && again.p95 === temperature.p95;
+  // The sampled ice-albedo strength keeps the band open even at 280 ppm
+  const spread = temperature.p95 - temperature.p5 > 0.1;
+  // The default parameters sit inside the sampled ranges, so their run should too
+  const containsSingle = temperature.p5 <= single && single <= temperature.p95;
+  console.log(`${PRESETS[key].name} (${params.co2Level} ppm, ${size} runs): ` +
+    `median ${temperature.median.toFixed(1)}°C, 5–95% ${temperature.p5.toFixed(1)} to ${temperature.p95.toFixed(1)}°C ` +
+    `(single run ${single.toFixed(1)}°C); ice ${(iceFactor.p5 * 100).toFixed(0)}–${(iceFactor.p95 * 100).toFixed(0)}% ` +
+    `${ordered && repeatable && spread && containsSingle ? '✅' : '❌'}`);
+});
+
+// ======== TEST SCENARIO 21: FEEDBACK REGISTRY ========
+console.log("\n\n🧩 SCENARIO 21: FEEDBACK REGISTRY (PETM, 65°N annual mean)");
+
+const petmParams = { ...presetParams('petm'), latitude: 65, tempOffset: 0 };
+const defaultFeedbackResult = calculateAnnualMeanTemperature(petmParams);
+console.log(`Default feedbacks (${defaultFeedbackResult.enabledFeedbacks.join(', ')}): ` +
+  `${defaultFeedbackResult.temperature.toFixed(2)}°C`);
+
+// Each feedback flipped from its default on its own
+FEEDBACK_ORDER.forEach(key => {
+  const { name, defaultEnabled } = CLIMATE_FEEDBACKS[key];
+  const flipped = calculateAnnualMeanTemperature({ ...petmParams, feedbacks: { [key]: { enabled: !defaultEnabled } } });
+  const own = defaultEnabled ? defaultFeedbackResult : flipped;
+  console.log(`${name.padEnd(18)} ${defaultEnabled ? 'off' : 'on '}: ` +
+    `${(flipped.temperature - defaultFeedbackResult.temperature).toFixed(2)}°C change, ` +
+    `own effect ${own[feedbackEffectKey(key)].toFixed(2)}°C`);
+});
+
+// Extra feedbacks appear in the waterfall, which still closes without an "Other" step
+const allOn = calculateAnnualMeanTemperature({
+  ...petmParams,
+  feedbacks: Object.fromEntries(FEEDBACK_ORDER.map(key => [key, { enabled: true }]))
+});
+const allOnSteps = buildAttributionSteps(allOn).steps;
+console.log(`All on: ${allOn.temperature.toFixed(2)}°C, waterfall ${allOnSteps.map(step => step.label).join(' → ')} ` +
+  `${allOnSteps.some(step => step.key === 'residual') ? '❌' : '✅'}`);
+
+// Bad settings are refused, bad plug-ins are kept out
+[
+  { unknown: { enabled: true } },
+  { methane: { enabled: true, ch4Level: -5 } }
+].forEach(feedbacks => {
+  try {
+    calculateGlobalTemperature({ ...presetParams('today'), feedbacks });
+    console.log(`${JSON.stringify(feedbacks)} ❌ accepted`);
+  } catch (error) {
+    console.log(`${JSON.stringify(feedbacks)} ${error instanceof ClimateInputError ? '✅' : '❌'} ${error.message}`);
+  }
+});
+const rejected = registerClimateFeedback({ key: 'broken', name: 'Broken', stage: 'ocean', parameters: {} });
+console.log(`Plug-in without calculate: ${rejected.length > 0 ? '✅' : '❌'} ${rejected.join('; ')}`);
+
 console.log("\n\nAll tests completed.");
+
+// ======== TEST SCENARIO 22: TODAY'S ORBIT AT 2023 CO2 ========
+console.log("\n\n🏭 SCENARIO 22: TODAY'S ORBIT WITH 2023 CO2 (415 ppm)");
+
+// The registry's "today" is pre-industrial; this is the same orbit with
+// present-day air, against which the 280 ppm run shows the CO2 share
+const presentDay415 = calculateRegionalTemperatures({ ...presentDayParams, co2Level: 415 });
+printRegionalResults("Present day orbit, 415 ppm - Global", presentDay415);
+console.log(`Warmer than 280 ppm: ${(presentDay415.globalTemperature - presentDayGlobal.globalTemperature).toFixed(2)}°C ` +
+  `${presentDay415.globalTemperature > presentDayGlobal.globalTemperature ? '✅' : '❌'}`);
@@ -0,0 +1,61 @@
+/**
+ * Climate Comparison
+ *
+ * Lines up two climate results (A and B) field by field so the playground
+ * can show what changed between two setups, e.g. the Last Glacial Maximum
+ * against today. Works with the result of either climate engine.
+ *
+ * Scientific references:
+ * - Monnin, E., et al. (2001). Atmospheric CO2 concentrations over the last glacial termination. Science, 291(5501), 112-114.
+ */
+
+import { presetParams } from './presets.js';
+import { CLIMATE_FEEDBACKS, feedbackEffectKey, FEEDBACK_ORDER } from './climateFeedbacks.js';
+
+// Fields compared, in display order; units are for labels only
+export const COMPARISON_FIELDS = [
+  { key: 'temperature', label: 'Temperature', unit: '°C' },
+  { key: 'iceFactor', label: 'Ice factor', unit: '' },
+  { key: 'insolationEffect', label: 'Sunlight (orbit)', unit: '°C' },
+  { key: 'co2Effect', label: 'CO₂', unit: '°C' },
+  { key: 'waterVaporEffect', label: 'Water vapour', unit: '°C' },
+  { key: 'cloudEffect', label: 'Clouds', unit: '°C' },
+  { key: 'iceAlbedoEffect', label: 'Ice-albedo', unit: '°C' },
+  { key: 'seasonalEffect', label: 'Season', unit: '°C' }
+];
+
+// Listed fields plus a row for every other feedback switched on in A or B
+function comparisonFields(resultA, resultB) {
+  const listed = new Set(COMPARISON_FIELDS.map(({ key }) => key));
+  const enabled = new Set([...(resultA?.enabledFeedbacks || []), ...(resultB?.enabledFeedbacks || [])]);
+  const extra = FEEDBACK_ORDER
+    .filter(key => enabled.has(key) && !listed.has(feedbackEffectKey(key)))
+    .map(key => ({ key: feedbackEffectKey(key), label: CLIMATE_FEEDBACKS[key].name, unit: '°C' }));
+  const seasonIndex = COMPARISON_FIELDS.findIndex(({ key }) => key === 'seasonalEffect');
+  return [...COMPARISON_FIELDS.slice(0, seasonIndex), ...extra, ...COMPARISON_FIELDS.slice(seasonIndex)];
+}
+
+/**
+ * Compare two climate results
+ *
+ * @param {Object} resultA - Result from calculateGlobalTemperature (or an engine's annual mean)
+ * @param {Object} resultB - Result for the second setup
+ * @returns {Array<Object>} - One row per field: { key, label, unit, a, b, difference } (difference = B - A);
+ *   feedbacks beyond COMPARISON_FIELDS get a row when switched on in either result
+ */
+export function compareClimates(resultA, resultB) {
+  return comparisonFields(resultA, resultB).map(({ key, label, unit }) => {
+    const a = Number.isFinite(resultA?.[key]) ? resultA[key] : 0;
+    const b = Number.isFinite(resultB?.[key]) ? resultB[key] : 0;
+    return { key, label, unit, a, b, difference: b - a };
+  });
+}
+
+/**
+ * Setup for the Last Glacial Maximum, the default B side of a comparison
+ *
+ * @returns {Object} - { eccentricity, axialTilt, precession, co2Level }
+ */
+export function createGlacialComparison() {
+  return presetParams('lgm');
+}
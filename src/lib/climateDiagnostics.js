@@ -0,0 +1,177 @@
+/**
+ * Climate Diagnostics
+ *
+ * Input checks and result diagnostics for the climate model, so a number
+ * shown to a student is either a real model result or visibly marked as not
+ * one.
+ *
+ * - Inputs outside the range the model is built for throw a
+ *   ClimateInputError naming the parameter, the value and the accepted range.
+ *   These are caller mistakes and are never papered over.
+ * - Results carry a diagnostics object: { fallback, warnings, errors }.
+ *   Warnings record where the model had to step in, e.g. a temperature
+ *   clamped to the plausible range; fallback is true when the calculation
+ *   failed and the numbers are stand-in baselines rather than model output.
+ */
+
+// Range the model is built for; wider than the playground sliders
+export const CLIMATE_PARAMETER_LIMITS = {
+  latitude: { min: -90, max: 90, unit: '°' },
+  eccentricity: { min: 0, max: 0.1, unit: '' },
+  axialTilt: { min: 0, max: 90, unit: '°' },
+  precession: { unit: '°' },
+  co2Level: { min: 100, max: 5000, unit: ' ppm' },
+  season: { unit: '' },
+  tempOffset: { unit: '°C' },
+  timeScaleYears: { min: 0, unit: ' years' },
+  climateSensitivity: { min: 0.1, max: 2, unit: ' °C per W/m²' },
+  waterVaporFeedback: { min: 1, max: 3, unit: '' },
+  cloudFeedback: { min: -0.5, max: 0.5, unit: '' }
+};
+
+// Parameters every temperature calculation needs
+const REQUIRED_PARAMETERS = ['eccentricity', 'axialTilt', 'precession', 'co2Level'];
+
+/**
+ * A climate input the model cannot use
+ */
+export class ClimateInputError extends Error {
+  /**
+   * @param {string} parameter - Parameter name, e.g. 'eccentricity'
+   * @param {*} value - The value that was given
+   * @param {string} expected - What was expected, e.g. 'between 0 and 0.1'
+   */
+  constructor(parameter, value, expected) {
+    super(`${parameter} must be ${expected} (got ${value})`);
+    this.name = 'ClimateInputError';
+    this.parameter = parameter;
+    this.value = value;
+    this.expected = expected;
+  }
+}
+
+function describeLimits({ min, max, unit }) {
+  if (min !== undefined && max !== undefined) return `between ${min}${unit} and ${max}${unit}`;
+  if (min !== undefined) return `at least ${min}${unit}`;
+  return 'a finite number';
+}
+
+/**
+ * Check climate parameters against the model's limits
+ *
+ * @param {Object} params - Any of the CLIMATE_PARAMETER_LIMITS fields
+ * @param {Object} options - { required: parameters that must be present, choices: { name: [allowed values] },
+ *   limits: ranges to check against (default: CLIMATE_PARAMETER_LIMITS) }
+ * @returns {Array<ClimateInputError>} - One error per unusable parameter (empty when all are fine)
+ */
+export function checkClimateParams(params, {
+  required = REQUIRED_PARAMETERS,
+  choices = {},
+  limits: parameterLimits = CLIMATE_PARAMETER_LIMITS
+} = {}) {
+  const errors = [];
+
+  required.forEach(parameter => {
+    if (params[parameter] === undefined || params[parameter] === null) {
+      errors.push(new ClimateInputError(parameter, params[parameter], describeLimits(parameterLimits[parameter])));
+    }
+  });
+
+  Object.entries(parameterLimits).forEach(([parameter, limits]) => {
+    const value = params[parameter];
+    if (value === undefined || value === null) return;
+    const outside = typeof value !== 'number' || !Number.isFinite(value) ||
+      (limits.min !== undefined && value < limits.min) ||
+      (limits.max !== undefined && value > limits.max);
+    if (outside) errors.push(new ClimateInputError(parameter, value, describeLimits(limits)));
+  });
+
+  Object.entries(choices).forEach(([parameter, allowed]) => {
+    const value = params[parameter];
+    if (value !== undefined && !allowed.includes(value)) {
+      errors.push(new ClimateInputError(parameter, value, `one of ${allowed.join(', ')}`));
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Throw the first problem checkClimateParams finds
+ *
+ * @param {Object} params - Climate parameters
+ * @param {Object} options - Same options as checkClimateParams
+ * @throws {ClimateInputError}
+ */
+export function assertClimateParams(params, options) {
+  const [error] = checkClimateParams(params, options);
+  if (error) throw error;
+}
+
+// Short label for each warning code, for badges next to a reading
+export const WARNING_LABELS = {
+  'temperature-clamped': 'Clamped',
+  'temperature-invalid': 'Not a number — replaced',
+  'bands-skipped': 'Bands left out'
+};
+
+/**
+ * Labels for the kinds of warning a result carries
+ *
+ * @param {Array<Object>} warnings - Warnings from a diagnostics record
+ * @returns {Array<string>} - One label per warning code, in first-seen order;
+ *   codes without a label read 'Adjusted'
+ */
+export function warningLabels(warnings) {
+  return [...new Set(warnings.map(({ code }) => WARNING_LABELS[code] || 'Adjusted'))];
+}
+
+/**
+ * Start an empty diagnostics record
+ *
+ * @returns {Object} - { fallback: false, warnings: [], errors: [] }
+ */
+export function createDiagnostics() {
+  return { fallback: false, warnings: [], errors: [] };
+}
+
+/**
+ * Record a warning
+ *
+ * @param {Object} diagnostics - Record from createDiagnostics (ignored when null)
+ * @param {string} code - Short machine-readable code, e.g. 'temperature-clamped'
+ * @param {string} message - Readable explanation
+ */
+export function addWarning(diagnostics, code, message) {
+  if (diagnostics) diagnostics.warnings.push({ code, message });
+}
+
+/**
+ * Combine the diagnostics of several results
+ *
+ * @param {Array<Object>} list - Diagnostics records (missing entries are skipped)
+ * @returns {Object} - One record; fallback if any was, repeated messages kept once
+ */
+export function mergeDiagnostics(list) {
+  const merged = createDiagnostics();
+  list.filter(Boolean).forEach(diagnostics => {
+    merged.fallback = merged.fallback || diagnostics.fallback;
+    diagnostics.warnings.forEach(warning => {
+      if (!merged.warnings.some(w => w.message === warning.message)) merged.warnings.push(warning);
+    });
+    diagnostics.errors.forEach(error => {
+      if (!merged.errors.includes(error)) merged.errors.push(error);
+    });
+  });
+  return merged;
+}
+
+/**
+ * Whether a result holds stand-in numbers instead of model output
+ *
+ * @param {Object} result - Any climate result
+ * @returns {boolean}
+ */
+export function isFallbackResult(result) {
+  return Boolean(result && (result.calculationError || result.diagnostics?.fallback));
+}
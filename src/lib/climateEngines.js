@@ -0,0 +1,107 @@
+/**
+ * Climate Engines
+ *
+ * The playground can compute its climate with either the static "simple"
+ * model in temperatureUtils.js or the time-stepping energy balance model in
+ * energyBalanceModel.js. Both return the same result fields, so callers only
+ * pick an engine key.
+ */
+
+import {
+  calculateGlobalTemperature,
+  calculateAnnualMeanTemperature,
+} from './temperatureUtils.js';
+import { calculateEnergyBalanceTemperature } from './energyBalanceModel.js';
+import { createLruCache } from './lruCache.js';
+import { presetParams } from './presets.js';
+
+export const CLIMATE_ENGINES = {
+  simple: {
+    key: 'simple',
+    name: 'Simple',
+    description: 'Offsets from a fixed present-day temperature for each latitude.',
+    calculate: calculateGlobalTemperature,
+    calculateAnnualMean: calculateAnnualMeanTemperature,
+    calculateTimelineMean: calculateAnnualMeanTemperature,
+    timelineStepYears: 2000, // Sampling interval for long timelines
+    supportsEnsemble: true, // Takes the sampled feedback parameters (sensitivityEnsemble.js)
+    supportsFeedbacks: true, // Runs the feedback registry (climateFeedbacks.js)
+  },
+  ebm: {
+    key: 'ebm',
+    name: 'Energy balance',
+    description: 'Budyko–Sellers model: sunlight, heat transport and ice stepped through the seasons.',
+    calculate: calculateEnergyBalanceTemperature,
+    calculateAnnualMean: (params) => calculateEnergyBalanceTemperature({ ...params, annualMean: true }),
+    // Timeline sweeps bypass the run cache so the current setup's runs stay in it
+    calculateTimelineMean: (params) =>
+      calculateEnergyBalanceTemperature({ ...params, annualMean: true }, { useCache: false }),
+    timelineStepYears: 5000, // Each sample integrates the model, so sample more sparsely
+    supportsEnsemble: false, // Feedbacks come from its own physics, not the sampled factors
+    supportsFeedbacks: false,
+  },
+};
+
+export const CLIMATE_ENGINE_ORDER = ['simple', 'ebm'];
+
+export const DEFAULT_CLIMATE_ENGINE = 'simple';
+
+/**
+ * Look up a climate engine by key
+ *
+ * @param {string} key - Engine key ('simple' or 'ebm')
+ * @returns {Object} - Engine entry; the default engine for unknown keys
+ */
+export function getClimateEngine(key) {
+  return CLIMATE_ENGINES[key] || CLIMATE_ENGINES[DEFAULT_CLIMATE_ENGINE];
+}
+
+// Present-day orbit and pre-industrial CO₂: the "today" every latitude is compared with
+export const PRESENT_DAY_PARAMS = presetParams('today');
+
+// Corners of the playground sliders, used to find the reachable temperature range
+const RANGE_ECCENTRICITIES = [0.005, 0.058];
+const RANGE_AXIAL_TILTS = [22.1, 24.5];
+const RANGE_PRECESSIONS = [0, 45, 90, 135, 180, 225, 270, 315];
+
+// Recent calibrations; bounded because every feedback setting is its own entry
+const calibrationCache = createLruCache(32);
+
+/**
+ * Calibrate the playground to a latitude
+ *
+ * Finds the present-day annual-mean temperature at the latitude and the
+ * range the orbital sliders can reach there, so readouts and missions can be
+ * phrased relative to "today" wherever the user is looking.
+ *
+ * @param {string} engineKey - Climate engine key
+ * @param {number} latitude - Latitude in degrees (-90 to 90)
+ * @param {number} co2Level - CO₂ in ppm held fixed across the range (default: 280)
+ * @param {Object} feedbacks - Feedback settings for engines that take them (see climateFeedbacks.js)
+ * @returns {Object} - { latitude, baseline, min, max } in °C
+ */
+export function calculateLatitudeCalibration(engineKey, latitude, co2Level = PRESENT_DAY_PARAMS.co2Level, feedbacks = {}) {
+  const engine = getClimateEngine(engineKey);
+  const feedbackKey = engine.supportsFeedbacks ? JSON.stringify(feedbacks) : '';
+  const cacheKey = `${engine.key}|${latitude.toFixed(2)}|${co2Level}|${feedbackKey}`;
+  const cached = calibrationCache.get(cacheKey);
+  if (cached) return cached;
+
+  const annualMean = (params) =>
+    engine.calculateAnnualMean({ ...PRESENT_DAY_PARAMS, ...params, latitude, tempOffset: 0, feedbacks }).temperature;
+
+  const baseline = annualMean({});
+  let min = baseline;
+  let max = baseline;
+  RANGE_ECCENTRICITIES.forEach(eccentricity => {
+    RANGE_AXIAL_TILTS.forEach(axialTilt => {
+      RANGE_PRECESSIONS.forEach(precession => {
+        const temperature = annualMean({ eccentricity, axialTilt, precession, co2Level });
+        min = Math.min(min, temperature);
+        max = Math.max(max, temperature);
+      });
+    });
+  });
+
+  return calibrationCache.set(cacheKey, { latitude, baseline, min, max });
+}
@@ -0,0 +1,350 @@
+/**
+ * Climate Feedbacks
+ *
+ * The simple model's feedbacks as a registry of named plug-ins. Each entry
+ * says how large its temperature effect is, which parameters it takes, how
+ * fast it responds and whether it is on by default, so feedbacks can be
+ * switched and tuned one at a time to see what each contributes.
+ *
+ * calculateGlobalTemperature runs the registry in two stages:
+ * - 'atmosphere' feedbacks act on the radiative balance (water vapour,
+ *   clouds, other greenhouse gases, aerosols); the ice cover is then worked
+ *   out from the temperature they reach
+ * - 'surface' feedbacks respond to that temperature and ice cover (ice and
+ *   vegetation albedo, permafrost carbon)
+ * Within a stage, feedbacks run in FEEDBACK_ORDER and each one sees the
+ * temperature with the earlier ones added.
+ *
+ * Every calculate(context, parameters) returns the equilibrium effect in °C.
+ * context is { latitude, baseTemperature, temperature, co2Effect, sensitivity,
+ * iceFactor }; sensitivity is in °C per W/m², so radiative feedbacks return
+ * forcing × sensitivity. With timeScaleYears > 0 the model scales each effect
+ * by 1 − e^(−t/τ) using the entry's timeConstantYears.
+ *
+ * Water vapour, clouds and ice-albedo are on by default and reproduce the
+ * model's earlier built-in terms; the rest start off. Further feedbacks can be
+ * added with registerClimateFeedback.
+ *
+ * Scientific references:
+ * - IPCC (2021). Climate Change 2021: The Physical Science Basis. Sixth Assessment Report, Chapter 7.
+ * - Etminan, M., et al. (2016). Radiative forcing of carbon dioxide, methane, and nitrous oxide: A significant revision of the methane radiative forcing. Geophysical Research Letters, 43(24), 12614-12623.
+ * - Budyko, M. I. (1969). The effect of solar radiation variations on the climate of the Earth. Tellus, 21(5), 611-619.
+ * - Schuur, E. A. G., et al. (2015). Climate change and the permafrost carbon feedback. Nature, 520(7546), 171-179.
+ */
+
+import { BASELINE_CO2_LEVEL, calculateCO2Forcing } from './co2Forcing.js';
+import { assertClimateParams, ClimateInputError } from './climateDiagnostics.js';
+
+// Pre-industrial concentrations (ppb)
+const BASELINE_CH4_LEVEL = 700;
+const BASELINE_N2O_LEVEL = 270;
+
+// Below this latitude the model assumes no permafrost
+const PERMAFROST_MIN_LATITUDE = 45;
+
+const STAGES = ['atmosphere', 'surface'];
+
+// Default feedback factors applied to the CO2 response
+export const DEFAULT_WATER_VAPOR_FEEDBACK = 1.6; // Amplification factor
+export const DEFAULT_CLOUD_FEEDBACK = 0.1;       // °C per °C of initial warming
+
+/**
+ * Calculate methane (CH4) radiative forcing
+ *
+ * @param {number} ch4Level - CH4 concentration in ppb
+ * @returns {number} - Radiative forcing in W/m²
+ */
+export function calculateMethaneForcing(ch4Level) {
+  const safeLevel = Math.max(1, ch4Level);
+  // Square-root form from IPCC AR6
+  return 0.036 * (Math.sqrt(safeLevel) - Math.sqrt(BASELINE_CH4_LEVEL));
+}
+
+/**
+ * Calculate nitrous oxide (N2O) radiative forcing
+ *
+ * @param {number} n2oLevel - N2O concentration in ppb
+ * @returns {number} - Radiative forcing in W/m²
+ */
+export function calculateN2OForcing(n2oLevel) {
+  const safeLevel = Math.max(1, n2oLevel);
+  // Square-root form from IPCC AR6
+  return 0.12 * (Math.sqrt(safeLevel) - Math.sqrt(BASELINE_N2O_LEVEL));
+}
+
+/**
+ * Calculate aerosol direct and indirect forcing
+ *
+ * @param {number} aerosolOpticalDepth - Aerosol optical depth (unitless)
+ * @returns {number} - Radiative forcing in W/m²
+ */
+export function calculateAerosolForcing(aerosolOpticalDepth) {
+  // Direct effect (scattering and absorption)
+  const directEffect = -25 * aerosolOpticalDepth;
+  // Indirect effect (cloud albedo and lifetime)
+  const indirectEffect = -0.7 * Math.log(1 + aerosolOpticalDepth * 10);
+  return directEffect + indirectEffect;
+}
+
+/**
+ * Calculate vegetation albedo feedback
+ *
+ * Forest and tundra trade places as the climate warms or cools, which is
+ * felt most at high latitudes; forests advance faster than they retreat.
+ *
+ * @param {number} temperatureChange - Temperature change from the latitude's base in °C
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} warmingSensitivity - °C per °C when warming (default: 0.05)
+ * @param {number} coolingSensitivity - °C per °C when cooling (default: 0.03)
+ * @returns {number} - Temperature effect in °C
+ */
+export function calculateVegetationAlbedoFeedback(temperatureChange, latitude, warmingSensitivity = 0.05, coolingSensitivity = 0.03) {
+  const latitudeFactor = Math.pow(Math.sin(Math.abs(latitude * Math.PI / 180)), 2);
+  const sensitivity = temperatureChange > 0 ? warmingSensitivity : coolingSensitivity;
+  return sensitivity * temperatureChange * latitudeFactor;
+}
+
+/**
+ * Calculate the equilibrium forcing of permafrost carbon release
+ *
+ * Thaw starts at the threshold and is complete 5°C above it; the released
+ * carbon is counted as extra CO2 (about 2.5 GtC per ppm).
+ *
+ * @param {number} temperature - Temperature in °C
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} carbonDensity - Releasable carbon in gC/m² (default: 1500)
+ * @param {number} thawThreshold - Temperature where thaw begins in °C (default: -2)
+ * @returns {number} - CO2-equivalent forcing in W/m²
+ */
+export function calculatePermafrostForcing(temperature, latitude, carbonDensity = 1500, thawThreshold = -2) {
+  if (Math.abs(latitude) < PERMAFROST_MIN_LATITUDE || temperature < thawThreshold) return 0;
+  const thawExtent = Math.min(1, (temperature - thawThreshold) / 5);
+  const additionalCO2ppm = (carbonDensity * thawExtent) / 2500;
+  return calculateCO2Forcing(BASELINE_CO2_LEVEL + additionalCO2ppm) - calculateCO2Forcing(BASELINE_CO2_LEVEL);
+}
+
+export const CLIMATE_FEEDBACKS = {
+  waterVapor: {
+    key: 'waterVapor',
+    name: 'Water vapour',
+    description: 'Warmer air holds more water vapour, a greenhouse gas, roughly doubling the CO₂ response.',
+    stage: 'atmosphere',
+    timeConstantYears: 1,
+    defaultEnabled: true,
+    parameters: {
+      factor: { label: 'Amplification', defaultValue: DEFAULT_WATER_VAPOR_FEEDBACK, min: 1, max: 3, step: 0.05, unit: '×' }
+    },
+    calculate: ({ co2Effect }, { factor }) => co2Effect * (factor - 1)
+  },
+  cloud: {
+    key: 'cloud',
+    name: 'Clouds',
+    description: 'Cloud changes both trap heat and reflect sunlight; the net effect in most models is slightly warming.',
+    stage: 'atmosphere',
+    timeConstantYears: 1,
+    defaultEnabled: true,
+    parameters: {
+      factor: { label: 'Share of CO₂ response', defaultValue: DEFAULT_CLOUD_FEEDBACK, min: -0.5, max: 0.5, step: 0.05, unit: '×' }
+    },
+    calculate: ({ co2Effect }, { factor }) => co2Effect * factor
+  },
+  methane: {
+    key: 'methane',
+    name: 'Methane',
+    description: 'CH₄ from wetlands, agriculture and thaw; counted against the pre-industrial 700 ppb.',
+    stage: 'atmosphere',
+    timeConstantYears: 1,
+    defaultEnabled: false,
+    parameters: {
+      ch4Level: { label: 'CH₄', defaultValue: 1900, min: 300, max: 4000, step: 10, unit: 'ppb' }
+    },
+    calculate: ({ sensitivity }, { ch4Level }) => sensitivity * calculateMethaneForcing(ch4Level)
+  },
+  n2o: {
+    key: 'n2o',
+    name: 'Nitrous oxide',
+    description: 'N₂O from soils and fertiliser; counted against the pre-industrial 270 ppb.',
+    stage: 'atmosphere',
+    timeConstantYears: 1,
+    defaultEnabled: false,
+    parameters: {
+      n2oLevel: { label: 'N₂O', defaultValue: 335, min: 150, max: 500, step: 5, unit: 'ppb' }
+    },
+    calculate: ({ sensitivity }, { n2oLevel }) => sensitivity * calculateN2OForcing(n2oLevel)
+  },
+  aerosol: {
+    key: 'aerosol',
+    name: 'Aerosols',
+    description: 'Dust, sulphate and smoke reflect sunlight and brighten clouds, cooling the surface.',
+    stage: 'atmosphere',
+    timeConstantYears: 1,
+    defaultEnabled: false,
+    parameters: {
+      aerosolOpticalDepth: { label: 'Optical depth', defaultValue: 0.03, min: 0, max: 0.5, step: 0.01, unit: '' }
+    },
+    calculate: ({ sensitivity }, { aerosolOpticalDepth }) => sensitivity * calculateAerosolForcing(aerosolOpticalDepth)
+  },
+  iceAlbedo: {
+    key: 'iceAlbedo',
+    name: 'Ice-albedo',
+    description: 'Bright ice reflects sunlight, so more ice means more cooling; strongest toward the poles (Budyko–Sellers).',
+    stage: 'surface',
+    timeConstantYears: 5000, // Ice sheets
+    defaultEnabled: true,
+    parameters: {
+      polarStrength: { label: 'At the poles', defaultValue: 4.0, min: 0, max: 10, step: 0.5, unit: '°C' },
+      equatorialStrength: { label: 'At the equator', defaultValue: 0.5, min: 0, max: 2, step: 0.1, unit: '°C' }
+    },
+    calculate: ({ latitude, iceFactor }, { polarStrength, equatorialStrength }) => {
+      const latitudeFactor = Math.pow(Math.sin(Math.abs(latitude * Math.PI / 180)), 2);
+      return -(equatorialStrength + (polarStrength - equatorialStrength) * latitudeFactor) * iceFactor;
+    }
+  },
+  vegetationAlbedo: {
+    key: 'vegetationAlbedo',
+    name: 'Vegetation albedo',
+    description: 'Dark forest replaces pale tundra as it warms (and retreats as it cools), mostly at high latitudes.',
+    stage: 'surface',
+    timeConstantYears: 100, // Biome shifts take decades to centuries
+    defaultEnabled: false,
+    parameters: {
+      warmingSensitivity: { label: 'Warming', defaultValue: 0.05, min: 0, max: 0.2, step: 0.01, unit: '°C/°C' },
+      coolingSensitivity: { label: 'Cooling', defaultValue: 0.03, min: 0, max: 0.2, step: 0.01, unit: '°C/°C' }
+    },
+    calculate: ({ latitude, baseTemperature, temperature }, { warmingSensitivity, coolingSensitivity }) =>
+      calculateVegetationAlbedoFeedback(temperature - baseTemperature, latitude, warmingSensitivity, coolingSensitivity)
+  },
+  permafrost: {
+    key: 'permafrost',
+    name: 'Permafrost carbon',
+    description: 'Thawing frozen soils above 45° release carbon, adding to the CO₂ forcing.',
+    stage: 'surface',
+    timeConstantYears: 100, // Carbon release once thawed
+    defaultEnabled: false,
+    parameters: {
+      carbonDensity: { label: 'Releasable carbon', defaultValue: 1500, min: 0, max: 5000, step: 100, unit: 'gC/m²' },
+      thawThreshold: { label: 'Thaw starts at', defaultValue: -2, min: -10, max: 2, step: 0.5, unit: '°C' }
+    },
+    calculate: ({ latitude, temperature, sensitivity }, { carbonDensity, thawThreshold }) =>
+      sensitivity * calculatePermafrostForcing(temperature, latitude, carbonDensity, thawThreshold)
+  }
+};
+
+export const FEEDBACK_ORDER = [
+  'waterVapor',
+  'cloud',
+  'methane',
+  'n2o',
+  'aerosol',
+  'iceAlbedo',
+  'vegetationAlbedo',
+  'permafrost'
+];
+
+/**
+ * Name of the result field holding a feedback's effect
+ *
+ * @param {string} key - Feedback key, e.g. 'waterVapor'
+ * @returns {string} - e.g. 'waterVaporEffect'
+ */
+export function feedbackEffectKey(key) {
+  return `${key}Effect`;
+}
+
+/**
+ * Check that a feedback definition has the fields the model needs
+ *
+ * @param {Object} feedback - Candidate registry entry
+ * @returns {Array<string>} - Problems found (empty when valid)
+ */
+export function checkFeedbackSchema(feedback) {
+  const problems = [];
+  const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+  ['key', 'name', 'description'].forEach(field => {
+    if (typeof feedback[field] !== 'string' || !feedback[field]) problems.push(`${field} must be a non-empty string`);
+  });
+  if (!STAGES.includes(feedback.stage)) problems.push(`stage must be one of ${STAGES.join(', ')}`);
+  if (!isNumber(feedback.timeConstantYears) || feedback.timeConstantYears <= 0) {
+    problems.push('timeConstantYears must be a positive number');
+  }
+  if (typeof feedback.defaultEnabled !== 'boolean') problems.push('defaultEnabled must be true or false');
+  if (typeof feedback.calculate !== 'function') problems.push('calculate must be a function');
+
+  if (!feedback.parameters || typeof feedback.parameters !== 'object') {
+    problems.push('parameters must be an object');
+  } else {
+    Object.entries(feedback.parameters).forEach(([name, spec]) => {
+      if (name === 'enabled') problems.push('parameters.enabled is reserved for the on/off toggle');
+      if (!spec || !isNumber(spec.defaultValue) || !isNumber(spec.min) || !isNumber(spec.max) ||
+          spec.min > spec.defaultValue || spec.defaultValue > spec.max) {
+        problems.push(`parameters.${name} needs numeric min <= defaultValue <= max`);
+      }
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Add a feedback to the registry
+ *
+ * New feedbacks run after the existing ones of the same stage.
+ *
+ * @param {Object} feedback - Entry shaped like those in CLIMATE_FEEDBACKS
+ * @returns {Array<string>} - Problems that kept it out (empty when registered)
+ */
+export function registerClimateFeedback(feedback) {
+  const problems = checkFeedbackSchema(feedback);
+  if (problems.length === 0 && CLIMATE_FEEDBACKS[feedback.key]) {
+    problems.push(`a feedback named "${feedback.key}" is already registered`);
+  }
+  if (problems.length > 0) return problems;
+
+  CLIMATE_FEEDBACKS[feedback.key] = feedback;
+  FEEDBACK_ORDER.push(feedback.key);
+  return problems;
+}
+
+/**
+ * Resolve per-feedback settings against the registry
+ *
+ * @param {Object} settings - { [feedbackKey]: { enabled, ...parameter values } }; omitted values use the defaults
+ * @param {Object} overrides - Same shape; defined values win over settings
+ * @returns {Array<Object>} - { key, feedback, enabled, parameters } for every registered feedback, in FEEDBACK_ORDER
+ * @throws {ClimateInputError} - For an unknown feedback or a parameter outside its range
+ */
+export function resolveFeedbacks(settings = {}, overrides = {}) {
+  Object.keys(settings).forEach(key => {
+    if (!CLIMATE_FEEDBACKS[key]) {
+      throw new ClimateInputError('feedbacks', key, `one of ${FEEDBACK_ORDER.join(', ')}`);
+    }
+  });
+
+  return FEEDBACK_ORDER.map(key => {
+    const feedback = CLIMATE_FEEDBACKS[key];
+    const setting = { ...settings[key] };
+    Object.entries(overrides[key] || {}).forEach(([name, value]) => {
+      if (value !== undefined) setting[name] = value;
+    });
+
+    const enabled = setting.enabled ?? feedback.defaultEnabled;
+    if (typeof enabled !== 'boolean') {
+      throw new ClimateInputError(`feedbacks.${key}.enabled`, enabled, 'true or false');
+    }
+
+    // Defaults passed the schema check, so only given values need a range check
+    const parameters = {};
+    const values = {};
+    const limits = {};
+    Object.entries(feedback.parameters).forEach(([name, { defaultValue, min, max, unit }]) => {
+      parameters[name] = setting[name] ?? defaultValue;
+      if (setting[name] === undefined || setting[name] === null) return;
+      values[`feedbacks.${key}.${name}`] = setting[name];
+      limits[`feedbacks.${key}.${name}`] = { min, max, unit: unit ? ` ${unit}` : '' };
+    });
+    if (Object.keys(values).length > 0) assertClimateParams(values, { required: [], limits });
+
+    return { key, feedback, enabled, parameters };
+  });
+}
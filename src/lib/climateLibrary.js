@@ -0,0 +1,183 @@
+/**
+ * Climate Library
+ *
+ * A personal list of named playground configurations, kept in localStorage
+ * and exchangeable as JSON files. Each entry records the parameters, the
+ * temperature they produced and the nearest built-in era, so a list can be
+ * read without re-running the model.
+ */
+
+import { normalizeClimateState } from './urlState.js';
+import { findNearestEra } from './eraLookup.js';
+
+const STORAGE_KEY = 'milankovitch.climateLibrary';
+const EXPORT_FORMAT = 'milankovitch-climate-library';
+const EXPORT_VERSION = 1;
+const MAX_NAME_LENGTH = 60;
+
+function cleanName(name, fallback) {
+  const trimmed = typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+  return trimmed || fallback;
+}
+
+function cleanTemperature(temperature) {
+  return typeof temperature === 'number' && isFinite(temperature) ? temperature : null;
+}
+
+function createId() {
+  return `climate-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Build a library entry from the current playground state
+ *
+ * @param {Object} state - { name, eccentricity, axialTilt, precession, co2Level, latitude, temperature }
+ * @returns {Object} - Entry: { id, name, params, temperature, eraKey, savedAt }
+ */
+export function createClimateEntry({ name, temperature, ...state }) {
+  const { section, ...params } = normalizeClimateState(state);
+  return {
+    id: createId(),
+    name: cleanName(name, 'Untitled climate'),
+    params,
+    temperature: cleanTemperature(temperature),
+    eraKey: findNearestEra(params, Infinity),
+    savedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Check and clean an entry read from storage or an imported file
+ *
+ * @param {Object} raw - Untrusted entry
+ * @returns {Object|null} - Clean entry, or null if it lacks a usable orbit
+ */
+function sanitizeEntry(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const { section, ...params } = normalizeClimateState(raw.params);
+  if (params.eccentricity === undefined || params.axialTilt === undefined || params.precession === undefined) {
+    return null;
+  }
+  return {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : createId(),
+    name: cleanName(raw.name, 'Imported climate'),
+    params,
+    temperature: cleanTemperature(raw.temperature),
+    eraKey: findNearestEra(params, Infinity),
+    savedAt: typeof raw.savedAt === 'string' ? raw.savedAt : new Date().toISOString()
+  };
+}
+
+/**
+ * Read the library from localStorage
+ *
+ * @returns {Array<Object>} - Saved entries; empty if storage is unavailable or unreadable
+ */
+export function loadClimateLibrary() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.map(sanitizeEntry).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Write the library to localStorage
+ *
+ * @param {Array<Object>} entries - Entries to store
+ * @returns {boolean} - False if storage is unavailable or full
+ */
+export function storeClimateLibrary(entries) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Suggested name for a new entry, one no current entry uses
+ *
+ * @param {Array<Object>} entries - Current entries
+ * @returns {string} - "Climate N" with the smallest free N
+ */
+export function nextClimateName(entries) {
+  const taken = new Set(entries.map(entry => entry.name));
+  let number = 1;
+  while (taken.has(`Climate ${number}`)) number++;
+  return `Climate ${number}`;
+}
+
+/**
+ * Rename an entry
+ *
+ * @param {Array<Object>} entries - Current entries
+ * @param {string} id - Entry id
+ * @param {string} name - New name (blank names are ignored)
+ * @returns {Array<Object>} - Updated entries
+ */
+export function renameClimateEntry(entries, id, name) {
+  return entries.map(entry =>
+    entry.id === id ? { ...entry, name: cleanName(name, entry.name) } : entry
+  );
+}
+
+/**
+ * Remove an entry
+ *
+ * @param {Array<Object>} entries - Current entries
+ * @param {string} id - Entry id
+ * @returns {Array<Object>} - Entries without it
+ */
+export function deleteClimateEntry(entries, id) {
+  return entries.filter(entry => entry.id !== id);
+}
+
+/**
+ * Serialize the library for download
+ *
+ * @param {Array<Object>} entries - Entries to export
+ * @returns {string} - Pretty-printed JSON document
+ */
+export function exportClimateLibrary(entries) {
+  return JSON.stringify(
+    { format: EXPORT_FORMAT, version: EXPORT_VERSION, climates: entries },
+    null,
+    2
+  );
+}
+
+/**
+ * Merge an exported JSON document into the library
+ *
+ * Accepts the export format or a bare array of entries. Entries whose id is
+ * already in the library replace the existing one.
+ *
+ * @param {string} json - File contents
+ * @param {Array<Object>} entries - Current entries
+ * @returns {Object} - { entries, imported, skipped, error }; error is set if the file is not readable JSON
+ */
+export function importClimateLibrary(json, entries) {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch {
+    return { entries, imported: 0, skipped: 0, error: 'Not a JSON file' };
+  }
+
+  const incoming = Array.isArray(parsed) ? parsed : parsed?.climates;
+  if (!Array.isArray(incoming)) {
+    return { entries, imported: 0, skipped: 0, error: 'No climates found in file' };
+  }
+
+  const clean = incoming.map(sanitizeEntry).filter(Boolean);
+  const incomingIds = new Set(clean.map(entry => entry.id));
+  return {
+    entries: [...entries.filter(entry => !incomingIds.has(entry.id)), ...clean],
+    imported: clean.length,
+    skipped: incoming.length - clean.length,
+    error: null
+  };
+}
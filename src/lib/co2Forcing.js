@@ -0,0 +1,34 @@
+/**
+ * CO₂ Forcing
+ *
+ * Radiative forcing of CO₂ and the climate sensitivities that turn it into a
+ * temperature change. Kept apart from temperatureUtils.js so the feedback
+ * registry (climateFeedbacks.js), which temperatureUtils.js loads, can use
+ * the same forcing without importing the model back.
+ *
+ * Scientific references:
+ * - Myhre, G., et al. (1998). New estimates of radiative forcing due to well mixed greenhouse gases. Geophysical Research Letters, 25(14), 2715-2718.
+ * - IPCC (2021). Climate Change 2021: The Physical Science Basis. Sixth Assessment Report, Chapter 7.
+ */
+
+export const BASELINE_CO2_LEVEL = 280; // ppm (pre-industrial)
+
+// IMPROVED: CO2 sensitivity based on IPCC AR6 (2021)
+// Define sensitivity range based on scientific literature
+export const CO2_SENSITIVITY_LEVELS = {
+  low: 0.5,    // °C per W/m² (lower bound)
+  medium: 0.75, // °C per W/m² (best estimate)
+  high: 1.0     // °C per W/m² (upper bound)
+};
+
+/**
+ * Calculate CO2 radiative forcing using IPCC equations
+ * 
+ * @param {number} co2Level - CO2 concentration in ppm
+ * @returns {number} - Radiative forcing in W/m²
+ */
+export function calculateCO2Forcing(co2Level) {
+  // Ensure we don't get NaN from log of zero or negative
+  const safeLevel = Math.max(1, co2Level);
+  return 5.35 * Math.log(safeLevel / BASELINE_CO2_LEVEL);
+}
@@ -0,0 +1,423 @@
+/**
+ * One-Dimensional Energy Balance Model (Budyko–Sellers)
+ *
+ * This module provides a time-stepping, seasonally forced energy balance model
+ * on a latitude grid. Each band has a mixed-layer heat capacity, absorbs daily
+ * insolation from calculateDailyInsolation, emits linearised outgoing longwave
+ * radiation (A + B·T) and exchanges heat with its neighbours through
+ * meridional diffusion. Ice-covered bands reflect more sunlight, which gives
+ * the model an interactive ice-albedo feedback.
+ *
+ * Diffusion is solved implicitly in x = sin(latitude), so the model stays
+ * stable with a few dozen steps per year.
+ *
+ * Results are returned in the same shape as calculateGlobalTemperature so the
+ * playground can switch between the "simple" and "ebm" engines.
+ *
+ * Scientific references:
+ * - Budyko, M. I. (1969). The effect of solar radiation variations on the climate of the Earth. Tellus, 21(5), 611-619.
+ * - Sellers, W. D. (1969). A global climatic model based on the energy balance of the earth-atmosphere system. Journal of Applied Meteorology, 8(3), 392-400.
+ * - North, G. R., Cahalan, R. F., & Coakley, J. A. (1981). Energy balance climate models. Reviews of Geophysics, 19(1), 91-121.
+ */
+
+import {
+  calculateDailyInsolation,
+  calculateCO2Forcing,
+} from './temperatureUtils.js';
+import { createLruCache } from './lruCache.js';
+
+// Constants
+const SECONDS_PER_YEAR = 365.2422 * 86400;
+const BASELINE_CO2_LEVEL = 280; // ppm (pre-industrial)
+const PRESENT_ORBIT = { eccentricity: 0.0167, axialTilt: 23.44, precession: 0 };
+
+// Outgoing longwave radiation OLR = A + B·T (North et al., 1981)
+const OLR_INTERCEPT = 203.3; // W/m² at 0°C
+const OLR_SLOPE_BY_SENSITIVITY = {
+  low: 2.4,    // W/m²/°C — stronger radiative damping, smaller response
+  medium: 2.09, // W/m²/°C — observed best estimate
+  high: 1.8     // W/m²/°C — weaker damping, larger response
+};
+
+// Meridional heat diffusion coefficient in sin(latitude) coordinates
+const DIFFUSIVITY = 0.55; // W/m²/°C
+
+// Mixed-layer heat capacity (~10 m of water)
+const HEAT_CAPACITY = 4.2e7; // J/m²/°C
+
+// Albedo: ice-free surface brightens toward the poles; ice and snow below ~-10°C
+const ICE_FREE_ALBEDO = 0.3;
+const ICE_FREE_ALBEDO_P2 = 0.08; // Coefficient of the second Legendre polynomial
+const ICE_ALBEDO = 0.62;
+const ICE_THRESHOLD_TEMP = -10; // °C
+const ICE_TRANSITION_WIDTH = 3; // °C
+
+// Share of the CO2 response attributed to the direct effect, water vapour and
+// clouds — the same 1 : 0.6 : 0.1 split used by calculateGlobalTemperature
+const CO2_RESPONSE_SHARES = { co2: 1 / 1.7, waterVapor: 0.6 / 1.7, cloud: 0.1 / 1.7 };
+
+export const EBM_DEFAULTS = {
+  latitudeStep: 5,   // degrees between band centres
+  stepsPerYear: 48,  // time steps per model year
+  spinUpYears: 20,   // years integrated from a rough profile to reach a repeating seasonal cycle
+  warmStartYears: 10 // years integrated when starting from an equilibrated climate
+};
+
+/**
+ * Build the latitude grid with band centres, edges and area weights
+ *
+ * @param {number} latitudeStep - Band width in degrees
+ * @returns {Object} - Grid description used by the solver
+ */
+function createGrid(latitudeStep) {
+  const bandCount = Math.max(2, Math.round(180 / latitudeStep));
+  const width = 180 / bandCount;
+  const latitudes = [];
+  const x = [];
+  const edges = [];
+
+  for (let i = 0; i <= bandCount; i++) {
+    edges.push(Math.sin(((-90 + i * width) * Math.PI) / 180));
+  }
+  for (let i = 0; i < bandCount; i++) {
+    const lat = -90 + (i + 0.5) * width;
+    latitudes.push(lat);
+    x.push(Math.sin((lat * Math.PI) / 180));
+  }
+
+  // Area of each band is proportional to its width in sin(latitude)
+  const weights = latitudes.map((_, i) => (edges[i + 1] - edges[i]) / 2);
+
+  // Diffusion coupling to the northern (up) and southern (down) neighbour
+  const couplingUp = latitudes.map((_, i) =>
+    i < bandCount - 1
+      ? (1 - edges[i + 1] * edges[i + 1]) / ((x[i + 1] - x[i]) * (edges[i + 1] - edges[i]))
+      : 0
+  );
+  const couplingDown = latitudes.map((_, i) =>
+    i > 0
+      ? (1 - edges[i] * edges[i]) / ((x[i] - x[i - 1]) * (edges[i + 1] - edges[i]))
+      : 0
+  );
+
+  return { latitudes, x, weights, couplingUp, couplingDown };
+}
+
+/**
+ * Calculate the albedo of a band from its temperature
+ *
+ * @param {number} temperature - Band temperature in °C
+ * @param {number} x - sin(latitude) of the band
+ * @returns {Object} - { albedo, iceFraction }
+ */
+function calculateBandAlbedo(temperature, x) {
+  const iceFraction = 0.5 * (1 - Math.tanh((temperature - ICE_THRESHOLD_TEMP) / ICE_TRANSITION_WIDTH));
+  const legendreP2 = 0.5 * (3 * x * x - 1);
+  const iceFreeAlbedo = ICE_FREE_ALBEDO + ICE_FREE_ALBEDO_P2 * legendreP2;
+  return {
+    albedo: iceFreeAlbedo * (1 - iceFraction) + ICE_ALBEDO * iceFraction,
+    iceFraction
+  };
+}
+
+/**
+ * Solve a tridiagonal system with the Thomas algorithm
+ *
+ * @param {number[]} lower - Sub-diagonal (lower[0] unused)
+ * @param {number[]} diag - Main diagonal
+ * @param {number[]} upper - Super-diagonal (last entry unused)
+ * @param {number[]} rhs - Right-hand side
+ * @returns {number[]} - Solution vector
+ */
+function solveTridiagonal(lower, diag, upper, rhs) {
+  const n = diag.length;
+  const c = new Array(n);
+  const d = new Array(n);
+  c[0] = upper[0] / diag[0];
+  d[0] = rhs[0] / diag[0];
+  for (let i = 1; i < n; i++) {
+    const m = diag[i] - lower[i] * c[i - 1];
+    c[i] = upper[i] / m;
+    d[i] = (rhs[i] - lower[i] * d[i - 1]) / m;
+  }
+  const solution = new Array(n);
+  solution[n - 1] = d[n - 1];
+  for (let i = n - 2; i >= 0; i--) {
+    solution[i] = d[i] - c[i] * solution[i + 1];
+  }
+  return solution;
+}
+
+/**
+ * Create an initial model state
+ *
+ * @param {Object} options - Model options (see EBM_DEFAULTS)
+ * @param {number[]} [options.initialTemperatures] - Starting temperature per band in °C
+ * @returns {Object} - Model state: { grid, temperatures, stepIndex, options }
+ */
+export function createEnergyBalanceState(options = {}) {
+  const settings = { ...EBM_DEFAULTS, ...options };
+  const grid = createGrid(settings.latitudeStep);
+
+  // Start from a rough present-day profile: warm tropics, cold poles
+  const temperatures = settings.initialTemperatures
+    ? [...settings.initialTemperatures]
+    : grid.x.map(x => 28 - 44 * x * x);
+
+  return { grid, temperatures, stepIndex: 0, options: settings };
+}
+
+/**
+ * Advance the model by one time step
+ *
+ * @param {Object} state - Model state from createEnergyBalanceState or a previous step
+ * @param {Object} forcing - Forcing for this step
+ * @param {number[]} forcing.insolation - Daily-mean insolation per band in W/m²
+ * @param {number} forcing.co2Forcing - CO2 radiative forcing in W/m²
+ * @param {number} forcing.olrSlope - OLR sensitivity B in W/m²/°C
+ * @param {number[]} [forcing.albedo] - Fixed albedo per band; computed from temperature when omitted
+ * @returns {Object} - New model state, with the albedo and ice fraction used for the step
+ */
+export function stepEnergyBalanceModel(state, { insolation, co2Forcing = 0, olrSlope = OLR_SLOPE_BY_SENSITIVITY.medium, albedo }) {
+  const { grid, temperatures, options } = state;
+  const dt = SECONDS_PER_YEAR / options.stepsPerYear;
+  const inertia = HEAT_CAPACITY / dt;
+  const n = temperatures.length;
+
+  const lower = new Array(n);
+  const diag = new Array(n);
+  const upper = new Array(n);
+  const rhs = new Array(n);
+  const albedoUsed = new Array(n);
+  const iceFraction = new Array(n);
+
+  for (let i = 0; i < n; i++) {
+    const band = calculateBandAlbedo(temperatures[i], grid.x[i]);
+    albedoUsed[i] = albedo ? albedo[i] : band.albedo;
+    iceFraction[i] = band.iceFraction;
+
+    // Absorbed shortwave minus the temperature-independent part of the OLR
+    const netRadiation = (1 - albedoUsed[i]) * insolation[i] - OLR_INTERCEPT + co2Forcing;
+
+    lower[i] = -DIFFUSIVITY * grid.couplingDown[i];
+    upper[i] = -DIFFUSIVITY * grid.couplingUp[i];
+    diag[i] = inertia + olrSlope + DIFFUSIVITY * (grid.couplingUp[i] + grid.couplingDown[i]);
+    rhs[i] = inertia * temperatures[i] + netRadiation;
+  }
+
+  return {
+    grid,
+    options,
+    temperatures: solveTridiagonal(lower, diag, upper, rhs),
+    stepIndex: (state.stepIndex + 1) % options.stepsPerYear,
+    albedo: albedoUsed,
+    iceFraction
+  };
+}
+
+/**
+ * Integrate the model through a number of years and record the final year
+ *
+ * @param {Object} params - Orbital and CO2 parameters
+ * @param {number} params.eccentricity - Earth's orbital eccentricity
+ * @param {number} params.axialTilt - Earth's axial tilt in degrees
+ * @param {number} params.precession - Earth's axial precession in degrees
+ * @param {number} params.co2Level - CO2 concentration in ppm
+ * @param {string} params.sensitivityLevel - Climate sensitivity level: 'low', 'medium', or 'high'
+ * @param {Object} options - Model options (see EBM_DEFAULTS)
+ * @param {number} [options.years] - Years to integrate (default: spinUpYears)
+ * @param {number[]} [options.initialTemperatures] - Starting temperature per band in °C
+ * @param {number[][]} [options.fixedAlbedo] - Albedo per step and band, to hold ice cover fixed
+ * @returns {Object} - Final-year climatology: latitudes, weights, per-step temperatures, albedo and ice fraction, annual means
+ */
+export function runEnergyBalanceModel({
+  eccentricity,
+  axialTilt,
+  precession,
+  co2Level = BASELINE_CO2_LEVEL,
+  sensitivityLevel = 'medium'
+}, options = {}) {
+  let state = createEnergyBalanceState(options);
+  const { grid } = state;
+  const { stepsPerYear } = state.options;
+  const years = Math.max(1, Math.round(options.years ?? state.options.spinUpYears));
+  const olrSlope = OLR_SLOPE_BY_SENSITIVITY[sensitivityLevel] || OLR_SLOPE_BY_SENSITIVITY.medium;
+  const co2Forcing = calculateCO2Forcing(co2Level);
+
+  // Insolation repeats every year, so compute it once per step and band
+  const insolationByStep = [];
+  for (let step = 0; step < stepsPerYear; step++) {
+    const season = (step + 0.5) / stepsPerYear;
+    insolationByStep.push(grid.latitudes.map(lat =>
+      calculateDailyInsolation(lat, season, eccentricity, axialTilt, precession)
+    ));
+  }
+
+  const temperatures = [];
+  const albedo = [];
+  const iceFraction = [];
+  for (let year = 0; year < years; year++) {
+    const isFinalYear = year === years - 1;
+    for (let step = 0; step < stepsPerYear; step++) {
+      state = stepEnergyBalanceModel(state, {
+        insolation: insolationByStep[step],
+        co2Forcing,
+        olrSlope,
+        albedo: options.fixedAlbedo ? options.fixedAlbedo[step] : undefined
+      });
+      if (isFinalYear) {
+        temperatures.push(state.temperatures);
+        albedo.push(state.albedo);
+        iceFraction.push(state.iceFraction);
+      }
+    }
+  }
+
+  const annualMean = (series) => grid.latitudes.map((_, i) =>
+    series.reduce((sum, values) => sum + values[i], 0) / series.length
+  );
+  const annualTemperatures = annualMean(temperatures);
+  const globalMeanTemperature = annualTemperatures.reduce(
+    (sum, t, i) => sum + t * grid.weights[i], 0
+  );
+
+  return {
+    latitudes: grid.latitudes,
+    weights: grid.weights,
+    temperatures,
+    albedo,
+    iceFraction,
+    annualTemperatures,
+    annualIceFraction: annualMean(iceFraction),
+    globalMeanTemperature,
+    olrSlope,
+    finalTemperatures: state.temperatures
+  };
+}
+
+/**
+ * Interpolate a per-band value to any latitude
+ *
+ * @param {number[]} latitudes - Band centre latitudes
+ * @param {number[]} values - Value per band
+ * @param {number} latitude - Latitude in degrees
+ * @returns {number} - Interpolated value
+ */
+function interpolateLatitude(latitudes, values, latitude) {
+  if (latitude <= latitudes[0]) return values[0];
+  const last = latitudes.length - 1;
+  if (latitude >= latitudes[last]) return values[last];
+  const width = latitudes[1] - latitudes[0];
+  const position = (latitude - latitudes[0]) / width;
+  const index = Math.min(last - 1, Math.floor(position));
+  const fraction = position - index;
+  return values[index] * (1 - fraction) + values[index + 1] * fraction;
+}
+
+/**
+ * Interpolate a per-step, per-band series to a latitude and season
+ *
+ * @param {Object} run - Result from runEnergyBalanceModel
+ * @param {number[][]} series - Values per step and band
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} season - Season as a fraction of the year (0-1)
+ * @returns {number} - Interpolated value
+ */
+function interpolateSeason(run, series, latitude, season) {
+  const steps = series.length;
+  const position = ((((season % 1) + 1) % 1) * steps - 0.5 + steps) % steps;
+  const index = Math.floor(position);
+  const fraction = position - index;
+  const current = interpolateLatitude(run.latitudes, series[index], latitude);
+  const next = interpolateLatitude(run.latitudes, series[(index + 1) % steps], latitude);
+  return current * (1 - fraction) + next * fraction;
+}
+
+// Recent runs, keyed by their inputs — the playground asks for the same
+// configuration at several latitudes and seasons in a row
+const runCache = createLruCache(24);
+
+function cachedRun(params, options, useCache = true) {
+  const key = JSON.stringify([params, options.years ?? null, options.fixedAlbedoKey ?? null]);
+  const cached = runCache.get(key);
+  if (cached) return cached;
+  const run = runEnergyBalanceModel(params, options);
+  return useCache ? runCache.set(key, run) : run;
+}
+
+/**
+ * Calculate temperature with the energy balance model
+ *
+ * The total is split into the same components as calculateGlobalTemperature
+ * by running the model three ways: today's orbit and CO2 (baseline), the new
+ * orbit and CO2 with ice cover held at the baseline, and the fully
+ * interactive model.
+ *
+ * @param {Object} params - Same parameters as calculateGlobalTemperature
+ * @param {Object} options - { useCache: keep the runs for later calls (default: true); one-off
+ *   sweeps such as the timeline pass false so they don't evict the interactive runs }
+ * @returns {Object} - Temperature data with the same fields as calculateGlobalTemperature
+ */
+export function calculateEnergyBalanceTemperature({
+  latitude = 52.37, // Amsterdam latitude as default
+  season = 0,
+  eccentricity,
+  axialTilt,
+  precession,
+  co2Level = BASELINE_CO2_LEVEL,
+  tempOffset = 0,
+  timeScaleYears = 0, // Default to equilibrium response
+  sensitivityLevel = 'medium',
+  annualMean = false // Return the annual mean instead of the value at `season`
+}, { useCache = true } = {}) {
+  const orbit = { eccentricity, axialTilt, precession };
+
+  // Baseline: present-day orbit at pre-industrial CO2, fully equilibrated
+  const baseline = cachedRun({ ...PRESENT_ORBIT, co2Level: BASELINE_CO2_LEVEL, sensitivityLevel }, {});
+  const frozenIce = { fixedAlbedo: baseline.albedo, fixedAlbedoKey: `baseline-${sensitivityLevel}` };
+
+  // Start from the baseline climate; a finite response time stops the
+  // integration early instead of letting it reach equilibrium
+  const timeOptions = {
+    years: timeScaleYears > 0
+      ? Math.min(timeScaleYears, EBM_DEFAULTS.warmStartYears)
+      : EBM_DEFAULTS.warmStartYears,
+    initialTemperatures: baseline.finalTemperatures
+  };
+
+  const orbitOnly = cachedRun({ ...orbit, co2Level: BASELINE_CO2_LEVEL, sensitivityLevel }, { ...frozenIce, ...timeOptions }, useCache);
+  const withCO2 = cachedRun({ ...orbit, co2Level, sensitivityLevel }, { ...frozenIce, ...timeOptions }, useCache);
+  const full = cachedRun({ ...orbit, co2Level, sensitivityLevel }, timeOptions, useCache);
+
+  const annualAt = (run) => interpolateLatitude(run.latitudes, run.annualTemperatures, latitude);
+
+  const baseTemperature = annualAt(baseline);
+  const insolationEffect = annualAt(orbitOnly) - baseTemperature;
+  const co2Response = annualAt(withCO2) - annualAt(orbitOnly);
+  const iceAlbedoEffect = annualAt(full) - annualAt(withCO2);
+  const seasonalEffect = annualMean
+    ? 0
+    : interpolateSeason(full, full.temperatures, latitude, season) - annualAt(full);
+  const iceFactor = annualMean
+    ? interpolateLatitude(full.latitudes, full.annualIceFraction, latitude)
+    : interpolateSeason(full, full.iceFraction, latitude, season);
+
+  const temperature = baseTemperature + insolationEffect + co2Response +
+    iceAlbedoEffect + seasonalEffect + tempOffset;
+
+  return {
+    temperature,
+    iceFactor,
+    baseTemperature,
+    insolationEffect,
+    co2Effect: co2Response * CO2_RESPONSE_SHARES.co2,
+    waterVaporEffect: co2Response * CO2_RESPONSE_SHARES.waterVapor,
+    cloudEffect: co2Response * CO2_RESPONSE_SHARES.cloud,
+    iceAlbedoEffect,
+    seasonalEffect,
+    offsetEffect: tempOffset,
+    sensitivityUsed: 1 / full.olrSlope,
+    timeScaleApplied: timeScaleYears > 0,
+    globalMeanTemperature: full.globalMeanTemperature
+  };
+}
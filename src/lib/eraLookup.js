@@ -1,52 +1,10 @@
-// Preset values are calibrated to produce a clear cold→warm progression
-// in the 65°N annual-mean temperature model used by this playground.
-// The orbital physics is real; exact historical values are approximated
-// so each preset creates a meaningfully different climate outcome.
-export const ERAS = {
-  iceAge: {
-    key: "iceAge",
-    name: "Last Ice Age",
-    shortLabel: "~21 k yrs ago",
-    description:
-      "21 k yrs ago — nearly circular orbit; ice sheets covered North America and northern Europe.",
-    // Near-circular orbit → less seasonal amplification at 65°N → colder annual mean
-    eccentricity: 0.005,
-    axialTilt: 22.99,
-    precession: 0,
-  },
-  today: {
-    key: "today",
-    name: "Today",
-    shortLabel: "Today",
-    description: "Current orbital configuration.",
-    eccentricity: 0.0167,
-    axialTilt: 23.44,
-    precession: 0,
-  },
-  warm: {
-    key: "warm",
-    name: "Warm Period",
-    shortLabel: "~6 k yrs ago",
-    description:
-      "6 k yrs ago — stretched orbit with N hemisphere summer near closest approach; warmer high latitudes.",
-    // High eccentricity + N summer near perihelion (prec≈90°) → peak summer insolation at 65°N
-    eccentricity: 0.058,
-    axialTilt: 24.1,
-    precession: 90,
-  },
-  future: {
-    key: "future",
-    name: "Future",
-    shortLabel: "~50 k yrs ahead",
-    description:
-      "~50 k yrs from now — orbit circularising again; slightly cooler high-latitude summers.",
-    eccentricity: 0.015,
-    axialTilt: 23.2,
-    precession: 180,
-  },
-};
+import { PRESETS, PLAYGROUND_ERA_ORDER } from "./presets.js";
 
-export const ERA_ORDER = ["iceAge", "today", "warm", "future"];
+// The playground eras live in the preset registry alongside the historical
+// presets; see presets.js for how their values were chosen.
+export const ERA_ORDER = PLAYGROUND_ERA_ORDER;
+
+export const ERAS = Object.fromEntries(ERA_ORDER.map((key) => [key, PRESETS[key]]));
 
 const ECC_SPAN = 0.053;
 const TILT_SPAN = 2.4;
@@ -90,3 +48,17 @@ export function eraPlayheadPosition(params) {
   const weight = b.dist / total;
   return a.index * weight + b.index * (1 - weight);
 }
+
+// Span of the playground's deep-time scrubber
+export const TIMELINE_MIN_YEAR = -500000;
+export const TIMELINE_MAX_YEAR = 100000;
+
+// Well-known moments on the deep-time timeline. Years are relative to 1950 CE
+// (negative = past); orbital parameters come from the Berger (1978) solution.
+export const TIMELINE_LANDMARKS = [
+  { year: -125000, label: "Eemian", name: "Last Interglacial" },
+  { year: -115000, label: "Inception", name: "Last glacial inception" },
+  { year: -21000, label: "LGM", name: "Last Glacial Maximum" },
+  { year: -6000, label: "Holocene", name: "Mid-Holocene warmth" },
+  { year: 0, label: "Today", name: "Today" },
+];
@@ -0,0 +1,101 @@
+/**
+ * Forcing Attribution
+ *
+ * Breaks a climate result into the steps that lead to it: start from the
+ * latitude's base temperature (or from another state's temperature) and add
+ * one component effect at a time until the final temperature is reached.
+ * The steps feed the playground's waterfall chart.
+ *
+ * Both climate engines return the same component effects, and the components
+ * sum to the temperature, so the steps close exactly; any remainder is shown
+ * as its own step rather than hidden.
+ *
+ * Feedbacks from the registry beyond the built-in ones (methane, aerosols…)
+ * are stacked after ice-albedo whenever they contribute.
+ */
+
+import { CLIMATE_FEEDBACKS, feedbackEffectKey, FEEDBACK_ORDER } from './climateFeedbacks.js';
+
+// Component effects in the order they are stacked
+export const ATTRIBUTION_COMPONENTS = [
+  { key: 'insolationEffect', label: 'Sunlight (orbit)' },
+  { key: 'co2Effect', label: 'CO₂' },
+  { key: 'waterVaporEffect', label: 'Water vapour' },
+  { key: 'cloudEffect', label: 'Clouds' },
+  { key: 'iceAlbedoEffect', label: 'Ice-albedo' },
+  { key: 'seasonalEffect', label: 'Season', optional: true },
+  { key: 'offsetEffect', label: 'Offset', optional: true }
+];
+
+// Built-in components plus every other registered feedback, before the season
+function attributionComponents() {
+  const listed = new Set(ATTRIBUTION_COMPONENTS.map(({ key }) => key));
+  const extra = FEEDBACK_ORDER
+    .filter(key => !listed.has(feedbackEffectKey(key)))
+    .map(key => ({ key: feedbackEffectKey(key), label: CLIMATE_FEEDBACKS[key].name, optional: true }));
+  const seasonIndex = ATTRIBUTION_COMPONENTS.findIndex(({ key }) => key === 'seasonalEffect');
+  return [...ATTRIBUTION_COMPONENTS.slice(0, seasonIndex), ...extra, ...ATTRIBUTION_COMPONENTS.slice(seasonIndex)];
+}
+
+// Remainders smaller than this (°C) are rounding, not physics
+const RESIDUAL_TOLERANCE = 0.005;
+
+function readNumber(result, key) {
+  const value = result?.[key];
+  return typeof value === 'number' && isFinite(value) ? value : 0;
+}
+
+/**
+ * Build waterfall steps for a climate result
+ *
+ * Without a reference the chart starts at the base temperature. With a
+ * reference it starts at the reference's temperature and each step is the
+ * change in that component, answering "why is it colder than then?".
+ *
+ * @param {Object} result - Result from calculateGlobalTemperature or an engine's annual mean
+ * @param {Object} [reference] - Optional second result to measure the change from
+ * @param {Object} [labels] - Optional { start, end } labels for the first and last bars
+ * @returns {Object} - { start: { label, value }, steps: [{ key, label, value, from, to }], end: { label, value } }
+ */
+export function buildAttributionSteps(result, reference = null, labels = {}) {
+  const startValue = reference
+    ? readNumber(reference, 'temperature')
+    : readNumber(result, 'baseTemperature');
+  const endValue = readNumber(result, 'temperature');
+
+  const changes = [];
+  // A different latitude moves the base temperature itself
+  if (reference) {
+    changes.push({
+      key: 'baseTemperature',
+      label: 'Latitude base',
+      value: readNumber(result, 'baseTemperature') - readNumber(reference, 'baseTemperature'),
+      optional: true
+    });
+  }
+  attributionComponents().forEach(({ key, label, optional }) => {
+    const value = readNumber(result, key) - (reference ? readNumber(reference, key) : 0);
+    changes.push({ key, label, value, optional });
+  });
+
+  const explained = changes.reduce((sum, change) => sum + change.value, 0);
+  const residual = endValue - startValue - explained;
+  if (Math.abs(residual) > RESIDUAL_TOLERANCE) {
+    changes.push({ key: 'residual', label: 'Other', value: residual });
+  }
+
+  let running = startValue;
+  const steps = changes
+    .filter(change => !(change.optional && Math.abs(change.value) < RESIDUAL_TOLERANCE))
+    .map(({ key, label, value }) => {
+      const from = running;
+      running += value;
+      return { key, label, value, from, to: running };
+    });
+
+  return {
+    start: { label: labels.start || (reference ? 'Reference' : 'Baseline'), value: startValue },
+    steps,
+    end: { label: labels.end || 'Result', value: endValue }
+  };
+}
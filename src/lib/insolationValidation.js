@@ -0,0 +1,99 @@
+/**
+ * Insolation Validation
+ *
+ * Compares the model's closed-form daily insolation functions with the
+ * bundled numerical integration (numericalInsolation.js) and reports the
+ * largest absolute error in W/m², overall and for the polar rows, where the
+ * sunset angle is hardest to get right. Both sides share the solar constant
+ * and orbital elements, so this is a self-consistency check, not a
+ * comparison with published insolation tables.
+ *
+ * calculateInsolationAtSolarLongitude takes the integration's inputs directly.
+ * calculateDailyInsolation works in the playground's terms, so each point is
+ * given to it by solar longitude with the precession angle converted from
+ * the longitude of perihelion (longitudeOfPerihelionToPrecession).
+ */
+
+import {
+  calculateDailyInsolation,
+  calculateInsolationAtSolarLongitude
+} from './temperatureUtils.js';
+import { longitudeOfPerihelionToPrecession } from './orbitalSolution.js';
+import { numericalInsolationPoints } from './numericalInsolation.js';
+
+// Largest error accepted by default (W/m²)
+export const DEFAULT_INSOLATION_TOLERANCE = 1;
+
+// Rows at or beyond this latitude are reported separately
+const POLAR_LATITUDE = 88;
+
+export const INSOLATION_FUNCTIONS = {
+  solarLongitude: {
+    key: 'solarLongitude',
+    name: 'calculateInsolationAtSolarLongitude',
+    calculate: (point) => calculateInsolationAtSolarLongitude(
+      point.latitude,
+      point.solarLongitude,
+      point.eccentricity,
+      point.axialTilt,
+      point.longitudeOfPerihelion
+    )
+  },
+  daily: {
+    key: 'daily',
+    name: 'calculateDailyInsolation',
+    calculate: (point) => calculateDailyInsolation(
+      point.latitude,
+      point.solarLongitude,
+      point.eccentricity,
+      point.axialTilt,
+      longitudeOfPerihelionToPrecession(point.longitudeOfPerihelion),
+      { input: 'solarLongitude' }
+    )
+  }
+};
+
+export const INSOLATION_FUNCTION_ORDER = ['solarLongitude', 'daily'];
+
+function largestError(comparisons) {
+  return comparisons.reduce((worst, comparison) =>
+    !worst || comparison.error > worst.error ? comparison : worst, null);
+}
+
+/**
+ * Compare one insolation function with the numerical integration
+ *
+ * @param {string} functionKey - Key in INSOLATION_FUNCTIONS
+ * @param {number} tolerance - Largest absolute error accepted in W/m² (default: 1)
+ * @returns {Object} - { function, tolerance, points, maxAbsError, meanAbsError, worst, polar: { maxAbsError, worst }, pass };
+ *   worst is the point with the largest error: { configuration, latitude, solarLongitude, expected, actual, error }
+ */
+export function compareInsolation(functionKey, tolerance = DEFAULT_INSOLATION_TOLERANCE) {
+  const fn = INSOLATION_FUNCTIONS[functionKey] || INSOLATION_FUNCTIONS.solarLongitude;
+
+  const comparisons = numericalInsolationPoints().map(point => {
+    const actual = fn.calculate(point);
+    return {
+      configuration: point.configuration,
+      latitude: point.latitude,
+      solarLongitude: point.solarLongitude,
+      expected: point.insolation,
+      actual,
+      error: Number.isFinite(actual) ? Math.abs(actual - point.insolation) : Infinity
+    };
+  });
+
+  const worst = largestError(comparisons);
+  const polarWorst = largestError(comparisons.filter(c => Math.abs(c.latitude) >= POLAR_LATITUDE));
+
+  return {
+    function: fn.name,
+    tolerance,
+    points: comparisons.length,
+    maxAbsError: worst.error,
+    meanAbsError: comparisons.reduce((sum, c) => sum + c.error, 0) / comparisons.length,
+    worst,
+    polar: { maxAbsError: polarWorst.error, worst: polarWorst },
+    pass: worst.error <= tolerance
+  };
+}
@@ -0,0 +1,209 @@
+/**
+ * Inverse Solver
+ *
+ * Runs the climate model backwards: given a goal such as "at most −12°C" or
+ * "ice factor at least 0.8", it searches the playground's slider ranges for
+ * the orbit closest to the current one that meets the goal. The search is a
+ * coarse grid over the whole range followed by a line search towards the
+ * starting point and a short pattern search, so it needs a few hundred model
+ * runs at most and never leaves the sliders' ranges.
+ *
+ * Distances are measured in slider widths, with precession taken the short
+ * way round the circle, so a degree of tilt and a step of eccentricity count
+ * as much as the sliders make them look.
+ */
+
+import { calculateGlobalTemperature } from './temperatureUtils.js';
+
+// Playground slider ranges the solver stays inside
+export const SOLVER_RANGES = {
+  eccentricity: { min: 0.005, max: 0.058 },
+  axialTilt: { min: 22.1, max: 24.5 },
+  precession: { min: 0, max: 360, wrap: true }
+};
+
+// Grid points per parameter in the global stage
+const GRID_STEPS = { eccentricity: 4, axialTilt: 4, precession: 8 };
+const LINE_SEARCH_STEPS = 12;
+const PATTERN_ITERATIONS = 6;
+
+const SOLVED_FIELDS = Object.keys(SOLVER_RANGES);
+
+/**
+ * Whether a model output meets a goal
+ *
+ * @param {number} value - Model output
+ * @param {Object} goal - { comparison: 'atMost' | 'atLeast' | 'near' | 'between', value, tolerance, min, max }
+ * @returns {boolean}
+ */
+export function meetsGoal(value, goal) {
+  return goalShortfall(value, goal) === 0;
+}
+
+/**
+ * How far an output is from meeting a goal (0 when met)
+ *
+ * @param {number} value - Model output
+ * @param {Object} goal - { comparison: 'atMost' | 'atLeast' | 'near' | 'between', value, tolerance, min, max }
+ * @returns {number} - Shortfall in the output's units
+ */
+export function goalShortfall(value, goal) {
+  if (typeof value !== 'number' || !isFinite(value)) return Infinity;
+  switch (goal.comparison) {
+    case 'atMost':
+      return Math.max(0, value - goal.value);
+    case 'atLeast':
+      return Math.max(0, goal.value - value);
+    case 'between':
+      return Math.max(0, goal.min - value, value - goal.max);
+    case 'near':
+    default:
+      return Math.max(0, Math.abs(value - goal.value) - (goal.tolerance ?? 0));
+  }
+}
+
+function wrapAngle(angle) {
+  return ((angle % 360) + 360) % 360;
+}
+
+function clampToRanges(params) {
+  const clamped = { ...params };
+  SOLVED_FIELDS.forEach(field => {
+    const { min, max, wrap } = SOLVER_RANGES[field];
+    clamped[field] = wrap ? wrapAngle(params[field]) : Math.max(min, Math.min(max, params[field]));
+  });
+  return clamped;
+}
+
+/**
+ * Distance between two orbits in slider widths
+ *
+ * @param {Object} a - { eccentricity, axialTilt, precession }
+ * @param {Object} b - { eccentricity, axialTilt, precession }
+ * @returns {number}
+ */
+export function parameterDistance(a, b) {
+  return Math.sqrt(
+    SOLVED_FIELDS.reduce((sum, field) => {
+      const { min, max, wrap } = SOLVER_RANGES[field];
+      let delta = Math.abs(a[field] - b[field]);
+      // Half the circle is the farthest two precession angles can be
+      if (wrap) delta = Math.min(delta % 360, 360 - (delta % 360)) * 2;
+      const share = delta / (max - min);
+      return sum + share * share;
+    }, 0)
+  );
+}
+
+function gridValues(field) {
+  const { min, max, wrap } = SOLVER_RANGES[field];
+  const steps = GRID_STEPS[field];
+  // A wrapped range would repeat its first value at the end
+  const intervals = wrap ? steps : steps - 1;
+  return Array.from({ length: steps }, (_, i) => min + ((max - min) * i) / intervals);
+}
+
+// Point part-way from start towards end, precession the short way round
+function interpolate(start, end, t) {
+  const point = {};
+  SOLVED_FIELDS.forEach(field => {
+    let delta = end[field] - start[field];
+    if (SOLVER_RANGES[field].wrap) delta = ((delta % 360) + 540) % 360 - 180;
+    point[field] = start[field] + delta * t;
+  });
+  return clampToRanges(point);
+}
+
+/**
+ * Find the orbit closest to a starting orbit that meets a goal
+ *
+ * @param {Object} options - Solver options
+ * @param {Object} options.start - Current { eccentricity, axialTilt, precession }
+ * @param {Object} options.goal - { output: 'temperature' | 'iceFactor', comparison, value, tolerance, min, max }
+ * @param {Object} options.baseParams - Parameters held fixed, e.g. { latitude, co2Level } (default: {})
+ * @param {Function} options.calculate - Model to run (default: calculateGlobalTemperature)
+ * @returns {Object} - { params, value, reached, distance, evaluations }: the best orbit found,
+ *   its output, whether it meets the goal, its distance from start in slider widths and
+ *   the number of model runs; if the goal is out of reach, the orbit that comes closest
+ */
+export function solveForGoal({
+  start,
+  goal,
+  baseParams = {},
+  calculate = calculateGlobalTemperature
+}) {
+  const output = goal.output || 'temperature';
+  const origin = clampToRanges(start);
+  let evaluations = 0;
+
+  const evaluate = (params) => {
+    evaluations++;
+    const value = calculate({ ...baseParams, ...params })?.[output];
+    return { params, value, shortfall: goalShortfall(value, goal), distance: parameterDistance(params, origin) };
+  };
+
+  // Prefer meeting the goal, then being close to where the user is
+  const better = (a, b) => {
+    if (!b) return true;
+    if (a.shortfall !== b.shortfall) return a.shortfall < b.shortfall;
+    return a.distance < b.distance;
+  };
+
+  const initial = evaluate(origin);
+  if (initial.shortfall === 0) {
+    return { params: origin, value: initial.value, reached: true, distance: 0, evaluations };
+  }
+
+  // 1. Coarse grid over the whole range
+  let best = null;
+  gridValues('eccentricity').forEach(eccentricity => {
+    gridValues('axialTilt').forEach(axialTilt => {
+      gridValues('precession').forEach(precession => {
+        const candidate = evaluate({ eccentricity, axialTilt, precession });
+        if (better(candidate, best)) best = candidate;
+      });
+    });
+  });
+
+  // 2. Walk back towards the start while the goal still holds
+  if (best.shortfall === 0) {
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < LINE_SEARCH_STEPS; i++) {
+      const middle = (low + high) / 2;
+      const candidate = evaluate(interpolate(origin, best.params, middle));
+      if (candidate.shortfall === 0) {
+        high = middle;
+        if (better(candidate, best)) best = candidate;
+      } else {
+        low = middle;
+      }
+    }
+  }
+
+  // 3. Pattern search: nudge each parameter, halving the step when stuck
+  let stepShare = 0.5 / GRID_STEPS.axialTilt;
+  for (let i = 0; i < PATTERN_ITERATIONS; i++) {
+    let improved = false;
+    SOLVED_FIELDS.forEach(field => {
+      const { min, max } = SOLVER_RANGES[field];
+      [-1, 1].forEach(direction => {
+        const params = { ...best.params, [field]: best.params[field] + direction * stepShare * (max - min) };
+        const candidate = evaluate(clampToRanges(params));
+        if (better(candidate, best)) {
+          best = candidate;
+          improved = true;
+        }
+      });
+    });
+    if (!improved) stepShare /= 2;
+  }
+
+  return {
+    params: best.params,
+    value: best.value,
+    reached: best.shortfall === 0,
+    distance: best.distance,
+    evaluations
+  };
+}
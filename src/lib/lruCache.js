@@ -0,0 +1,37 @@
+/**
+ * LRU Cache
+ *
+ * A small least-recently-used cache for the model's memoized results
+ * (seasonal harmonics, energy balance runs, latitude calibrations). A Map
+ * keeps insertion order, so a hit is re-inserted at the end and the first
+ * key is always the one to evict.
+ */
+
+/**
+ * Create a cache that holds at most `size` entries
+ *
+ * @param {number} size - Largest number of entries kept
+ * @returns {Object} - { get(key), set(key, value), size }; get returns undefined on a miss, set returns the value
+ */
+export function createLruCache(size) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      if (!entries.has(key)) return undefined;
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, value);
+      if (entries.size > size) entries.delete(entries.keys().next().value);
+      return value;
+    },
+    get size() {
+      return entries.size;
+    }
+  };
+}
@@ -0,0 +1,432 @@
+/**
+ * Missions
+ *
+ * Goals the playground sets the user, defined as data so teachers can write
+ * their own packs as JSON. A mission is a list of conditions on any model
+ * output (temperature, ice factor, any component effect, June sunshine at a
+ * latitude) or on the dials themselves, plus an optional hint and a score.
+ * Packs can be ordered, so each mission unlocks the next; completion and
+ * scores are kept in localStorage.
+ *
+ * Condition values can be absolute or relative to the chosen latitude:
+ * `relativeTo: 'today'` adds the value to today's temperature there, and
+ * `towards: 'coldest' | 'warmest'` with a `share` places the target that
+ * far between today and the coldest/warmest the sliders can reach, so the
+ * built-in missions stay achievable wherever the user is looking.
+ *
+ * Scientific references:
+ * - Berger, A. (1978). Long-term variations of daily insolation and Quaternary climatic changes. Journal of the Atmospheric Sciences, 35(12), 2362-2367.
+ */
+
+import { goalShortfall } from './inverseSolver.js';
+import { calculateInsolationAtSolarLongitude } from './temperatureUtils.js';
+import { precessionToLongitudeOfPerihelion } from './orbitalSolution.js';
+
+const PROGRESS_STORAGE_KEY = 'milankovitch.missionProgress';
+const PACKS_STORAGE_KEY = 'milankovitch.missionPacks';
+export const MISSION_PACK_FORMAT = 'milankovitch-mission-pack';
+const MISSION_PACK_VERSION = 1;
+
+const DEFAULT_POINTS = 100;
+// Share of a mission's points kept after opening its hint
+const HINT_SCORE_SHARE = 0.5;
+
+// Outputs a condition can test; anything else is read from the climate result
+export const MISSION_OUTPUTS = {
+  temperature: { label: 'Temperature', unit: '°C', decimals: 1, source: 'result' },
+  iceFactor: { label: 'Ice', unit: '', decimals: 2, source: 'result' },
+  summerInsolation: { label: 'June sunshine', unit: ' W/m²', decimals: 0, source: 'insolation' },
+  eccentricity: { label: 'Stretch', unit: '', decimals: 3, source: 'params' },
+  axialTilt: { label: 'Lean', unit: '°', decimals: 1, source: 'params' },
+  precession: { label: 'Wobble', unit: '°', decimals: 0, source: 'params' },
+  co2Level: { label: 'CO₂', unit: ' ppm', decimals: 0, source: 'params' },
+  latitude: { label: 'Latitude', unit: '°', decimals: 1, source: 'params' }
+};
+
+const COMPARISONS = ['atMost', 'atLeast', 'near', 'between'];
+
+// Built-in pack: the playground's original three missions, then two that
+// need more than one dial or a different output
+export const DEFAULT_MISSION_PACK = {
+  format: MISSION_PACK_FORMAT,
+  version: MISSION_PACK_VERSION,
+  id: 'builtin',
+  title: 'Conduct the Climate',
+  ordered: true,
+  missions: [
+    {
+      id: 'iceAge',
+      title: 'Build an ice age',
+      hint: 'Cool summers let snow survive: shrink the lean and put summer at the far end of the orbit.',
+      points: 100,
+      conditions: [{ output: 'temperature', comparison: 'atMost', towards: 'coldest', share: 0.6 }]
+    },
+    {
+      id: 'warm',
+      title: 'Warm Earth up',
+      hint: 'Lean Earth over and stretch the orbit, with northern summer at perihelion (wobble near 180°).',
+      points: 100,
+      conditions: [{ output: 'temperature', comparison: 'atLeast', towards: 'warmest', share: 0.65 }]
+    },
+    {
+      id: 'today',
+      title: 'Match today',
+      hint: 'Reset is allowed — or find another combination that lands on the same temperature.',
+      points: 50,
+      conditions: [{ output: 'temperature', comparison: 'near', relativeTo: 'today', value: 0, tolerance: 1.2 }]
+    },
+    {
+      id: 'sunnySummer',
+      title: 'Blaze the Arctic summer',
+      hint: 'June sunshine at 65°N rises with lean, and with a stretched orbit that puts June at perihelion.',
+      points: 150,
+      conditions: [{ output: 'summerInsolation', latitude: 65, comparison: 'atLeast', value: 520 }]
+    },
+    {
+      id: 'glacialAir',
+      title: 'Glacial air and orbit together',
+      hint: 'Pick the glacial CO₂ preset first, then tune the orbit for cold summers.',
+      points: 150,
+      conditions: [
+        { output: 'co2Level', comparison: 'atMost', value: 200 },
+        { output: 'temperature', comparison: 'atMost', relativeTo: 'today', value: -1.5 }
+      ]
+    }
+  ]
+};
+
+const roundHalf = (t) => Math.round(t * 2) / 2;
+const roundTenth = (t) => Math.round(t * 10) / 10;
+
+// Round a target to a friendly number without pushing it past what the
+// sliders can reach (limit) or back to today's value (baseline); narrow
+// ranges fall back to tenths
+function roundTarget(target, baseline, limit) {
+  const low = Math.min(baseline, limit);
+  const high = Math.max(baseline, limit);
+  const inside = (t) => t >= low && t <= high && t !== baseline;
+  const rounded = [roundHalf(target), roundTenth(target)].find(inside);
+  return rounded ?? target;
+}
+
+function finiteOr(value, fallback) {
+  return typeof value === 'number' && isFinite(value) ? value : fallback;
+}
+
+/**
+ * Turn a condition's relative target into an absolute one
+ *
+ * @param {Object} condition - Condition as authored
+ * @param {Object} calibration - { baseline, min, max } from calculateLatitudeCalibration
+ * @returns {Object} - Condition with an absolute value (or min/max for 'between')
+ */
+export function resolveCondition(condition, { baseline, min, max }) {
+  const resolved = { ...condition };
+  if (condition.towards === 'coldest' || condition.towards === 'warmest') {
+    const limit = condition.towards === 'coldest' ? min : max;
+    const share = finiteOr(condition.share, 0.5);
+    resolved.value = roundTarget(baseline + share * (limit - baseline), baseline, limit);
+  } else if (condition.relativeTo === 'today') {
+    const shift = (value) => (value === undefined ? undefined : baseline + value);
+    resolved.value = shift(condition.value);
+    resolved.min = shift(condition.min);
+    resolved.max = shift(condition.max);
+  }
+  return resolved;
+}
+
+/**
+ * Resolve every condition of a mission for a latitude
+ *
+ * @param {Object} mission - Mission as authored
+ * @param {Object} calibration - { baseline, min, max }
+ * @returns {Object} - Mission with absolute conditions and a `target` summary
+ */
+export function resolveMission(mission, calibration) {
+  const conditions = mission.conditions.map(condition => resolveCondition(condition, calibration));
+  return { ...mission, conditions, target: conditions.map(describeCondition).join(' · ') };
+}
+
+function formatOutputValue(output, value) {
+  const spec = MISSION_OUTPUTS[output] || { unit: '', decimals: 2 };
+  return `${Number(value.toFixed(spec.decimals))}${spec.unit}`;
+}
+
+/**
+ * Short text for a resolved condition, e.g. "≤ −7.5°C" or "CO₂ ≤ 200 ppm"
+ *
+ * @param {Object} condition - Resolved condition
+ * @returns {string}
+ */
+export function describeCondition(condition) {
+  const spec = MISSION_OUTPUTS[condition.output];
+  let label = spec ? spec.label : condition.output;
+  // Temperature is what every mission is about, so it goes unlabelled
+  if (condition.output === 'temperature') label = '';
+  if (condition.output === 'summerInsolation') {
+    const latitude = condition.latitude ?? 65;
+    label = `${spec.label} ${Math.abs(latitude)}°${latitude < 0 ? 'S' : 'N'}`;
+  }
+  const prefix = label ? `${label} ` : '';
+  const format = (value) => formatOutputValue(condition.output, value);
+  switch (condition.comparison) {
+    case 'atMost':
+      return `${prefix}≤ ${format(condition.value)}`;
+    case 'atLeast':
+      return `${prefix}≥ ${format(condition.value)}`;
+    case 'between':
+      return `${prefix}${format(condition.min)} – ${format(condition.max)}`;
+    case 'near':
+    default:
+      return `${prefix}~${format(condition.value)}`;
+  }
+}
+
+/**
+ * Read a condition's output from the current playground state
+ *
+ * @param {Object} condition - Condition
+ * @param {Object} context - { result, params }: climate result and { eccentricity, axialTilt, precession, co2Level, latitude }
+ * @returns {number|undefined}
+ */
+export function readMissionOutput(condition, { result, params }) {
+  const source = MISSION_OUTPUTS[condition.output]?.source || 'result';
+  if (source === 'params') return params?.[condition.output];
+  if (source === 'insolation') {
+    // Insolation at the June solstice (solar longitude 90°)
+    return calculateInsolationAtSolarLongitude(
+      condition.latitude ?? 65,
+      90,
+      params.eccentricity,
+      params.axialTilt,
+      precessionToLongitudeOfPerihelion(params.precession)
+    );
+  }
+  return result?.[condition.output];
+}
+
+/**
+ * Check a resolved mission against the current playground state
+ *
+ * @param {Object} mission - Resolved mission
+ * @param {Object} context - { result, params }
+ * @returns {Object} - { complete, conditions: [{ ...condition, actual, met }] }
+ */
+export function evaluateMission(mission, context) {
+  const conditions = mission.conditions.map(condition => {
+    const actual = readMissionOutput(condition, context);
+    return { ...condition, actual, met: goalShortfall(actual, condition) === 0 };
+  });
+  return { complete: conditions.every(condition => condition.met), conditions };
+}
+
+/**
+ * Goal the inverse solver can chase for a mission
+ *
+ * Only missions with a single temperature or ice-factor condition can be
+ * solved by moving the orbital dials alone.
+ *
+ * @param {Object} mission - Resolved mission
+ * @returns {Object|null} - Solver goal, or null if the mission can't be solved automatically
+ */
+export function missionGoal(mission) {
+  if (mission.conditions.length !== 1) return null;
+  const [condition] = mission.conditions;
+  return condition.output === 'temperature' || condition.output === 'iceFactor' ? condition : null;
+}
+
+/**
+ * Missions the user can work on now: the incomplete ones, or in an ordered
+ * pack only the first incomplete one
+ *
+ * @param {Object} pack - Mission pack
+ * @param {Object} packProgress - Progress for the pack: { [missionId]: { score, hintUsed, completedAt } }
+ * @returns {Array<Object>} - Available missions (as authored)
+ */
+export function availableMissions(pack, packProgress = {}) {
+  const incomplete = pack.missions.filter(mission => !packProgress[mission.id]?.completedAt);
+  return pack.ordered ? incomplete.slice(0, 1) : incomplete;
+}
+
+/**
+ * Score for a completed mission
+ *
+ * @param {Object} mission - Mission
+ * @param {boolean} hintUsed - Whether the hint was opened first
+ * @returns {number}
+ */
+export function missionScore(mission, hintUsed) {
+  const points = finiteOr(mission.points, DEFAULT_POINTS);
+  return Math.round(hintUsed ? points * HINT_SCORE_SHARE : points);
+}
+
+/**
+ * Totals for a pack
+ *
+ * @param {Object} pack - Mission pack
+ * @param {Object} packProgress - Progress for the pack
+ * @returns {Object} - { score, maxScore, completed, total }
+ */
+export function packSummary(pack, packProgress = {}) {
+  return pack.missions.reduce(
+    (summary, mission) => {
+      const entry = packProgress[mission.id];
+      return {
+        score: summary.score + (entry?.completedAt ? finiteOr(entry.score, 0) : 0),
+        maxScore: summary.maxScore + missionScore(mission, false),
+        completed: summary.completed + (entry?.completedAt ? 1 : 0),
+        total: summary.total + 1
+      };
+    },
+    { score: 0, maxScore: 0, completed: 0, total: 0 }
+  );
+}
+
+function sanitizeCondition(raw) {
+  if (!raw || typeof raw !== 'object' || typeof raw.output !== 'string') return null;
+  if (!COMPARISONS.includes(raw.comparison)) return null;
+  const condition = { output: raw.output, comparison: raw.comparison };
+  ['value', 'tolerance', 'min', 'max', 'share', 'latitude'].forEach(key => {
+    if (typeof raw[key] === 'number' && isFinite(raw[key])) condition[key] = raw[key];
+  });
+  if (raw.relativeTo === 'today') condition.relativeTo = 'today';
+  if (raw.towards === 'coldest' || raw.towards === 'warmest') condition.towards = raw.towards;
+
+  const hasTarget = condition.comparison === 'between'
+    ? condition.min !== undefined && condition.max !== undefined
+    : condition.value !== undefined || condition.towards !== undefined;
+  return hasTarget ? condition : null;
+}
+
+function sanitizeMission(raw, index) {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.conditions)) return null;
+  const conditions = raw.conditions.map(sanitizeCondition);
+  if (conditions.length === 0 || conditions.some(condition => !condition)) return null;
+  const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+  return {
+    id: text(raw.id) || `mission-${index + 1}`,
+    title: text(raw.title) || `Mission ${index + 1}`,
+    description: text(raw.description),
+    hint: text(raw.hint),
+    points: finiteOr(raw.points, DEFAULT_POINTS),
+    conditions
+  };
+}
+
+/**
+ * Check and clean a mission pack written by hand or read from storage
+ *
+ * @param {Object} raw - Untrusted pack object
+ * @returns {Object} - { pack, skipped, error }; pack is null if nothing usable was found
+ */
+export function sanitizeMissionPack(raw) {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.missions)) {
+    return { pack: null, skipped: 0, error: 'No missions found in file' };
+  }
+  const missions = raw.missions.map(sanitizeMission).filter(Boolean);
+  if (missions.length === 0) {
+    return { pack: null, skipped: raw.missions.length, error: 'None of the missions could be read' };
+  }
+  const title = typeof raw.title === 'string' && raw.title.trim() ? raw.title.trim() : 'Mission pack';
+  // The built-in pack's id is reserved so a loaded copy can't shadow it
+  const id = typeof raw.id === 'string' && raw.id && raw.id !== DEFAULT_MISSION_PACK.id
+    ? raw.id
+    : `pack-${title.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+  return {
+    pack: {
+      format: MISSION_PACK_FORMAT,
+      version: MISSION_PACK_VERSION,
+      id,
+      title,
+      author: typeof raw.author === 'string' ? raw.author : undefined,
+      ordered: raw.ordered !== false,
+      missions
+    },
+    skipped: raw.missions.length - missions.length,
+    error: null
+  };
+}
+
+/**
+ * Parse a mission pack file
+ *
+ * @param {string} json - File contents
+ * @returns {Object} - { pack, skipped, error }
+ */
+export function parseMissionPack(json) {
+  try {
+    return sanitizeMissionPack(JSON.parse(json));
+  } catch {
+    return { pack: null, skipped: 0, error: 'Not a JSON file' };
+  }
+}
+
+function readStorage(key, fallback) {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(key));
+    return stored ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function writeStorage(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read mission progress from localStorage
+ *
+ * @returns {Object} - { [packId]: { [missionId]: { score, hintUsed, completedAt } } }
+ */
+export function loadMissionProgress() {
+  const stored = readStorage(PROGRESS_STORAGE_KEY, {});
+  return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+}
+
+/**
+ * Write mission progress to localStorage
+ *
+ * @param {Object} progress - Progress by pack
+ * @returns {boolean} - False if storage is unavailable or full
+ */
+export function storeMissionProgress(progress) {
+  return writeStorage(PROGRESS_STORAGE_KEY, progress);
+}
+
+/**
+ * Read loaded mission packs from localStorage
+ *
+ * @returns {Array<Object>} - Clean packs (the built-in pack is not stored)
+ */
+export function loadMissionPacks() {
+  const stored = readStorage(PACKS_STORAGE_KEY, []);
+  return Array.isArray(stored)
+    ? stored.map(raw => sanitizeMissionPack(raw).pack).filter(Boolean)
+    : [];
+}
+
+/**
+ * Write loaded mission packs to localStorage
+ *
+ * @param {Array<Object>} packs - Packs to store
+ * @returns {boolean} - False if storage is unavailable or full
+ */
+export function storeMissionPacks(packs) {
+  return writeStorage(PACKS_STORAGE_KEY, packs);
+}
+
+/**
+ * Serialize a pack, e.g. as a template for teachers
+ *
+ * @param {Object} pack - Mission pack
+ * @returns {string} - Pretty-printed JSON document
+ */
+export function exportMissionPack(pack) {
+  return JSON.stringify(pack, null, 2);
+}
@@ -0,0 +1,147 @@
+/**
+ * Model Validation
+ *
+ * Runs every preset in the registry through the climate model the app ships
+ * (temperatureUtils.js) and checks the result against the preset's published
+ * reference range. The report is plain JSON so scripts and CI can store and
+ * diff it; scripts/validate-model.js prints it as a readable summary.
+ *
+ * Global means are area-weighted over a 5° latitude grid
+ * (calculateRegionalTemperatures) and averaged over the four cardinal
+ * seasons, the same way calculateAnnualMeanTemperature averages a single
+ * latitude.
+ */
+
+import {
+  calculateAnnualMeanTemperature,
+  calculateRegionalTemperatures,
+  createLatitudeGrid
+} from './temperatureUtils.js';
+import { mergeDiagnostics } from './climateDiagnostics.js';
+import { PRESETS, PRESET_ORDER, presetParams } from './presets.js';
+
+export const VALIDATION_REPORT_FORMAT = 'milankovitch-model-validation';
+export const VALIDATION_REPORT_VERSION = 1;
+
+const SEASONS = [0, 0.25, 0.5, 0.75];
+
+// Latitude spacing of the global mean (degrees)
+export const VALIDATION_LATITUDE_STEP = 5;
+
+/**
+ * Global annual mean temperature from the shipped model
+ *
+ * @param {Object} params - { eccentricity, axialTilt, precession, co2Level, ... }
+ * @param {number} latitudeStep - Grid spacing in degrees (default: 5)
+ * @returns {Object} - { temperature, bands: [{ latitude, name, weight, temperature, iceFactor }], calculationError, diagnostics }
+ */
+export function calculateGlobalAnnualMean(params, latitudeStep = VALIDATION_LATITUDE_STEP) {
+  const latitudes = createLatitudeGrid(latitudeStep);
+  const seasons = SEASONS.map(season => calculateRegionalTemperatures({ ...params, season }, { latitudes }));
+  const bands = seasons[0].bandResults.map((band, i) => ({
+    latitude: band.latitude,
+    name: band.name,
+    weight: band.weight,
+    temperature: seasons.reduce((sum, season) => sum + season.bandResults[i].temperature, 0) / SEASONS.length,
+    iceFactor: seasons.reduce((sum, season) => sum + season.bandResults[i].iceFactor, 0) / SEASONS.length
+  }));
+
+  return {
+    temperature: seasons.reduce((sum, season) => sum + season.globalTemperature, 0) / SEASONS.length,
+    bands,
+    calculationError: seasons.some(season =>
+      season.calculationError || season.bandResults.some(band => band.calculationError)),
+    diagnostics: mergeDiagnostics(seasons.map(season => season.diagnostics))
+  };
+}
+
+/**
+ * Check one preset against its reference range
+ *
+ * @param {Object} preset - Preset from the registry
+ * @returns {Object} - { key, name, year, orbitSource, params, expected, computed, miss, status, reason };
+ *   status is 'pass', 'fail' or 'skipped' (no reference range), miss is how far outside the range
+ *   the model lands in °C (0 inside it), computed.warnings lists where the model clamped values
+ */
+export function validatePreset(preset) {
+  const params = presetParams(preset.key);
+  const entry = {
+    key: preset.key,
+    name: preset.name,
+    year: preset.year,
+    orbitSource: preset.orbitSource,
+    params,
+    expected: preset.expectedTemperature,
+    computed: null,
+    miss: null,
+    status: 'skipped',
+    reason: null
+  };
+
+  if (!preset.expectedTemperature) {
+    entry.reason = preset.reference
+      ? `Calibrated era with no reference range of its own (stands for ${preset.reference})`
+      : 'No reference range';
+    return entry;
+  }
+
+  const { latitude, range } = preset.expectedTemperature;
+  let computed;
+  if (latitude === null) {
+    const { temperature, bands, calculationError, diagnostics } = calculateGlobalAnnualMean(params);
+    computed = { scope: 'global', temperature, bands, calculationError, warnings: diagnostics.warnings };
+  } else {
+    const result = calculateAnnualMeanTemperature({ ...params, latitude, tempOffset: 0 });
+    computed = {
+      scope: 'latitude',
+      latitude,
+      temperature: result.temperature,
+      calculationError: Boolean(result.calculationError),
+      warnings: result.diagnostics.warnings
+    };
+  }
+
+  const [min, max] = range;
+  entry.computed = computed;
+  entry.miss = Math.max(0, min - computed.temperature, computed.temperature - max);
+
+  if (computed.calculationError) {
+    entry.status = 'fail';
+    entry.reason = 'The model fell back to default values';
+  } else if (entry.miss > 0) {
+    entry.status = 'fail';
+    entry.reason = `${computed.temperature.toFixed(2)}°C is ${entry.miss.toFixed(2)}°C outside ${min}–${max}°C`;
+  } else {
+    entry.status = 'pass';
+  }
+  return entry;
+}
+
+/**
+ * Validate presets against the shipped model
+ *
+ * @param {Object} options - Report options
+ * @param {Array<string>} options.keys - Presets to check (default: every preset in the registry)
+ * @param {string} options.generatedAt - Timestamp recorded in the report (default: now)
+ * @returns {Object} - { format, version, model, generatedAt, presets, summary: { total, passed, failed, skipped, ok } }
+ */
+export function buildValidationReport({ keys = PRESET_ORDER, generatedAt = new Date().toISOString() } = {}) {
+  const presets = keys.filter(key => PRESETS[key]).map(key => validatePreset(PRESETS[key]));
+  const count = (status) => presets.filter(entry => entry.status === status).length;
+  const failed = count('fail');
+
+  return {
+    format: VALIDATION_REPORT_FORMAT,
+    version: VALIDATION_REPORT_VERSION,
+    model: 'src/lib/temperatureUtils.js',
+    generatedAt,
+    presets,
+    summary: {
+      total: presets.length,
+      passed: count('pass'),
+      failed,
+      skipped: count('skipped'),
+      ok: failed === 0
+    }
+  };
+}
@@ -0,0 +1,150 @@
+/**
+ * Numerical Daily Insolation
+ *
+ * Daily mean top-of-atmosphere insolation (W/m²) for four orbital
+ * configurations, integrated numerically, for a self-consistency check of
+ * the model's closed-form insolation functions. Values follow the Berger
+ * (1978) definition of daily insolation: the day is located by the Sun's
+ * true longitude λ (0° = March equinox, 90° = June solstice) and perihelion
+ * by its longitude ϖ in the heliocentric convention (~102° today), so the
+ * true anomaly is λ − ϖ − 180°.
+ *
+ * The values were generated locally by integrating the cosine of the solar
+ * zenith angle over the hour angle (20,000 steps per day) instead of using
+ * the sunset-angle formula, with the model's solar constant (1361 W/m²) and
+ * the Berger (1978) orbital elements for each year. Agreement therefore
+ * shows that the closed-form code integrates the day correctly, including
+ * at the poles; it does not test the orbital solution or the calendar
+ * convention, and is not a comparison with the published Berger & Loutre
+ * (1991) or Laskar et al. (2004) tables.
+ *
+ * Scientific references:
+ * - Berger, A. (1978). Long-term variations of daily insolation and Quaternary climatic changes. Journal of the Atmospheric Sciences, 35(12), 2362-2367.
+ * - Berger, A., & Loutre, M. F. (1991). Insolation values for the climate of the last 10 million years. Quaternary Science Reviews, 10(4), 297-317.
+ * - Laskar, J., et al. (2004). A long-term numerical solution for the insolation quantities of the Earth. Astronomy & Astrophysics, 428(1), 261-285.
+ */
+
+// Solar constant the values were computed with (W/m²)
+export const NUMERICAL_SOLAR_CONSTANT = 1361;
+
+// Rows of each table; 88° and 89° bracket the polar cases
+export const NUMERICAL_LATITUDES = [90, 89, 88, 75, 65, 45, 30, 0, -30, -65, -88, -90];
+
+// Columns of each table: the Sun's true longitude in degrees
+export const NUMERICAL_SOLAR_LONGITUDES = [0, 30, 60, 90, 120, 150, 180, 210, 240, 270, 300, 330];
+
+export const NUMERICAL_INSOLATION = [
+  {
+    key: 'present',
+    name: 'Present day (1950 CE)',
+    year: 0,
+    eccentricity: 0.016724,
+    axialTilt: 23.4463,
+    longitudeOfPerihelion: 102.04,
+    // W/m², one row per NUMERICAL_LATITUDES entry, one column per NUMERICAL_SOLAR_LONGITUDES entry
+    insolation: [
+      [0, 268.13, 457.65, 524.25, 454.43, 264.88, 0, 0, 0, 0, 0, 0],
+      [7.62, 268.09, 457.59, 524.17, 454.36, 264.84, 7.51, 0, 0, 0, 0, 0],
+      [15.23, 267.96, 457.38, 523.93, 454.15, 264.72, 15.02, 0, 0, 0, 0, 0],
+      [112.97, 271.39, 442.06, 506.39, 438.94, 268.1, 111.41, 12.66, 0, 0, 0, 12.81],
+      [184.47, 316.3, 430.47, 477.98, 427.44, 312.47, 181.91, 74.82, 16.5, 3.04, 16.61, 75.73],
+      [308.65, 398.23, 461.56, 483.44, 458.31, 393.41, 304.37, 212.98, 144.98, 120.36, 145.98, 215.55],
+      [378.01, 433.64, 465.86, 474.79, 462.58, 428.39, 372.77, 305.82, 249.11, 227.04, 250.83, 309.5],
+      [436.49, 420.43, 396.87, 384.77, 394.07, 415.34, 430.44, 429.19, 417.09, 410.79, 419.97, 434.37],
+      [378.01, 299.57, 237.03, 212.66, 235.36, 295.94, 372.77, 442.67, 489.59, 506.89, 492.97, 448.01],
+      [184.47, 73.3, 15.7, 2.85, 15.59, 72.41, 181.91, 322.9, 452.4, 510.3, 455.53, 326.79],
+      [15.23, 0, 0, 0, 0, 0, 15.02, 273.55, 480.67, 559.36, 483.99, 276.85],
+      [0, 0, 0, 0, 0, 0, 0, 273.72, 480.97, 559.7, 484.29, 277.02]
+    ]
+  },
+  {
+    key: 'earlyHolocene',
+    name: 'Early Holocene, 9 k yrs ago',
+    year: -9000,
+    eccentricity: 0.019280,
+    axialTilt: 24.2295,
+    longitudeOfPerihelion: 311.26,
+    // W/m², one row per NUMERICAL_LATITUDES entry, one column per NUMERICAL_SOLAR_LONGITUDES entry
+    insolation: [
+      [0, 277.38, 490.09, 575.28, 502.55, 289.78, 0, 0, 0, 0, 0, 0],
+      [7.38, 277.34, 490.01, 575.19, 502.48, 289.73, 7.76, 0, 0, 0, 0, 0],
+      [14.75, 277.21, 489.79, 574.93, 502.25, 289.6, 15.52, 0, 0, 0, 0, 0],
+      [109.37, 278.47, 473.39, 555.68, 485.43, 290.92, 115.08, 10.7, 0, 0, 0, 10.24],
+      [178.59, 321.98, 457.26, 522.44, 468.89, 336.38, 187.91, 71.66, 12.77, 1, 12.44, 68.55],
+      [298.81, 402.42, 484.61, 520.77, 496.94, 420.41, 314.41, 209.41, 134.69, 107.57, 131.27, 200.32],
+      [365.97, 436.73, 486.42, 508.16, 498.8, 456.25, 385.07, 302.56, 235.47, 208.1, 229.49, 289.43],
+      [422.59, 421.13, 410.27, 406.89, 420.71, 439.95, 444.64, 427.52, 400.23, 383.97, 390.06, 408.96],
+      [365.97, 298.04, 241.38, 220.52, 247.52, 311.36, 385.07, 443.35, 474.52, 479.54, 462.46, 424.11],
+      [178.59, 70.59, 13.09, 1.06, 13.42, 73.75, 187.91, 326.87, 446.07, 493.01, 434.73, 312.68],
+      [14.75, 0, 0, 0, 0, 0, 15.52, 281.42, 477.8, 542.54, 465.66, 269.2],
+      [0, 0, 0, 0, 0, 0, 0, 281.59, 478.1, 542.87, 465.94, 269.37]
+    ]
+  },
+  {
+    key: 'lgm',
+    name: 'Last Glacial Maximum, 21 k yrs ago',
+    year: -21000,
+    eccentricity: 0.018994,
+    axialTilt: 22.9490,
+    longitudeOfPerihelion: 114.42,
+    // W/m², one row per NUMERICAL_LATITUDES entry, one column per NUMERICAL_SOLAR_LONGITUDES entry
+    insolation: [
+      [0, 264.55, 449.8, 512.84, 442.68, 257.39, 0, 0, 0, 0, 0, 0],
+      [7.69, 264.51, 449.73, 512.76, 442.61, 257.35, 7.45, 0, 0, 0, 0, 0],
+      [15.37, 264.39, 449.52, 512.53, 442.41, 257.23, 14.89, 0, 0, 0, 0, 0],
+      [113.98, 269.28, 434.47, 495.37, 427.6, 261.99, 110.45, 13.85, 0, 0, 0, 14.22],
+      [186.11, 315.45, 425.48, 469.1, 418.75, 306.91, 180.35, 76.25, 18.63, 4.61, 18.92, 78.33],
+      [311.39, 399.03, 459.59, 478.75, 452.32, 388.23, 301.76, 213.54, 147.94, 124.44, 150.25, 219.38],
+      [381.37, 435.44, 465.52, 472.12, 458.16, 423.66, 369.58, 305.42, 251.5, 231.15, 255.42, 313.77],
+      [440.37, 423.64, 399.1, 385.53, 392.79, 412.18, 426.75, 426.79, 417.14, 413.15, 423.64, 438.45],
+      [381.37, 303.17, 240.62, 215.7, 236.81, 294.96, 369.58, 438.67, 486.56, 505.94, 494.15, 450.66],
+      [186.11, 75.69, 17.83, 4.3, 17.55, 73.64, 180.35, 317.79, 444.71, 502.7, 451.65, 326.47],
+      [15.37, 0, 0, 0, 0, 0, 14.89, 266.35, 469.84, 549.25, 477.17, 273.63],
+      [0, 0, 0, 0, 0, 0, 0, 266.51, 470.13, 549.58, 477.46, 273.79]
+    ]
+  },
+  {
+    key: 'inception',
+    name: 'Last glacial inception, 115 k yrs ago',
+    year: -115000,
+    eccentricity: 0.041421,
+    axialTilt: 22.4054,
+    longitudeOfPerihelion: 110.88,
+    // W/m², one row per NUMERICAL_LATITUDES entry, one column per NUMERICAL_SOLAR_LONGITUDES entry
+    insolation: [
+      [0, 256.86, 427.55, 481.03, 414.68, 243.81, 0, 0, 0, 0, 0, 0],
+      [7.81, 256.82, 427.48, 480.96, 414.62, 243.77, 7.36, 0, 0, 0, 0, 0],
+      [15.62, 256.71, 427.29, 480.74, 414.43, 243.66, 14.73, 0, 0, 0, 0, 0],
+      [115.86, 263.18, 412.98, 464.64, 400.55, 249.81, 109.21, 15.47, 0, 0, 0, 16.27],
+      [189.18, 310.05, 407.13, 441.83, 394.88, 294.29, 178.33, 79.31, 21.81, 6.85, 22.44, 83.39],
+      [316.53, 394.25, 443.35, 455.33, 430.01, 374.21, 298.38, 218.28, 156.58, 134.49, 161.12, 229.51],
+      [387.67, 431.24, 450.82, 451.04, 437.25, 409.33, 365.44, 310.87, 263.17, 245.8, 270.8, 326.86],
+      [447.64, 421.16, 389.18, 371.39, 377.47, 399.76, 421.97, 432.36, 432.07, 433.6, 444.59, 454.61],
+      [387.67, 302.81, 237.04, 210.53, 229.91, 287.42, 365.44, 442.72, 500.51, 526.6, 515.01, 465.5],
+      [189.18, 77.25, 19.65, 5.87, 19.05, 73.33, 178.33, 318.3, 452.01, 515.85, 465.11, 334.68],
+      [15.62, 0, 0, 0, 0, 0, 14.73, 263.54, 474.38, 561.27, 488.13, 277.1],
+      [0, 0, 0, 0, 0, 0, 0, 263.7, 474.67, 561.61, 488.43, 277.27]
+    ]
+  }
+];
+
+/**
+ * Every integrated value as a flat list
+ *
+ * @returns {Array<Object>} - { configuration, latitude, solarLongitude, eccentricity, axialTilt, longitudeOfPerihelion, insolation }
+ */
+export function numericalInsolationPoints() {
+  return NUMERICAL_INSOLATION.flatMap(configuration =>
+    NUMERICAL_LATITUDES.flatMap((latitude, row) =>
+      NUMERICAL_SOLAR_LONGITUDES.map((solarLongitude, column) => ({
+        configuration: configuration.key,
+        latitude,
+        solarLongitude,
+        eccentricity: configuration.eccentricity,
+        axialTilt: configuration.axialTilt,
+        longitudeOfPerihelion: configuration.longitudeOfPerihelion,
+        insolation: configuration.insolation[row][column]
+      }))
+    )
+  );
+}
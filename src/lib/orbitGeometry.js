@@ -0,0 +1,158 @@
+/**
+ * Orbit Geometry
+ *
+ * Shared Keplerian geometry for drawing Earth's orbit in the 3D scene. The Sun
+ * sits at one focus of the ellipse (the scene origin) and Earth's position at
+ * any moment comes from Kepler's equation, so it sweeps equal areas in equal
+ * times and moves fastest at perihelion.
+ *
+ * Perihelion lies along the +x axis. Real eccentricities barely flatten the
+ * orbit, so callers may pass an exaggeration factor that scales eccentricity
+ * for display; the geometry stays a true Keplerian ellipse either way.
+ *
+ * Scientific references:
+ * - Murray, C. D., & Dermott, S. F. (1999). Solar System Dynamics. Cambridge University Press. Chapter 2.
+ * - Meeus, J. (1998). Astronomical Algorithms (2nd ed.). Willmann-Bell. Chapter 30.
+ */
+
+// Scene units for the semi-major axis
+export const ORBIT_SEMI_MAJOR_AXIS = 20;
+
+// Keeps exaggerated orbits well short of a parabola
+const MAX_DISPLAY_ECCENTRICITY = 0.9;
+
+/**
+ * Scale eccentricity for display
+ *
+ * @param {number} eccentricity - Orbital eccentricity
+ * @param {number} exaggeration - Display factor (1 = true shape)
+ * @returns {number} - Eccentricity to draw, clamped to [0, 0.9]
+ */
+export function displayEccentricity(eccentricity, exaggeration = 1) {
+  const scaled = (eccentricity || 0) * Math.max(0, exaggeration ?? 1);
+  return Math.min(MAX_DISPLAY_ECCENTRICITY, Math.max(0, scaled));
+}
+
+/**
+ * Solve Kepler's equation M = E - e·sin(E) for the eccentric anomaly
+ *
+ * @param {number} meanAnomaly - Mean anomaly in radians
+ * @param {number} eccentricity - Orbital eccentricity (0 to <1)
+ * @returns {number} - Eccentric anomaly in radians
+ */
+export function solveKeplerEquation(meanAnomaly, eccentricity) {
+  let E = eccentricity < 0.8 ? meanAnomaly : Math.PI;
+  // Newton-Raphson converges in a few steps for planetary eccentricities
+  for (let i = 0; i < 20; i++) {
+    const delta = (E - eccentricity * Math.sin(E) - meanAnomaly) / (1 - eccentricity * Math.cos(E));
+    E -= delta;
+    if (Math.abs(delta) < 1e-12) break;
+  }
+  return E;
+}
+
+/**
+ * Convert mean anomaly to true anomaly
+ *
+ * @param {number} meanAnomaly - Mean anomaly in radians (uniform in time)
+ * @param {number} eccentricity - Orbital eccentricity
+ * @returns {number} - True anomaly in radians (angle from perihelion seen from the Sun)
+ */
+export function trueAnomalyFromMeanAnomaly(meanAnomaly, eccentricity) {
+  const E = solveKeplerEquation(meanAnomaly, eccentricity);
+  return 2 * Math.atan2(
+    Math.sqrt(1 + eccentricity) * Math.sin(E / 2),
+    Math.sqrt(1 - eccentricity) * Math.cos(E / 2)
+  );
+}
+
+/**
+ * Convert true anomaly to mean anomaly
+ *
+ * @param {number} trueAnomaly - True anomaly in radians
+ * @param {number} eccentricity - Orbital eccentricity
+ * @returns {number} - Mean anomaly in radians
+ */
+export function meanAnomalyFromTrueAnomaly(trueAnomaly, eccentricity) {
+  const E = 2 * Math.atan2(
+    Math.sqrt(1 - eccentricity) * Math.sin(trueAnomaly / 2),
+    Math.sqrt(1 + eccentricity) * Math.cos(trueAnomaly / 2)
+  );
+  return E - eccentricity * Math.sin(E);
+}
+
+/**
+ * True anomaly at which the Sun reaches a given solar longitude
+ *
+ * Uses Berger's heliocentric longitude of perihelion, so the Sun's longitude
+ * at perihelion is ϖ + 180° (about 282° today, early January).
+ *
+ * @param {number} solarLongitude - Solar longitude in degrees (0 = March equinox, 90 = June solstice)
+ * @param {number} longitudeOfPerihelion - Longitude of perihelion in degrees
+ * @returns {number} - True anomaly in radians
+ */
+export function trueAnomalyAtSolarLongitude(solarLongitude, longitudeOfPerihelion) {
+  return ((solarLongitude - longitudeOfPerihelion - 180) * Math.PI) / 180;
+}
+
+/**
+ * Sun-Earth distance at a given true anomaly
+ *
+ * @param {number} trueAnomaly - True anomaly in radians
+ * @param {number} eccentricity - Orbital eccentricity
+ * @param {number} semiMajorAxis - Semi-major axis (default: scene units)
+ * @returns {number} - Distance from the Sun in the same units as semiMajorAxis
+ */
+export function orbitalRadius(trueAnomaly, eccentricity, semiMajorAxis = ORBIT_SEMI_MAJOR_AXIS) {
+  return (semiMajorAxis * (1 - eccentricity * eccentricity)) / (1 + eccentricity * Math.cos(trueAnomaly));
+}
+
+/**
+ * Position on the orbit at a given true anomaly, Sun at the origin
+ *
+ * @param {number} trueAnomaly - True anomaly in radians
+ * @param {number} eccentricity - Eccentricity to draw (already exaggerated if wanted)
+ * @param {number} semiMajorAxis - Semi-major axis (default: scene units)
+ * @returns {Object} - { x, z, distance } in scene units
+ */
+export function orbitPositionAtTrueAnomaly(trueAnomaly, eccentricity, semiMajorAxis = ORBIT_SEMI_MAJOR_AXIS) {
+  const distance = orbitalRadius(trueAnomaly, eccentricity, semiMajorAxis);
+  return {
+    x: distance * Math.cos(trueAnomaly),
+    z: distance * Math.sin(trueAnomaly),
+    distance
+  };
+}
+
+/**
+ * Position on the orbit at a given mean anomaly (i.e. a point in time)
+ *
+ * @param {number} meanAnomaly - Mean anomaly in radians, 0 at perihelion
+ * @param {number} eccentricity - Eccentricity to draw (already exaggerated if wanted)
+ * @param {number} semiMajorAxis - Semi-major axis (default: scene units)
+ * @returns {Object} - { x, z, distance, trueAnomaly }
+ */
+export function orbitPositionAtMeanAnomaly(meanAnomaly, eccentricity, semiMajorAxis = ORBIT_SEMI_MAJOR_AXIS) {
+  const trueAnomaly = trueAnomalyFromMeanAnomaly(meanAnomaly, eccentricity);
+  return {
+    ...orbitPositionAtTrueAnomaly(trueAnomaly, eccentricity, semiMajorAxis),
+    trueAnomaly
+  };
+}
+
+/**
+ * Sample the full orbit as a closed polyline
+ *
+ * @param {number} eccentricity - Eccentricity to draw (already exaggerated if wanted)
+ * @param {number} segments - Number of segments (default: 320)
+ * @param {number} semiMajorAxis - Semi-major axis (default: scene units)
+ * @returns {Array<Object>} - segments + 1 points { x, z }, first and last coincide
+ */
+export function sampleOrbit(eccentricity, segments = 320, semiMajorAxis = ORBIT_SEMI_MAJOR_AXIS) {
+  const points = [];
+  for (let i = 0; i <= segments; i++) {
+    const { x, z } = orbitPositionAtTrueAnomaly((i / segments) * Math.PI * 2, eccentricity, semiMajorAxis);
+    points.push({ x, z });
+  }
+  return points;
+}
@@ -0,0 +1,127 @@
+/**
+ * Orbital Calendar
+ *
+ * Converts between the ways a moment in the year can be given: a day of the
+ * year, a season (fraction of the year), the Sun's true longitude or Earth's
+ * true anomaly. Days and seasons measure time, longitudes and anomalies
+ * measure angle, and on an eccentric orbit the two only line up through
+ * Kepler's equation.
+ *
+ * Calendar dates also need an anchor, and paleoclimate work uses two:
+ * - fixed vernal equinox: the March equinox always falls on 21 March (day 80),
+ *   as in the PMIP experiments, so perihelion wanders through the calendar
+ *   as precession moves it
+ * - fixed perihelion: perihelion always falls on 3 January (day 3), so the
+ *   equinoxes and solstices wander instead
+ * "Insolation in July" means different orbital positions under the two, and
+ * comparisons between climates need to say which one they use.
+ *
+ * Angles use Berger's heliocentric longitude of perihelion ϖ (~102° today),
+ * so the true anomaly is λ − ϖ − 180°. Days of the year are 1-based and
+ * fractional (1 = the start of 1 January); season = (day − 1) / year length,
+ * so season 0.5 is early July.
+ *
+ * Scientific references:
+ * - Berger, A. (1978). Long-term variations of daily insolation and Quaternary climatic changes. Journal of the Atmospheric Sciences, 35(12), 2362-2367.
+ * - Joussaume, S., & Braconnot, P. (1997). Sensitivity of paleoclimate simulation results to season definitions. Journal of Geophysical Research, 102(D2), 1943-1956.
+ * - Bartlein, P. J., & Shafer, S. L. (2019). Paleo calendar-effect adjustments in time-slice and transient climate-model simulations (PaleoCalAdjust v1.0). Geoscientific Model Development, 12(9), 3889-3913.
+ */
+
+import {
+  meanAnomalyFromTrueAnomaly,
+  trueAnomalyFromMeanAnomaly
+} from './orbitGeometry.js';
+
+// Length of the calendar year in days (tropical year)
+export const YEAR_LENGTH_DAYS = 365.2422;
+
+// Anchors of the two calendars (1-based day of year)
+export const VERNAL_EQUINOX_DAY = 80; // 21 March
+export const PERIHELION_DAY = 3; // 3 January
+
+export const CALENDARS = {
+  vernalEquinox: {
+    key: 'vernalEquinox',
+    name: 'Fixed vernal equinox',
+    description: 'The March equinox is always on 21 March; perihelion moves through the year.'
+  },
+  perihelion: {
+    key: 'perihelion',
+    name: 'Fixed perihelion',
+    description: 'Perihelion is always on 3 January; the equinoxes and solstices move through the year.'
+  }
+};
+
+export const DEFAULT_CALENDAR = 'vernalEquinox';
+
+// Ways to give a position in the year
+export const POSITION_INPUTS = ['season', 'dayOfYear', 'solarLongitude', 'trueAnomaly'];
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+function normalizeDegrees(angle) {
+  return ((angle % 360) + 360) % 360;
+}
+
+function wrapDay(day) {
+  return ((((day - 1) % YEAR_LENGTH_DAYS) + YEAR_LENGTH_DAYS) % YEAR_LENGTH_DAYS) + 1;
+}
+
+// Mean anomaly (degrees) on the calendar's anchor day
+function anchorMeanAnomaly(calendar, eccentricity, longitudeOfPerihelion) {
+  if (calendar === 'perihelion') return 0;
+  const equinoxTrueAnomaly = (-longitudeOfPerihelion - 180) * DEG_TO_RAD;
+  return meanAnomalyFromTrueAnomaly(equinoxTrueAnomaly, eccentricity) * RAD_TO_DEG;
+}
+
+function anchorDay(calendar) {
+  return calendar === 'perihelion' ? PERIHELION_DAY : VERNAL_EQUINOX_DAY;
+}
+
+/**
+ * Convert a position in the year between days, seasons and orbital angles
+ *
+ * @param {Object} options - Conversion options
+ * @param {string} options.input - 'season' | 'dayOfYear' | 'solarLongitude' | 'trueAnomaly' (default: 'season')
+ * @param {number} options.value - Season (0-1), day of year (1-based) or angle in degrees
+ * @param {number} options.eccentricity - Orbital eccentricity
+ * @param {number} options.longitudeOfPerihelion - Longitude of perihelion ϖ in degrees
+ * @param {string} options.calendar - 'vernalEquinox' | 'perihelion' (default: 'vernalEquinox')
+ * @returns {Object} - { season, dayOfYear, meanAnomaly, trueAnomaly, solarLongitude }; angles in degrees (0-360)
+ */
+export function convertOrbitalPosition({
+  input = 'season',
+  value,
+  eccentricity,
+  longitudeOfPerihelion,
+  calendar = DEFAULT_CALENDAR
+}) {
+  const e = Math.max(0, Math.min(0.99, eccentricity || 0));
+  const calendarKey = CALENDARS[calendar] ? calendar : DEFAULT_CALENDAR;
+  const anchorM = anchorMeanAnomaly(calendarKey, e, longitudeOfPerihelion);
+
+  let meanAnomaly;
+  let trueAnomaly;
+
+  if (input === 'solarLongitude' || input === 'trueAnomaly') {
+    // Angle in: solve for the time through the mean anomaly
+    trueAnomaly = input === 'trueAnomaly' ? value : value - longitudeOfPerihelion - 180;
+    meanAnomaly = meanAnomalyFromTrueAnomaly(trueAnomaly * DEG_TO_RAD, e) * RAD_TO_DEG;
+  } else {
+    // Time in: the mean anomaly grows evenly from the calendar's anchor
+    const day = input === 'dayOfYear' ? value : 1 + value * YEAR_LENGTH_DAYS;
+    meanAnomaly = anchorM + (360 * (day - anchorDay(calendarKey))) / YEAR_LENGTH_DAYS;
+    trueAnomaly = trueAnomalyFromMeanAnomaly(meanAnomaly * DEG_TO_RAD, e) * RAD_TO_DEG;
+  }
+
+  const dayOfYear = wrapDay(anchorDay(calendarKey) + (normalizeDegrees(meanAnomaly - anchorM) / 360) * YEAR_LENGTH_DAYS);
+
+  return {
+    season: (dayOfYear - 1) / YEAR_LENGTH_DAYS,
+    dayOfYear,
+    meanAnomaly: normalizeDegrees(meanAnomaly),
+    trueAnomaly: normalizeDegrees(trueAnomaly),
+    solarLongitude: normalizeDegrees(trueAnomaly + longitudeOfPerihelion + 180)
+  };
+}
@@ -1,8 +1,27 @@
-import { calculateDailyInsolation } from "./temperatureUtils";
+import { calculateDailyInsolation, calculateCO2Forcing } from "./temperatureUtils";
+import { PRESETS } from "./presets";
 
-export const TODAY_ECC = 0.0167;
-export const TODAY_TILT = 23.44;
-export const TODAY_PREC = 0;
+export const TODAY_ECC = PRESETS.today.eccentricity;
+export const TODAY_TILT = PRESETS.today.axialTilt;
+export const TODAY_PREC = PRESETS.today.precession;
+// The model's reference atmosphere; today's air is shown as a preset
+export const PREINDUSTRIAL_CO2 = PRESETS.today.co2Level;
+
+export const CO2_PRESETS = [
+  { key: "glacial", label: "Glacial", value: 180, title: "Last Glacial Maximum, from Antarctic ice cores" },
+  { key: "preindustrial", label: "Pre-industrial", value: 280, title: "Before 1850 — the model's reference" },
+  { key: "today", label: "Today", value: 420, title: "Mauna Loa annual mean, 2023" },
+  { key: "ssp245", label: "2100 · middle", value: 600, title: "SSP2-4.5 intermediate emissions, 2100" },
+  { key: "ssp585", label: "2100 · high", value: 1135, title: "SSP5-8.5 very high emissions, 2100" },
+];
+
+// Playground names for each parameter, as on the dials
+export const PARAMETER_LABELS = {
+  eccentricity: "Stretch",
+  axialTilt: "Lean",
+  precession: "Wobble",
+  co2Level: "CO₂",
+};
 
 export function describeEccentricity(e) {
   let headline;
@@ -68,6 +87,25 @@ export function describePrecession(p) {
   };
 }
 
+export function describeCO2(ppm) {
+  let headline;
+  if (ppm < 230) headline = "Glacial air";
+  else if (ppm < 330) headline = "Pre-industrial air";
+  else if (ppm < 480) headline = "Today's air";
+  else if (ppm < 800) headline = "Emissions future";
+  else headline = "High-emission future";
+
+  const forcing = calculateCO2Forcing(ppm);
+  const sign = forcing > 0 ? "+" : "";
+  const effect = `Greenhouse forcing ${sign}${forcing.toFixed(1)} W/m² vs. pre-industrial — it adds to whatever the orbit does.`;
+
+  return {
+    headline,
+    intuition: "Carbon dioxide — how strongly the air traps outgoing heat.",
+    effect,
+  };
+}
+
 export function formatEccentricity(e) {
   return e.toFixed(3);
 }
@@ -77,3 +115,19 @@ export function formatTilt(t) {
 export function formatPrecession(p) {
   return `${Math.round(p)}°`;
 }
+export function formatYear(year) {
+  const abs = Math.abs(year);
+  if (abs < 500) return "Today";
+  const suffix = year < 0 ? "ago" : "ahead";
+  if (abs >= 1000000) return `${(abs / 1000000).toFixed(2)} M yrs ${suffix}`;
+  return `${(abs / 1000).toFixed(abs < 10000 ? 1 : 0)} k yrs ${suffix}`;
+}
+export function formatCO2(ppm) {
+  return `${Math.round(ppm)} ppm`;
+}
+export function formatLatitude(latitude) {
+  const abs = Math.abs(latitude);
+  if (abs < 0.05) return "0°";
+  const digits = Number.isInteger(Math.round(abs * 10) / 10) ? 0 : 1;
+  return `${abs.toFixed(digits)}°${latitude > 0 ? "N" : "S"}`;
+}
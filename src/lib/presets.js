@@ -0,0 +1,279 @@
+/**
+ * Climate Preset Registry
+ *
+ * The one place the app, the scripts and the tests take their named climates
+ * from: the four playground eras on the era ribbon and the historical presets
+ * used by the story, the A/B comparison and the validation scripts.
+ *
+ * Every preset has the same shape:
+ * - key, name, shortLabel, description
+ * - year: relative to 1950 CE (negative = past)
+ * - eccentricity, axialTilt, precession: the playground's convention, where
+ *   precession 0° is today's orbit (see orbitalSolution.js)
+ * - co2Level: ppm
+ * - orbitSource: 'solution' when the orbit is the Berger (1978) solution for
+ *   `year` (rounded), 'calibrated' when it was tuned so the playground eras
+ *   give clearly different climates at 65°N, 'illustrative' when no orbital
+ *   solution reaches that far back
+ * - citation: where the orbit and CO₂ values come from
+ * - expectedTemperature: { latitude, range: [min, max], citation } or null;
+ *   latitude null means the global annual mean
+ * - reference: for calibrated eras, the historical preset they stand for
+ *
+ * Scientific references:
+ * - Berger, A. (1978). Long-term variations of daily insolation and Quaternary climatic changes. Journal of the Atmospheric Sciences, 35(12), 2362-2367.
+ * - Monnin, E., et al. (2001). Atmospheric CO2 concentrations over the last glacial termination. Science, 291(5501), 112-114.
+ * - Tierney, J. E., et al. (2020). Glacial cooling and climate sensitivity revisited. Nature, 584(7822), 569-573.
+ * - Kaufman, D., et al. (2020). Holocene global mean surface temperature, a multi-method reconstruction approach. Scientific Data, 7, 201.
+ * - Lüthi, D., et al. (2008). High-resolution carbon dioxide concentration record 650,000-800,000 years before present. Nature, 453(7193), 379-382.
+ * - Snyder, C. W. (2016). Evolution of global temperature over the past two million years. Nature, 538(7624), 226-228.
+ * - Zeebe, R. E., Zachos, J. C., & Dickens, G. R. (2009). Carbon dioxide forcing alone insufficient to explain Palaeocene–Eocene Thermal Maximum warming. Nature Geoscience, 2(8), 576-580.
+ * - Inglis, G. N., et al. (2020). Global mean surface temperature and climate sensitivity of the early Eocene Climatic Optimum (EECO), Paleocene–Eocene Thermal Maximum (PETM), and latest Paleocene. Climate of the Past, 16(5), 1953-1968.
+ * - Ganopolski, A., Winkelmann, R., & Schellnhuber, H. J. (2016). Critical insolation–CO2 relation for diagnosing past and future glacial inception. Nature, 529(7585), 200-203.
+ */
+
+const BERGER_1978 = 'Berger (1978) orbital solution';
+
+export const PRESETS = {
+  // Playground eras, in ribbon order. Calibrated to give a clear cold→warm
+  // progression in the 65°N annual mean; the orbital physics is real but
+  // the historical values are approximated.
+  iceAge: {
+    key: 'iceAge',
+    name: 'Last Ice Age',
+    shortLabel: '~21 k yrs ago',
+    description:
+      '21 k yrs ago — nearly circular orbit; ice sheets covered North America and northern Europe.',
+    year: -21000,
+    // Near-circular orbit → less seasonal amplification at 65°N → colder annual mean
+    eccentricity: 0.005,
+    axialTilt: 22.99,
+    precession: 0,
+    co2Level: 180,
+    orbitSource: 'calibrated',
+    reference: 'lgm',
+    citation: 'Calibrated playground era; CO₂ from Monnin et al. (2001)',
+    expectedTemperature: null
+  },
+  today: {
+    key: 'today',
+    name: 'Today',
+    shortLabel: 'Today',
+    description: 'Current orbital configuration.',
+    year: 0,
+    eccentricity: 0.0167,
+    axialTilt: 23.44,
+    precession: 0,
+    co2Level: 280,
+    orbitSource: 'solution',
+    citation: `${BERGER_1978}; pre-industrial CO₂`,
+    expectedTemperature: {
+      latitude: null,
+      range: [13.5, 14.5],
+      citation: 'Pre-industrial global mean (Kaufman et al. 2020)'
+    }
+  },
+  warm: {
+    key: 'warm',
+    name: 'Warm Period',
+    shortLabel: '~6 k yrs ago',
+    description:
+      '6 k yrs ago — stretched orbit with N hemisphere summer near closest approach; warmer high latitudes.',
+    year: -6000,
+    // High eccentricity + N summer near perihelion (prec≈90°) → peak summer insolation at 65°N
+    eccentricity: 0.058,
+    axialTilt: 24.1,
+    precession: 90,
+    co2Level: 265,
+    orbitSource: 'calibrated',
+    reference: 'midHolocene',
+    citation: 'Calibrated playground era',
+    expectedTemperature: null
+  },
+  future: {
+    key: 'future',
+    name: 'Future',
+    shortLabel: '~50 k yrs ahead',
+    description:
+      '~50 k yrs from now — orbit circularising again; slightly cooler high-latitude summers.',
+    year: 50000,
+    eccentricity: 0.015,
+    axialTilt: 23.2,
+    precession: 180,
+    co2Level: 280,
+    orbitSource: 'calibrated',
+    reference: 'future50k',
+    citation: 'Calibrated playground era',
+    expectedTemperature: null
+  },
+
+  // Historical presets, orbits from the orbital solution for their year
+  lgm: {
+    key: 'lgm',
+    name: 'Last Glacial Maximum',
+    shortLabel: '21 k yrs ago',
+    description:
+      'Peak of the last ice age, with ice sheets over North America and northern Europe and glacial CO₂.',
+    year: -21000,
+    eccentricity: 0.019,
+    axialTilt: 22.95,
+    precession: 347.6,
+    co2Level: 180,
+    orbitSource: 'solution',
+    citation: `${BERGER_1978}; CO₂ from Monnin et al. (2001)`,
+    expectedTemperature: {
+      latitude: null,
+      range: [7, 9.5],
+      citation: 'Tierney et al. (2020): 6.1 °C below pre-industrial'
+    }
+  },
+  midHolocene: {
+    key: 'midHolocene',
+    name: 'Mid-Holocene',
+    shortLabel: '6 k yrs ago',
+    description:
+      'Holocene warmth, with northern summers near perihelion and a stronger tilt than today.',
+    year: -6000,
+    eccentricity: 0.0187,
+    axialTilt: 24.11,
+    precession: 101.2,
+    co2Level: 265,
+    orbitSource: 'solution',
+    citation: `${BERGER_1978}; CO₂ from Antarctic ice cores`,
+    expectedTemperature: {
+      latitude: null,
+      range: [13.5, 15],
+      citation: 'Kaufman et al. (2020): about 0.7 °C above the 19th century'
+    }
+  },
+  mpt: {
+    key: 'mpt',
+    name: 'Mid-Pleistocene Transition',
+    shortLabel: '800 k yrs ago',
+    description:
+      'When glacial cycles shifted from 41,000-year to 100,000-year periods.',
+    year: -800000,
+    eccentricity: 0.0251,
+    axialTilt: 23.23,
+    precession: 45.6,
+    co2Level: 240,
+    orbitSource: 'solution',
+    citation: `${BERGER_1978}; CO₂ from Lüthi et al. (2008)`,
+    expectedTemperature: {
+      latitude: null,
+      range: [9, 13],
+      citation: 'Snyder (2016) glacial–interglacial range'
+    }
+  },
+  petm: {
+    key: 'petm',
+    name: 'PETM',
+    shortLabel: '56 M yrs ago',
+    description:
+      'Paleocene–Eocene Thermal Maximum, an extreme warming event driven by a large carbon release.',
+    year: -56000000,
+    // Beyond the reach of any orbital solution; a stretched orbit for illustration
+    eccentricity: 0.052,
+    axialTilt: 23.8,
+    precession: 180,
+    co2Level: 1500,
+    orbitSource: 'illustrative',
+    citation: 'Illustrative orbit; CO₂ from Zeebe et al. (2009)',
+    expectedTemperature: {
+      latitude: null,
+      range: [27, 35],
+      citation: 'Inglis et al. (2020)'
+    }
+  },
+  future50k: {
+    key: 'future50k',
+    name: 'Future (50 k yrs)',
+    shortLabel: '50 k yrs ahead',
+    description:
+      'A nearly circular orbit and low tilt, the next window for glacial inception at pre-industrial CO₂.',
+    year: 50000,
+    eccentricity: 0.011,
+    axialTilt: 22.51,
+    precession: 81.6,
+    co2Level: 280,
+    orbitSource: 'solution',
+    citation: `${BERGER_1978}; Ganopolski et al. (2016)`,
+    expectedTemperature: {
+      latitude: null,
+      range: [11, 14.5],
+      citation: 'Ganopolski et al. (2016), pre-industrial CO₂'
+    }
+  }
+};
+
+// Eras on the playground ribbon, cold → warm → future
+export const PLAYGROUND_ERA_ORDER = ['iceAge', 'today', 'warm', 'future'];
+
+// Historical presets checked by the validation scripts, oldest first
+export const HISTORICAL_PRESET_ORDER = ['petm', 'mpt', 'lgm', 'midHolocene', 'today', 'future50k'];
+
+export const PRESET_ORDER = Object.keys(PRESETS);
+
+const ORBIT_SOURCES = ['solution', 'calibrated', 'illustrative'];
+
+/**
+ * Look up a preset, falling back to today
+ *
+ * @param {string} key - Preset key
+ * @returns {Object} - The preset
+ */
+export function getPreset(key) {
+  return PRESETS[key] || PRESETS.today;
+}
+
+/**
+ * Model parameters of a preset
+ *
+ * @param {string} key - Preset key
+ * @returns {Object} - { eccentricity, axialTilt, precession, co2Level }
+ */
+export function presetParams(key) {
+  const { eccentricity, axialTilt, precession, co2Level } = getPreset(key);
+  return { eccentricity, axialTilt, precession, co2Level };
+}
+
+/**
+ * Check a preset against the registry schema
+ *
+ * @param {Object} preset - Preset to check
+ * @returns {Array<string>} - Problems found (empty when the preset is well formed)
+ */
+export function checkPresetSchema(preset) {
+  const problems = [];
+  const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+  ['key', 'name', 'shortLabel', 'description', 'citation'].forEach(field => {
+    if (typeof preset[field] !== 'string' || !preset[field]) problems.push(`${field} must be a non-empty string`);
+  });
+  ['year', 'eccentricity', 'axialTilt', 'precession', 'co2Level'].forEach(field => {
+    if (!isNumber(preset[field])) problems.push(`${field} must be a number`);
+  });
+  if (!ORBIT_SOURCES.includes(preset.orbitSource)) {
+    problems.push(`orbitSource must be one of ${ORBIT_SOURCES.join(', ')}`);
+  }
+  if (preset.reference !== undefined && !PRESETS[preset.reference]) {
+    problems.push(`reference "${preset.reference}" is not a preset`);
+  }
+
+  const expected = preset.expectedTemperature;
+  if (expected !== null) {
+    if (!expected || !Array.isArray(expected.range) || expected.range.length !== 2 ||
+        !expected.range.every(isNumber) || expected.range[0] > expected.range[1]) {
+      problems.push('expectedTemperature.range must be [min, max]');
+    } else {
+      if (expected.latitude !== null && !isNumber(expected.latitude)) {
+        problems.push('expectedTemperature.latitude must be a number or null');
+      }
+      if (typeof expected.citation !== 'string' || !expected.citation) {
+        problems.push('expectedTemperature.citation must be a non-empty string');
+      }
+    }
+  }
+
+  return problems;
+}
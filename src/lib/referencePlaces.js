@@ -0,0 +1,77 @@
+// Reference places for the playground's latitude picker. Only latitude feeds
+// the climate model; the place names help students find their own.
+export const REFERENCE_PLACES = {
+  svalbard: {
+    key: "svalbard",
+    name: "Longyearbyen, Svalbard",
+    latitude: 78.2,
+  },
+  milankovitch: {
+    key: "milankovitch",
+    name: "65°N — ice-sheet birthplace",
+    latitude: 65,
+  },
+  amsterdam: {
+    key: "amsterdam",
+    name: "Amsterdam, Netherlands",
+    latitude: 52.4,
+  },
+  newYork: {
+    key: "newYork",
+    name: "New York, USA",
+    latitude: 40.7,
+  },
+  mumbai: {
+    key: "mumbai",
+    name: "Mumbai, India",
+    latitude: 19.1,
+  },
+  singapore: {
+    key: "singapore",
+    name: "Singapore — near the equator",
+    latitude: 1.4,
+  },
+  sydney: {
+    key: "sydney",
+    name: "Sydney, Australia",
+    latitude: -33.9,
+  },
+  melbourne: {
+    key: "melbourne",
+    name: "Melbourne, Australia",
+    latitude: -37.8,
+  },
+  mcmurdo: {
+    key: "mcmurdo",
+    name: "McMurdo Station, Antarctica",
+    latitude: -77.8,
+  },
+};
+
+export const PLACE_ORDER = [
+  "svalbard",
+  "milankovitch",
+  "amsterdam",
+  "newYork",
+  "mumbai",
+  "singapore",
+  "sydney",
+  "melbourne",
+  "mcmurdo",
+];
+
+// The latitude whose summers pace the ice ages
+export const DEFAULT_LATITUDE = 65;
+
+export function clampLatitude(latitude) {
+  if (!isFinite(latitude)) return DEFAULT_LATITUDE;
+  return Math.max(-90, Math.min(90, latitude));
+}
+
+// Returns the key of the place at (or within tolerance of) a latitude, else null
+export function findPlaceByLatitude(latitude, tolerance = 0.05) {
+  const match = PLACE_ORDER.find(
+    (key) => Math.abs(REFERENCE_PLACES[key].latitude - latitude) <= tolerance
+  );
+  return match || null;
+}
@@ -0,0 +1,211 @@
+/**
+ * Sensitivity Ensemble
+ *
+ * The simple model's CO₂ sensitivity, its water-vapour and cloud feedback
+ * factors and the strength of its ice-albedo feedback are uncertain, yet a
+ * single run prints one confident number. The ensemble samples those four
+ * parameters across stated ranges, runs the model once per sample and reports
+ * the median with a 5–95% range, so the spread of plausible answers is visible.
+ *
+ * Samples come from a Latin hypercube (each parameter's range split into
+ * equal strata, one sample per stratum, strata paired at random) driven by a
+ * seeded generator, so the same inputs always give the same bands.
+ *
+ * The first three only scale the response to CO₂ away from 280 ppm; the
+ * ice-albedo strength still spreads the members at pre-industrial CO₂, most
+ * at high latitudes where the ice sits. Near the equator the band can still
+ * close almost to a line. Only the simple model uses these parameters
+ * (CLIMATE_ENGINES[key].supportsEnsemble).
+ *
+ * Scientific references:
+ * - IPCC (2021). Climate Change 2021: The Physical Science Basis. Sixth Assessment Report, Chapter 7.
+ * - Sherwood, S. C., et al. (2020). An assessment of Earth's climate sensitivity using multiple lines of evidence. Reviews of Geophysics, 58(4), e2019RG000678.
+ * - McKay, M. D., Beckman, R. J., & Conover, W. J. (1979). A comparison of three methods for selecting values of input variables in the analysis of output from a computer code. Technometrics, 21(2), 239-245.
+ */
+
+import {
+  calculateAnnualMeanTemperature,
+  CO2_SENSITIVITY_LEVELS,
+  DEFAULT_CLOUD_FEEDBACK,
+  DEFAULT_WATER_VAPOR_FEEDBACK
+} from './temperatureUtils.js';
+import { CLIMATE_FEEDBACKS } from './climateFeedbacks.js';
+
+// Sampled parameters, uniform across each range
+export const ENSEMBLE_PARAMETERS = {
+  climateSensitivity: {
+    key: 'climateSensitivity',
+    label: 'CO₂ sensitivity',
+    min: CO2_SENSITIVITY_LEVELS.low,
+    max: CO2_SENSITIVITY_LEVELS.high,
+    central: CO2_SENSITIVITY_LEVELS.medium,
+    unit: '°C per W/m²',
+    source: "The model's low–high levels, roughly the AR6 likely range of equilibrium sensitivity"
+  },
+  waterVaporFeedback: {
+    key: 'waterVaporFeedback',
+    label: 'Water vapour',
+    min: 1.4,
+    max: 1.8,
+    central: DEFAULT_WATER_VAPOR_FEEDBACK,
+    unit: '× CO₂ response',
+    source: 'About ±15% around the default, in line with the AR6 spread of the water-vapour plus lapse-rate feedback'
+  },
+  cloudFeedback: {
+    key: 'cloudFeedback',
+    label: 'Clouds',
+    min: -0.1,
+    max: 0.3,
+    central: DEFAULT_CLOUD_FEEDBACK,
+    unit: '× CO₂ response',
+    source: 'AR6 cloud feedback is likely positive but could be near zero; the range keeps both'
+  },
+  // Set through the feedback registry rather than as a top-level parameter
+  iceAlbedoStrength: {
+    key: 'iceAlbedoStrength',
+    label: 'Ice albedo',
+    min: 3,
+    max: 5,
+    central: CLIMATE_FEEDBACKS.iceAlbedo.parameters.polarStrength.defaultValue,
+    unit: '°C at the poles',
+    source: 'About ±25% around the default; the polar strength is a tuning choice of this model, not a measured value',
+    feedback: 'iceAlbedo',
+    parameter: 'polarStrength'
+  }
+};
+
+export const ENSEMBLE_PARAMETER_ORDER = ['climateSensitivity', 'waterVaporFeedback', 'cloudFeedback', 'iceAlbedoStrength'];
+
+export const DEFAULT_ENSEMBLE_SIZE = 40;
+export const DEFAULT_ENSEMBLE_SEED = 1;
+
+// Seeded uniform generator in [0, 1) (mulberry32)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(values, random) {
+  const shuffled = [...values];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Draw ensemble members by Latin hypercube sampling
+ *
+ * @param {Object} options - Sampling options
+ * @param {number} options.size - Number of members (default: 40)
+ * @param {number} options.seed - Seed for the generator (default: 1)
+ * @param {Object} options.parameters - Ranges to sample (default: ENSEMBLE_PARAMETERS)
+ * @returns {Array<Object>} - One { climateSensitivity, waterVaporFeedback, cloudFeedback, iceAlbedoStrength }
+ *   per member
+ */
+export function sampleEnsembleMembers({
+  size = DEFAULT_ENSEMBLE_SIZE,
+  seed = DEFAULT_ENSEMBLE_SEED,
+  parameters = ENSEMBLE_PARAMETERS
+} = {}) {
+  const count = Math.max(1, Math.round(size));
+  const random = createRandom(seed);
+  const strata = Array.from({ length: count }, (_, i) => i);
+  const members = Array.from({ length: count }, () => ({}));
+
+  Object.values(parameters).forEach(({ key, min, max }) => {
+    shuffle(strata, random).forEach((stratum, i) => {
+      members[i][key] = min + ((stratum + random()) / count) * (max - min);
+    });
+  });
+
+  return members;
+}
+
+/**
+ * Percentile of a list of numbers, interpolating between neighbours
+ *
+ * @param {Array<number>} values - Values (any order)
+ * @param {number} p - Percentile, 0-100
+ * @returns {number} - NaN for an empty list
+ */
+export function percentile(values, p) {
+  if (values.length === 0) return NaN;
+  const sorted = [...values].sort((a, b) => a - b);
+  const position = (Math.max(0, Math.min(100, p)) / 100) * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Median and 5–95% range of a list of numbers
+ *
+ * @param {Array<number>} values - Values (any order)
+ * @returns {Object} - { median, p5, p95 }
+ */
+export function summarizeEnsemble(values) {
+  return {
+    median: percentile(values, 50),
+    p5: percentile(values, 5),
+    p95: percentile(values, 95)
+  };
+}
+
+// Model parameters for one member: plain samples override the matching
+// parameter, feedback samples go into that feedback's settings
+function applySample(params, sample) {
+  const member = { ...params };
+  Object.entries(sample).forEach(([key, value]) => {
+    const spec = ENSEMBLE_PARAMETERS[key];
+    if (spec?.feedback) {
+      const feedbacks = member.feedbacks || {};
+      member.feedbacks = {
+        ...feedbacks,
+        [spec.feedback]: { ...feedbacks[spec.feedback], [spec.parameter]: value }
+      };
+    } else {
+      member[key] = value;
+    }
+  });
+  return member;
+}
+
+/**
+ * Run the model once per ensemble member
+ *
+ * @param {Object} params - Model parameters shared by every member
+ * @param {Object} options - Ensemble options
+ * @param {Function} options.calculate - Model to run (default: calculateAnnualMeanTemperature)
+ * @param {number} options.size - Number of members (default: 40)
+ * @param {number} options.seed - Sampling seed (default: 1)
+ * @param {Array<Object>} options.samples - Members from sampleEnsembleMembers, to reuse one draw across many runs
+ * @returns {Object} - { size, members: [{ sample, temperature, iceFactor }],
+ *   temperature: { median, p5, p95 }, iceFactor: { median, p5, p95 } }
+ */
+export function runSensitivityEnsemble(params, {
+  calculate = calculateAnnualMeanTemperature,
+  size = DEFAULT_ENSEMBLE_SIZE,
+  seed = DEFAULT_ENSEMBLE_SEED,
+  samples = null
+} = {}) {
+  const draw = samples || sampleEnsembleMembers({ size, seed });
+  const members = draw.map(sample => {
+    const result = calculate(applySample(params, sample));
+    return { sample, temperature: result.temperature, iceFactor: result.iceFactor };
+  });
+
+  return {
+    size: members.length,
+    members,
+    temperature: summarizeEnsemble(members.map(member => member.temperature)),
+    iceFactor: summarizeEnsemble(members.map(member => member.iceFactor))
+  };
+}
@@ -8,8 +8,8 @@
  * - Orbital parameters (eccentricity, axial tilt, precession)
  * - CO2 radiative forcing based on IPCC equations
  * - Ice-albedo feedback with latitude dependence
- * - Water vapor and cloud feedbacks
- * - Seasonal variations
+ * - Water vapor, cloud and other feedbacks from the registry in climateFeedbacks.js
+ * - Seasonal variations from the insolation cycle and surface heat capacity
  * - Time-dependent responses of different climate components
  * 
  * Scientific references:
@@ -17,14 +17,54 @@
  * - IPCC (2021). Climate Change 2021: The Physical Science Basis. Sixth Assessment Report.
  * - Budyko, M. I. (1969). The effect of solar radiation variations on the climate of the Earth. Tellus, 21(5), 611-619.
  * - Hays, J. D., Imbrie, J., & Shackleton, N. J. (1976). Variations in the Earth's orbit: pacemaker of the ice ages. Science, 194(4270), 1121-1132.
+ * - North, G. R., & Coakley, J. A. (1979). Differences between seasonal and mean annual energy balance model calculations of climate and climate sensitivity. Journal of the Atmospheric Sciences, 36(7), 1189-1204.
+ * - Hartmann, D. L. (2016). Global Physical Climatology (2nd ed.). Elsevier.
  */
 
+import { convertOrbitalPosition, DEFAULT_CALENDAR } from './orbitalCalendar.js';
+import { precessionToLongitudeOfPerihelion } from './orbitalSolution.js';
+import {
+  addWarning,
+  assertClimateParams,
+  ClimateInputError,
+  createDiagnostics,
+  isFallbackResult,
+  mergeDiagnostics
+} from './climateDiagnostics.js';
+import { feedbackEffectKey, FEEDBACK_ORDER, resolveFeedbacks } from './climateFeedbacks.js';
+
+import { calculateCO2Forcing, CO2_SENSITIVITY_LEVELS } from './co2Forcing.js';
+import { createLruCache } from './lruCache.js';
+
+export { DEFAULT_CLOUD_FEEDBACK, DEFAULT_WATER_VAPOR_FEEDBACK } from './climateFeedbacks.js';
+export { calculateCO2Forcing, CO2_SENSITIVITY_LEVELS } from './co2Forcing.js';
+
 // Constants
 const PRESENT_DAY_SOLAR_CONSTANT = 1361; // W/m²
-const BASELINE_CO2_LEVEL = 280; // ppm (pre-industrial)
 const FREEZING_POINT = 0; // °C
 const BASELINE_MEAN_ORBITAL_DISTANCE = 1.0; // AU
 
+// Seasonal cycle: a surface mixed layer forced by the insolation cycle
+// (North & Coakley, 1979; Hartmann, 2016). Depths are water-equivalent; the
+// land value stands for soil plus the lower atmosphere it heats.
+export const SURFACE_TYPES = {
+  land: { key: 'land', name: 'Land', mixedLayerDepth: 5 },   // m, ~1 month lag
+  ocean: { key: 'ocean', name: 'Ocean', mixedLayerDepth: 50 } // m, ~2.5 month lag
+};
+export const DEFAULT_SURFACE_TYPE = 'land';
+const WATER_HEAT_CAPACITY = 4.18e6; // J/(m³·K)
+const SEASONAL_ABSORPTION = 0.7;    // Fraction of insolation absorbed (1 − albedo)
+const SEASONAL_DAMPING = 8;         // W/(m²·K), longwave loss plus heat transport
+const SEASONAL_ANGULAR_FREQUENCY = (2 * Math.PI) / (365.2422 * 86400); // rad/s
+const SEASONAL_SAMPLES = 48;        // Insolation samples per year
+const SEASONAL_HARMONICS = 2;       // Annual and semiannual
+
+// Allowed values of the model's named options
+const MODEL_CHOICES = {
+  sensitivityLevel: ['low', 'medium', 'high'],
+  surfaceType: Object.keys(SURFACE_TYPES)
+};
+
 // CALIBRATION: Realistic temperature ranges by latitude (annual mean)
 const LATITUDE_BASE_TEMPS = {
   90: -20,  // North pole
@@ -43,76 +83,48 @@ const MAX_VALID_TEMP = 60;  // °C - hottest ever recorded on Earth ~ 57°C
 /**
  * Helper function to ensure temperature values are reasonable 
  * 
+ * Records a warning in diagnostics whenever the value had to be replaced or
+ * clamped, so the result does not pass for an unmodified model output.
+ * 
  * @param {number} temp - Temperature to check
  * @param {number} defaultTemp - Default temperature to return if invalid
+ * @param {Object} diagnostics - Diagnostics record to warn in (optional)
+ * @param {string} label - What the temperature is, for the warning
  * @returns {number} - Valid temperature within limits
  */
-function ensureValidTemperature(temp, defaultTemp = 0) {
+function ensureValidTemperature(temp, defaultTemp = 0, diagnostics = null, label = 'Temperature') {
   if (!isFinite(temp)) {
+    addWarning(diagnostics, 'temperature-invalid', `${label} was not a finite number; ${defaultTemp.toFixed(1)}°C shown instead`);
     return defaultTemp;
   }
-  return Math.max(MIN_VALID_TEMP, Math.min(MAX_VALID_TEMP, temp));
+  const clamped = Math.max(MIN_VALID_TEMP, Math.min(MAX_VALID_TEMP, temp));
+  if (clamped !== temp) {
+    addWarning(diagnostics, 'temperature-clamped', `${label} of ${temp.toFixed(1)}°C clamped to ${clamped}°C`);
+  }
+  return clamped;
 }
 
-/**
- * Calculate daily insolation at a specific latitude based on orbital parameters
- * 
- * @param {number} latitude - Latitude in degrees
- * @param {number} season - Season as a fraction of the year (0-1)
- * @param {number} eccentricity - Earth's orbital eccentricity
- * @param {number} axialTilt - Earth's axial tilt in degrees
- * @param {number} precession - Earth's axial precession in degrees
- * @returns {number} - Daily insolation in W/m²
- */
-export function calculateDailyInsolation(latitude, season, eccentricity, axialTilt, precession) {
-  // Convert to radians
+// Daily mean insolation from the Sun's longitude and Earth's true anomaly (degrees)
+function insolationAtOrbitalPosition(latitude, solarLongitude, trueAnomaly, eccentricity, axialTilt) {
   const latRad = (latitude * Math.PI) / 180;
   const tiltRad = (axialTilt * Math.PI) / 180;
-  const precRad = (precession * Math.PI) / 180;
-  
-  // Handle special case for poles where direct insolation formula can be problematic
-  if (Math.abs(latitude) >= 89) {
-    // For poles, use a simplified approach based on season and tilt
-    const poleIsLit = Math.abs(latitude) === 90 && 
-                    ((latitude > 0 && season > 0.2 && season < 0.7) || 
-                     (latitude < 0 && (season < 0.2 || season > 0.7)));
-    
-    if (!poleIsLit) {
-      return 0; // Dark polar night
-    }
-    
-    // During polar day, simple approximation based on tilt and season
-    const seasonalFactor = Math.sin(Math.PI * (season - 0.25));
-    const polarInsolation = PRESENT_DAY_SOLAR_CONSTANT * 0.25 * Math.sin(tiltRad) * 
-                          (1 + eccentricity * seasonalFactor);
-    
-    return Math.max(0, polarInsolation);
-  }
+  const lambda = (solarLongitude * Math.PI) / 180;
   
-  // Regular calculation for non-polar regions
-  // Calculate true anomaly (position in orbit)
-  const trueAnomaly = 2 * Math.PI * season + precRad;
+  // Earth-Sun distance relative to the semi-major axis, (a/r)²
+  const distanceFactor = (1 + eccentricity * Math.cos((trueAnomaly * Math.PI) / 180)) / (1 - eccentricity * eccentricity);
   
-  // Calculate Earth-Sun distance based on orbital position
-  // Ensure we don't get NaN from division by zero
-  const distance = Math.max(0.001, (1 - eccentricity * eccentricity) / (1 + eccentricity * Math.cos(trueAnomaly)));
+  // Solar declination from the Sun's longitude (Berger, 1978)
+  const solarDeclination = Math.asin(Math.sin(tiltRad) * Math.sin(lambda));
   
-  // IMPROVED: More accurate solar declination calculation that accounts for longitude of perihelion
-  // Calculate longitude of the sun relative to the vernal equinox
-  const longitudeOfPerihelion = (precRad + Math.PI) % (2 * Math.PI); // Angle from vernal equinox to perihelion
-  const longitudeOfSun = trueAnomaly + longitudeOfPerihelion;
-  
-  // More accurate solar declination formula based on Berger (1978)
-  const solarDeclination = Math.asin(Math.sin(tiltRad) * Math.sin(longitudeOfSun));
-  
-  // Calculate hour angle (angle between noon and sunset)
-  // Clamp input to acos to prevent NaN values - this is a critical fix
+  // Calculate hour angle (angle between noon and sunset). The same formula
+  // covers the poles: in polar day the Sun never sets and the hour angle is
+  // π, in polar night it never rises and the hour angle is 0, so insolation
+  // stays continuous all the way to 90°
   const hourAngleInput = -Math.tan(latRad) * Math.tan(solarDeclination);
-  const hourAngle = Math.acos(Math.max(-1, Math.min(1, hourAngleInput)));
+  const hourAngle = hourAngleInput <= -1 ? Math.PI : hourAngleInput >= 1 ? 0 : Math.acos(hourAngleInput);
   
   // Calculate daily insolation using the standard formula
-  // Ensure we don't get NaN from division by zero
-  const dailyInsolation = (PRESENT_DAY_SOLAR_CONSTANT / (Math.PI * Math.max(0.001, distance * distance))) *
+  const dailyInsolation = (PRESENT_DAY_SOLAR_CONSTANT / Math.PI) * distanceFactor * distanceFactor *
     (hourAngle * Math.sin(latRad) * Math.sin(solarDeclination) +
      Math.cos(latRad) * Math.cos(solarDeclination) * Math.sin(hourAngle));
   
@@ -120,6 +132,56 @@ export function calculateDailyInsolation(latitude, season, eccentricity, axialTi
   return isFinite(dailyInsolation) ? Math.max(0, dailyInsolation) : 0;
 }
 
+/**
+ * Calculate daily insolation at a specific latitude based on orbital parameters
+ * 
+ * The position in the year is a season (fraction of the calendar year, 0.5 ≈
+ * early July) by default, placed on the orbit with Kepler's equation under a
+ * fixed-vernal-equinox calendar. options.input and options.calendar choose
+ * another input or calendar (see orbitalCalendar.js).
+ * 
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} season - Position in the year: season (0-1), day of year or angle in degrees, per options.input
+ * @param {number} eccentricity - Earth's orbital eccentricity
+ * @param {number} axialTilt - Earth's axial tilt in degrees
+ * @param {number} precession - Earth's axial precession in degrees (0° = today's alignment)
+ * @param {Object} options - { input: 'season' | 'dayOfYear' | 'solarLongitude' | 'trueAnomaly', calendar: 'vernalEquinox' | 'perihelion' }
+ * @returns {number} - Daily insolation in W/m²
+ */
+export function calculateDailyInsolation(latitude, season, eccentricity, axialTilt, precession, options = {}) {
+  const { input = 'season', calendar = DEFAULT_CALENDAR } = options;
+  const { solarLongitude, trueAnomaly } = convertOrbitalPosition({
+    input,
+    value: season,
+    eccentricity,
+    longitudeOfPerihelion: precessionToLongitudeOfPerihelion(precession),
+    calendar
+  });
+  
+  return insolationAtOrbitalPosition(latitude, solarLongitude, trueAnomaly, eccentricity, axialTilt);
+}
+
+/**
+ * Calculate daily insolation at a given solar longitude (Berger, 1978)
+ *
+ * Unlike calculateDailyInsolation this takes astronomical inputs directly:
+ * the position in the year is the Sun's longitude from the vernal equinox
+ * (90° = June solstice) and perihelion is given as the longitude of
+ * perihelion ϖ (~102° today), as returned by the orbital solution.
+ *
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} solarLongitude - Sun's longitude from the vernal equinox in degrees
+ * @param {number} eccentricity - Earth's orbital eccentricity
+ * @param {number} axialTilt - Earth's axial tilt in degrees
+ * @param {number} longitudeOfPerihelion - Longitude of perihelion from the vernal equinox in degrees
+ * @returns {number} - Daily insolation in W/m²
+ */
+export function calculateInsolationAtSolarLongitude(latitude, solarLongitude, eccentricity, axialTilt, longitudeOfPerihelion) {
+  // Perihelion is passed when the Sun's longitude equals ϖ + 180°
+  const trueAnomaly = solarLongitude - longitudeOfPerihelion - 180;
+  return insolationAtOrbitalPosition(latitude, solarLongitude, trueAnomaly, eccentricity, axialTilt);
+}
+
 /**
  * Calculate baseline insolation for comparison
  * 
@@ -141,18 +203,6 @@ export function calculateBaselineInsolation(latitude, season) {
   );
 }
 
-/**
- * Calculate CO2 radiative forcing using IPCC equations
- * 
- * @param {number} co2Level - CO2 concentration in ppm
- * @returns {number} - Radiative forcing in W/m²
- */
-export function calculateCO2Forcing(co2Level) {
-  // Ensure we don't get NaN from log of zero or negative
-  const safeLevel = Math.max(1, co2Level);
-  return 5.35 * Math.log(safeLevel / BASELINE_CO2_LEVEL);
-}
-
 /**
  * Calculate ice factor based on temperature and latitude
  * 
@@ -175,46 +225,97 @@ export function calculateIceFactor(temperature, latitude) {
 }
 
 /**
- * Calculate seasonal temperature variation based on latitude
+ * Calculate seasonal temperature variation from the insolation cycle
+ * 
+ * The year's insolation at the latitude drives a surface mixed layer,
+ * C·dT/dt = a·S'(t) − B·T, where S' is insolation minus its annual mean. Each
+ * harmonic of the cycle is damped by 1/√(B² + (kωC)²) and delayed by
+ * atan(kωC/B)/(kω), so land (small C) swings hard and peaks a few weeks after
+ * the solstice while ocean (large C) swings gently and peaks two to three months
+ * later. The cycle follows the orbit: more tilt means larger seasons, and
+ * eccentricity and precession tilt the balance between the hemispheres.
+ * 
+ * Only the annual and semiannual harmonics are kept, so the variation
+ * averages to zero over the four cardinal seasons and leaves annual means
+ * untouched.
  * 
  * @param {number} latitude - Latitude in degrees
  * @param {number} season - Season as a fraction of the year (0-1)
+ * @param {Object} orbit - { eccentricity, axialTilt, precession } in the playground's units
+ * @param {string} surfaceType - 'land' | 'ocean' (default: 'land')
  * @returns {number} - Seasonal temperature variation in °C
  */
-export function calculateSeasonalVariation(latitude, season) {
-  const latRad = (latitude * Math.PI) / 180;
+export function calculateSeasonalVariation(latitude, season, orbit, surfaceType = DEFAULT_SURFACE_TYPE) {
+  let variation = 0;
+  seasonalHarmonics(latitude, orbit, surfaceType).forEach(({ amplitude, phase }, index) => {
+    variation += amplitude * Math.cos(2 * Math.PI * (index + 1) * season + phase);
+  });
   
-  // CALIBRATION FIX: Reduce seasonal amplitude to realistic values
-  // Higher latitudes experience more seasonal variation 
-  const latitudeEffect = Math.sin(Math.abs(latRad));
-  const seasonalAmplitude = 20 * latitudeEffect; // Max ~20°C swing at poles, less at equator
+  // Ensure valid output
+  return isFinite(variation) ? variation : 0;
+}
+
+// Harmonics of recent orbits; only the season changes between the calls of
+// an annual mean, so the year of insolation is sampled once per orbit
+const harmonicsCache = createLruCache(64);
+
+// Mixed-layer response to each harmonic of the year's insolation: { amplitude, phase }
+function seasonalHarmonics(latitude, { eccentricity, axialTilt, precession }, surfaceType) {
+  const surfaceKey = SURFACE_TYPES[surfaceType] ? surfaceType : DEFAULT_SURFACE_TYPE;
+  const key = `${latitude}|${eccentricity}|${axialTilt}|${precession}|${surfaceKey}`;
+  const cached = harmonicsCache.get(key);
+  if (cached) return cached;
   
-  // Adjust seasonal phase based on hemisphere
-  const phaseShift = latitude >= 0 ? -Math.PI / 2 : Math.PI / 2;
+  const heatCapacity = WATER_HEAT_CAPACITY * SURFACE_TYPES[surfaceKey].mixedLayerDepth;
   
-  const variation = seasonalAmplitude * Math.sin(2 * Math.PI * season + phaseShift);
+  // Sample one year of insolation
+  const samples = Array.from({ length: SEASONAL_SAMPLES }, (_, i) =>
+    calculateDailyInsolation(latitude, i / SEASONAL_SAMPLES, eccentricity, axialTilt, precession)
+  );
   
-  // Ensure valid output
-  return isFinite(variation) ? variation : 0;
+  const harmonics = [];
+  for (let k = 1; k <= SEASONAL_HARMONICS; k++) {
+    // Fourier coefficient of the insolation cycle, S_k = Σ S·e^(−2πik·t)
+    let re = 0;
+    let im = 0;
+    samples.forEach((insolation, i) => {
+      const angle = (2 * Math.PI * k * i) / SEASONAL_SAMPLES;
+      re += (2 / SEASONAL_SAMPLES) * insolation * Math.cos(angle);
+      im -= (2 / SEASONAL_SAMPLES) * insolation * Math.sin(angle);
+    });
+    
+    // Mixed-layer response: damped and delayed by the heat capacity
+    const omegaC = k * SEASONAL_ANGULAR_FREQUENCY * heatCapacity;
+    const gain = SEASONAL_ABSORPTION / Math.hypot(SEASONAL_DAMPING, omegaC);
+    const lag = Math.atan2(omegaC, SEASONAL_DAMPING);
+    harmonics.push({ amplitude: gain * Math.hypot(re, im), phase: Math.atan2(im, re) - lag });
+  }
+  
+  return harmonicsCache.set(key, harmonics);
 }
 
 /**
  * Get baseline temperature for a latitude based on realistic Earth temperature distribution
  * 
+ * Interpolates linearly between the reference latitudes, so the baseline
+ * changes smoothly as the latitude moves instead of jumping between them.
+ * 
  * @param {number} latitude - Latitude in degrees
  * @returns {number} - Baseline temperature in °C 
  */
 export function getLatitudeBaseTemperature(latitude) {
-  // Find the closest reference latitude
-  const absLat = Math.abs(latitude);
+  const absLat = Math.min(90, Math.abs(latitude));
   const referenceLatitudes = [0, 30, 65, 90];
-  const closestLat = referenceLatitudes.reduce((prev, curr) => 
-    Math.abs(curr - absLat) < Math.abs(prev - absLat) ? curr : prev
-  );
   
-  // Get the base temperature for this latitude (use northern hemisphere values)
-  // and adjust slightly for southern hemisphere (generally slightly warmer)
-  const baseTemp = LATITUDE_BASE_TEMPS[closestLat];
+  // Interpolate between the reference latitudes either side (northern hemisphere values)
+  const upperIndex = Math.max(1, referenceLatitudes.findIndex(lat => lat >= absLat));
+  const lowerLat = referenceLatitudes[upperIndex - 1];
+  const upperLat = referenceLatitudes[upperIndex];
+  const fraction = (absLat - lowerLat) / (upperLat - lowerLat);
+  const baseTemp = LATITUDE_BASE_TEMPS[lowerLat] +
+    fraction * (LATITUDE_BASE_TEMPS[upperLat] - LATITUDE_BASE_TEMPS[lowerLat]);
+  
+  // Adjust slightly for southern hemisphere (generally slightly warmer)
   const hemisphereAdjustment = latitude < 0 ? 1 : 0; // Southern hemisphere 1°C warmer
   
   return baseTemp + hemisphereAdjustment;
@@ -247,7 +348,17 @@ export function calculateTimeResponse(timeScaleYears, processTimeConstant, fullR
  * @param {number} params.tempOffset - Additional temperature offset in °C
  * @param {number} params.timeScaleYears - Years of climate system response (0 = equilibrium)
  * @param {string} params.sensitivityLevel - Climate sensitivity level: 'low', 'medium', or 'high'
- * @returns {Object} - Temperature data including effective temperature and ice factor
+ * @param {number} params.climateSensitivity - CO2 sensitivity in °C per W/m²; overrides sensitivityLevel when given
+ * @param {number} params.waterVaporFeedback - Water vapour amplification of the CO2 response (default: 1.6);
+ *   overrides feedbacks.waterVapor.factor when given
+ * @param {number} params.cloudFeedback - Cloud feedback, °C per °C of CO2 response (default: 0.1);
+ *   overrides feedbacks.cloud.factor when given
+ * @param {Object} params.feedbacks - Per-feedback settings, { [key]: { enabled, ...parameters } } (see climateFeedbacks.js)
+ * @param {string} params.surfaceType - Surface heat capacity for the seasonal cycle: 'land' or 'ocean'
+ * @returns {Object} - Temperature data including effective temperature and ice factor, one <key>Effect
+ *   field per registered feedback (0 when off), enabledFeedbacks, and
+ *   diagnostics: { fallback, warnings, errors } (see climateDiagnostics.js)
+ * @throws {ClimateInputError} - When a parameter is missing or outside the model's range
  */
 export function calculateGlobalTemperature({
   latitude = 52.37, // Amsterdam latitude as default
@@ -258,8 +369,26 @@ export function calculateGlobalTemperature({
   co2Level,
   tempOffset = 0,
   timeScaleYears = 0, // Default to equilibrium response
-  sensitivityLevel = 'medium' // Default to medium climate sensitivity
+  sensitivityLevel = 'medium', // Default to medium climate sensitivity
+  climateSensitivity,
+  waterVaporFeedback,
+  cloudFeedback,
+  feedbacks = {},
+  surfaceType = DEFAULT_SURFACE_TYPE
 }) {
+  assertClimateParams(
+    {
+      latitude, season, eccentricity, axialTilt, precession, co2Level, tempOffset, timeScaleYears,
+      sensitivityLevel, climateSensitivity, waterVaporFeedback, cloudFeedback, surfaceType
+    },
+    { choices: MODEL_CHOICES }
+  );
+  const feedbackList = resolveFeedbacks(feedbacks, {
+    waterVapor: { factor: waterVaporFeedback },
+    cloud: { factor: cloudFeedback }
+  });
+  const diagnostics = createDiagnostics();
+  
   try {
     // Get realistic baseline temperature for this latitude
     const baselineTemp = getLatitudeBaseTemperature(latitude);
@@ -285,80 +414,69 @@ export function calculateGlobalTemperature({
     const insolationEffect = insolationSensitivity * normalizedInsolationDiff;
     const tempWithInsolation = baselineTemp + insolationEffect;
     
-    // IMPROVED: CO2 sensitivity based on IPCC AR6 (2021)
-    // Define sensitivity range based on scientific literature
-    const co2SensitivityLevels = {
-      low: 0.5,    // °C per W/m² (lower bound)
-      medium: 0.75, // °C per W/m² (best estimate)
-      high: 1.0     // °C per W/m² (upper bound)
-    };
-    const co2Sensitivity = co2SensitivityLevels[sensitivityLevel] || co2SensitivityLevels.medium;
+    // CO2 sensitivity from the named level unless a value is given
+    const co2Sensitivity = climateSensitivity ??
+      (CO2_SENSITIVITY_LEVELS[sensitivityLevel] || CO2_SENSITIVITY_LEVELS.medium);
     
     // Add CO2 effect
     const co2Forcing = calculateCO2Forcing(co2Level);
     const co2Effect = co2Sensitivity * co2Forcing;
     const tempWithCO2 = tempWithInsolation + co2Effect;
     
-    // IMPROVED: Add water vapor feedback (strongest positive feedback)
-    // Based on IPCC models showing water vapor approximately doubles warming
-    const waterVaporFeedbackFactor = 1.6; // Amplification factor
-    const waterVaporEffect = co2Effect * (waterVaporFeedbackFactor - 1);
-    const tempWithWaterVapor = tempWithCO2 + waterVaporEffect;
-    
-    // IMPROVED: Add cloud feedback (mixed positive/negative)
-    // Net slightly positive in most climate models
-    const cloudFeedbackFactor = 0.1; // °C per °C of initial warming
-    const cloudEffect = co2Effect * cloudFeedbackFactor;
-    const tempWithClouds = tempWithWaterVapor + cloudEffect;
-    
-    // Calculate ice factor using the temperature including all atmospheric feedbacks
-    const iceFactor = calculateIceFactor(tempWithClouds, latitude);
-    
-    // IMPROVED: Ice albedo feedback with more accurate latitude dependence based on Budyko-Sellers model
-    // Values calibrated to match paleo records
-    const maxPolarFeedback = 4.0; // °C at poles (reduced from 8)
-    const equatorialFeedback = 0.5; // Minimal feedback at equator
-    const latitudeFactor = Math.pow(Math.sin(Math.abs(latitude * Math.PI / 180)), 2); // Stronger at high latitudes
-    const feedback = equatorialFeedback + (maxPolarFeedback - equatorialFeedback) * latitudeFactor;
-    const iceAlbedoEffect = -feedback * iceFactor;
-    
     // IMPROVED: Apply time scale adjustments to different feedbacks
     const atmosphericTimeConstant = 1;    // ~1 year for atmosphere
-    const oceanTimeConstant = 500;        // ~500 years for deep ocean
-    const iceSheetTimeConstant = 5000;    // ~5000 years for ice sheets
-  
-    // Adjust feedbacks based on time scales if timeScaleYears > 0
     const co2EffectAdjusted = timeScaleYears > 0 
       ? calculateTimeResponse(timeScaleYears, atmosphericTimeConstant, co2Effect)
       : co2Effect;
-      
-    const waterVaporEffectAdjusted = timeScaleYears > 0
-      ? calculateTimeResponse(timeScaleYears, atmosphericTimeConstant, waterVaporEffect)
-      : waterVaporEffect;
-      
-    const cloudEffectAdjusted = timeScaleYears > 0
-      ? calculateTimeResponse(timeScaleYears, atmosphericTimeConstant, cloudEffect)
-      : cloudEffect;
-      
-    const iceAlbedoEffectAdjusted = timeScaleYears > 0
-      ? calculateTimeResponse(timeScaleYears, iceSheetTimeConstant, iceAlbedoEffect)
-      : iceAlbedoEffect;
+    
+    // Feedbacks from the registry: atmosphere first, then the ice cover,
+    // then the surface feedbacks that respond to it
+    const feedbackContext = {
+      latitude,
+      baseTemperature: baselineTemp,
+      temperature: tempWithCO2,
+      co2Effect,
+      sensitivity: co2Sensitivity,
+      iceFactor: 0
+    };
+    const feedbackEffects = {};
+    const applyFeedbacks = (stage) => {
+      feedbackList
+        .filter(({ feedback }) => feedback.stage === stage)
+        .forEach(({ key, feedback, enabled, parameters }) => {
+          const effect = enabled ? feedback.calculate(feedbackContext, parameters) : 0;
+          feedbackContext.temperature += effect;
+          feedbackEffects[feedbackEffectKey(key)] = timeScaleYears > 0
+            ? calculateTimeResponse(timeScaleYears, feedback.timeConstantYears, effect)
+            : effect;
+        });
+    };
+    
+    applyFeedbacks('atmosphere');
+    // Calculate ice factor using the temperature including all atmospheric feedbacks
+    const iceFactor = calculateIceFactor(feedbackContext.temperature, latitude);
+    feedbackContext.iceFactor = iceFactor;
+    applyFeedbacks('surface');
+    const totalFeedbackEffect = Object.values(feedbackEffects).reduce((sum, effect) => sum + effect, 0);
     
     // Add seasonal variation
-    const seasonalVariation = calculateSeasonalVariation(latitude, season);
+    const seasonalVariation = calculateSeasonalVariation(
+      latitude,
+      season,
+      { eccentricity, axialTilt, precession },
+      surfaceType
+    );
     
     // Final temperature with all factors
     let finalTemp = baselineTemp + 
                     insolationEffect +
                     co2EffectAdjusted + 
-                    waterVaporEffectAdjusted + 
-                    cloudEffectAdjusted + 
-                    iceAlbedoEffectAdjusted + 
+                    totalFeedbackEffect + 
                     seasonalVariation + 
                     tempOffset;
     
     // Ensure temperature is within realistic bounds
-    finalTemp = ensureValidTemperature(finalTemp, baselineTemp);
+    finalTemp = ensureValidTemperature(finalTemp, baselineTemp, diagnostics, `Temperature at ${latitude}°`);
     
     return {
       temperature: finalTemp,
@@ -366,62 +484,162 @@ export function calculateGlobalTemperature({
       baseTemperature: baselineTemp,
       insolationEffect: insolationEffect,
       co2Effect: co2EffectAdjusted,
-      waterVaporEffect: waterVaporEffectAdjusted,
-      cloudEffect: cloudEffectAdjusted,
-      iceAlbedoEffect: iceAlbedoEffectAdjusted,
+      ...feedbackEffects,
       seasonalEffect: seasonalVariation,
       offsetEffect: tempOffset,
       sensitivityUsed: co2Sensitivity,
-      timeScaleApplied: timeScaleYears > 0
+      timeScaleApplied: timeScaleYears > 0,
+      enabledFeedbacks: feedbackList.filter(({ enabled }) => enabled).map(({ key }) => key),
+      diagnostics
     };
   } catch (error) {
-    console.error(`Error calculating temperature for latitude ${latitude}: ${error.message}`);
-    // Return fallback values
+    // Return fallback values, marked so they are never mistaken for model output
     return {
       temperature: getLatitudeBaseTemperature(latitude),
       iceFactor: latitude > 60 || latitude < -60 ? 0.8 : 0,
       baseTemperature: getLatitudeBaseTemperature(latitude),
       insolationEffect: 0,
       co2Effect: 0,
-      waterVaporEffect: 0,
-      cloudEffect: 0,
-      iceAlbedoEffect: 0,
+      ...Object.fromEntries(FEEDBACK_ORDER.map(key => [feedbackEffectKey(key), 0])),
       seasonalEffect: 0,
       offsetEffect: tempOffset,
-      sensitivityUsed: co2SensitivityLevels?.medium || 0.75,
+      sensitivityUsed: CO2_SENSITIVITY_LEVELS.medium,
       timeScaleApplied: false,
-      calculationError: true
+      enabledFeedbacks: feedbackList.filter(({ enabled }) => enabled).map(({ key }) => key),
+      calculationError: true,
+      diagnostics: {
+        ...diagnostics,
+        fallback: true,
+        errors: [...diagnostics.errors, `Model failed at ${latitude}°: ${error.message}; showing the present-day baseline`]
+      }
     };
   }
 }
 
+/**
+ * Calculate the annual mean climate at one latitude
+ *
+ * Averages calculateGlobalTemperature over the four cardinal seasons, which
+ * captures the full orbital forcing signal while staying stable enough to
+ * display as a single reading.
+ *
+ * @param {Object} params - Same parameters as calculateGlobalTemperature (season is ignored)
+ * @returns {Object} - Season-averaged temperature data with the same fields as calculateGlobalTemperature
+ */
+export function calculateAnnualMeanTemperature(params) {
+  const seasons = [0, 0.25, 0.5, 0.75];
+  const results = seasons.map(season => calculateGlobalTemperature({ ...params, season }));
+
+  // Average every numeric field; keep flags from the first result
+  const annualMean = { ...results[0] };
+  Object.keys(annualMean).forEach(key => {
+    if (typeof annualMean[key] === 'number') {
+      annualMean[key] = results.reduce((sum, result) => sum + result[key], 0) / results.length;
+    }
+  });
+  if (results.some(result => result.calculationError)) {
+    annualMean.calculationError = true;
+  }
+  annualMean.diagnostics = mergeDiagnostics(results.map(result => result.diagnostics));
+
+  return annualMean;
+}
+
+/**
+ * Build a latitude grid from pole to pole
+ * 
+ * @param {number} step - Spacing in degrees (default: 5)
+ * @returns {Array<number>} - Latitudes from 90 down to -90, including both poles
+ */
+export function createLatitudeGrid(step = 5) {
+  const spacing = Math.max(0.1, Math.min(90, step || 5));
+  const latitudes = [];
+  for (let lat = 90; lat > -90; lat -= spacing) {
+    latitudes.push(Math.round(lat * 1e6) / 1e6);
+  }
+  latitudes.push(-90);
+  return latitudes;
+}
+
+/**
+ * Fraction of Earth's surface represented by each latitude in a grid
+ * 
+ * Each latitude stands for the belt between the midpoints to its neighbours
+ * (the poles for the first and last), and a belt's area is proportional to
+ * the difference in sin(latitude) across it. On an evenly spaced grid this is
+ * cos(latitude) weighting, with the polar caps getting their true small share.
+ * 
+ * @param {Array<number>} latitudes - Latitudes in degrees, sorted from north to south
+ * @returns {Array<number>} - Weights in the same order, summing to 1
+ */
+export function calculateLatitudeWeights(latitudes) {
+  const toRad = Math.PI / 180;
+  return latitudes.map((lat, i) => {
+    const north = i === 0 ? 90 : (latitudes[i - 1] + lat) / 2;
+    const south = i === latitudes.length - 1 ? -90 : (lat + latitudes[i + 1]) / 2;
+    return (Math.sin(north * toRad) - Math.sin(south * toRad)) / 2;
+  });
+}
+
+// Default grid: key latitudes for climate models
+const DEFAULT_LATITUDE_BANDS = [
+  { latitude: 90, name: "North Pole" },
+  { latitude: 65, name: "Northern High Latitude" }, // Critical for ice ages
+  { latitude: 30, name: "Northern Mid Latitude" },
+  { latitude: 0, name: "Equator" },
+  { latitude: -30, name: "Southern Mid Latitude" },
+  { latitude: -65, name: "Southern High Latitude" },
+  { latitude: -90, name: "South Pole" }
+];
+
+function latitudeBandName(latitude) {
+  if (latitude === 90) return "North Pole";
+  if (latitude === -90) return "South Pole";
+  if (latitude === 0) return "Equator";
+  return `${Math.abs(latitude)}°${latitude > 0 ? "N" : "S"}`;
+}
+
+function latitudeBands(latitudes) {
+  if (!latitudes) return DEFAULT_LATITUDE_BANDS;
+  const expected = 'a non-empty list of latitudes between -90° and 90°';
+  if (!Array.isArray(latitudes) || latitudes.length === 0) {
+    throw new ClimateInputError('latitudes', JSON.stringify(latitudes), expected);
+  }
+  const invalid = latitudes.find(lat => typeof lat !== 'number' || !Number.isFinite(lat) || Math.abs(lat) > 90);
+  if (invalid !== undefined) throw new ClimateInputError('latitudes', invalid, expected);
+  const grid = [...new Set(latitudes)].sort((a, b) => b - a);
+  return grid.map(latitude => ({ latitude, name: latitudeBandName(latitude) }));
+}
+
 /**
  * Calculate global temperature accounting for latitudinal bands
  * 
+ * The global mean is area-weighted (calculateLatitudeWeights) over whichever
+ * grid is used. Every band has the same shape whatever the grid, sorted from
+ * north to south, so plots and maps can draw any resolution.
+ * 
  * @param {Object} params - Parameters including orbit and CO2
- * @returns {Object} - Temperature data for different latitude bands and global mean
+ * @param {Object} options - Grid options
+ * @param {Array<number>} options.latitudes - Latitudes to calculate, e.g. createLatitudeGrid(5)
+ *   (default: the seven named bands from pole to pole)
+ * @returns {Object} - { bandResults: [{ latitude, name, weight, ...calculateGlobalTemperature fields }], globalTemperature,
+ *   diagnostics }; diagnostics gathers every band's warnings (see climateDiagnostics.js)
+ * @throws {ClimateInputError} - When a parameter or the latitude grid is unusable
  */
-export function calculateRegionalTemperatures(params) {
+export function calculateRegionalTemperatures(params, { latitudes } = {}) {
+  const bands = latitudeBands(latitudes);
+  assertClimateParams(params, { choices: MODEL_CHOICES });
+  const weights = calculateLatitudeWeights(bands.map(band => band.latitude));
+  
   try {
-    // Key latitudes for climate models
-    const latitudeBands = [
-      { lat: 90, name: "North Pole", weight: 0.05 },
-      { lat: 65, name: "Northern High Latitude", weight: 0.15 }, // Critical for ice ages
-      { lat: 30, name: "Northern Mid Latitude", weight: 0.25 },
-      { lat: 0, name: "Equator", weight: 0.1 },
-      { lat: -30, name: "Southern Mid Latitude", weight: 0.25 },
-      { lat: -65, name: "Southern High Latitude", weight: 0.15 },
-      { lat: -90, name: "South Pole", weight: 0.05 }
-    ];
-    
     // Calculate temperature for each band
-    const bandResults = latitudeBands.map(band => {
-      const bandParams = {...params, latitude: band.lat};
+    const bandResults = bands.map((band, i) => {
+      const bandParams = {...params, latitude: band.latitude};
       const result = calculateGlobalTemperature(bandParams);
       return {
-        latitude: band.lat,
+        latitude: band.latitude,
         name: band.name,
-        weight: band.weight,
+        weight: weights[i],
         ...result
       };
     });
@@ -433,6 +651,14 @@ export function calculateRegionalTemperatures(params) {
       throw new Error("No valid temperature calculations");
     }
     
+    const diagnostics = mergeDiagnostics(bandResults.map(band => band.diagnostics));
+    const skipped = bandResults.length - validBands.length;
+    if (skipped > 0) {
+      addWarning(diagnostics, 'bands-skipped', `${skipped} of ${bandResults.length} latitude bands failed and were left out of the global mean`);
+    }
+    // A mean built partly from fallback bands is not pure model output
+    diagnostics.fallback = bandResults.some(isFallbackResult);
+    
     const totalWeight = validBands.reduce((sum, band) => sum + band.weight, 0);
     const globalTemperature = validBands.reduce(
       (sum, band) => sum + band.temperature * band.weight, 0
@@ -440,26 +666,31 @@ export function calculateRegionalTemperatures(params) {
     
     return {
       bandResults,
-      globalTemperature: ensureValidTemperature(globalTemperature, 15) // Default to 15°C if invalid
+      globalTemperature: ensureValidTemperature(globalTemperature, 15, diagnostics, 'Global mean temperature'), // Default to 15°C if invalid
+      diagnostics
     };
   } catch (error) {
-    console.error(`Error calculating regional temperatures: ${error.message}`);
-    
-    // Return fallback regional data
-    const fallbackBandResults = [
-      { lat: 90, name: "North Pole", temperature: -20, iceFactor: 0.9, weight: 0.05 },
-      { lat: 65, name: "Northern High Latitude", temperature: -5, iceFactor: 0.7, weight: 0.15 },
-      { lat: 30, name: "Northern Mid Latitude", temperature: 15, iceFactor: 0, weight: 0.25 },
-      { lat: 0, name: "Equator", temperature: 25, iceFactor: 0, weight: 0.1 },
-      { lat: -30, name: "Southern Mid Latitude", temperature: 16, iceFactor: 0, weight: 0.25 },
-      { lat: -65, name: "Southern High Latitude", temperature: -4, iceFactor: 0.5, weight: 0.15 },
-      { lat: -90, name: "South Pole", temperature: -19, iceFactor: 0.9, weight: 0.05 }
-    ];
+    if (error instanceof ClimateInputError) throw error;
+    // Return fallback regional data: present-day baselines on the same grid,
+    // marked so they are never mistaken for model output
+    const fallbackBandResults = bands.map((band, i) => ({
+      latitude: band.latitude,
+      name: band.name,
+      temperature: getLatitudeBaseTemperature(band.latitude),
+      iceFactor: band.latitude > 60 || band.latitude < -60 ? 0.8 : 0,
+      weight: weights[i],
+      calculationError: true
+    }));
     
     return {
       bandResults: fallbackBandResults,
       globalTemperature: 15, // Global average temperature (approximate)
-      calculationError: true
+      calculationError: true,
+      diagnostics: {
+        ...createDiagnostics(),
+        fallback: true,
+        errors: [`Regional model failed: ${error.message}; showing present-day baselines`]
+      }
     };
   }
 }
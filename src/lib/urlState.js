@@ -0,0 +1,100 @@
+/**
+ * URL State
+ *
+ * Encodes a playground configuration (orbit, CO₂, latitude and story section)
+ * in query parameters so one exact setup can be shared as a link, and reads it
+ * back on load. Values outside the playground's ranges are clamped; missing
+ * or unreadable values are left out so callers keep their own defaults.
+ */
+
+// Query key, state field, allowed range and decimals kept in the URL
+const URL_FIELDS = [
+  { param: 'ecc', field: 'eccentricity', min: 0.005, max: 0.058, decimals: 4 },
+  { param: 'tilt', field: 'axialTilt', min: 22.1, max: 24.5, decimals: 2 },
+  { param: 'prec', field: 'precession', min: 0, max: 360, decimals: 1, wrap: true },
+  { param: 'co2', field: 'co2Level', min: 150, max: 1200, decimals: 0 },
+  { param: 'lat', field: 'latitude', min: -90, max: 90, decimals: 1 },
+  { param: 'section', field: 'section', min: 0, max: 7, decimals: 0 }
+];
+
+function normalizeValue(value, { min, max, wrap }) {
+  if (wrap) return ((value % max) + max) % max;
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Encode a configuration as a query string
+ *
+ * @param {Object} state - Any of { eccentricity, axialTilt, precession, co2Level, latitude, section }
+ * @returns {string} - Query string without the leading '?'
+ */
+export function encodeClimateState(state) {
+  const params = new URLSearchParams();
+  URL_FIELDS.forEach(spec => {
+    const value = state[spec.field];
+    if (typeof value !== 'number' || !isFinite(value)) return;
+    const normalized = normalizeValue(value, spec);
+    params.set(spec.param, String(Number(normalized.toFixed(spec.decimals))));
+  });
+  return params.toString();
+}
+
+/**
+ * Clamp a configuration to the playground's ranges
+ *
+ * Shared with anything else that reads configurations from outside the app,
+ * such as imported climate libraries.
+ *
+ * @param {Object} state - Any of { eccentricity, axialTilt, precession, co2Level, latitude, section }
+ * @returns {Object} - Only the fields that were finite numbers, clamped
+ */
+export function normalizeClimateState(state) {
+  const normalized = {};
+  URL_FIELDS.forEach(spec => {
+    const value = typeof state?.[spec.field] === 'string' && state[spec.field].trim() !== ''
+      ? Number(state[spec.field])
+      : state?.[spec.field];
+    if (typeof value !== 'number' || !isFinite(value)) return;
+    const clamped = normalizeValue(value, spec);
+    normalized[spec.field] = spec.decimals === 0 ? Math.round(clamped) : clamped;
+  });
+  return normalized;
+}
+
+/**
+ * Decode a configuration from a query string
+ *
+ * @param {string} search - Query string, with or without the leading '?'
+ * @returns {Object} - Only the fields present and readable in the URL
+ */
+export function decodeClimateState(search) {
+  const params = new URLSearchParams(search || '');
+  const raw = {};
+  URL_FIELDS.forEach(spec => {
+    const value = params.get(spec.param);
+    if (value !== null) raw[spec.field] = value;
+  });
+  return normalizeClimateState(raw);
+}
+
+/**
+ * Whether a decoded state sets any climate parameter (not just a section)
+ *
+ * @param {Object} state - Result of decodeClimateState
+ * @returns {boolean}
+ */
+export function hasClimateParameters(state) {
+  return URL_FIELDS.some(spec => spec.field !== 'section' && state[spec.field] !== undefined);
+}
+
+/**
+ * Build an absolute link to a configuration
+ *
+ * @param {Object} location - Object with origin and pathname (e.g. window.location)
+ * @param {Object} state - Configuration to encode
+ * @returns {string} - Permalink URL
+ */
+export function buildClimatePermalink(location, state) {
+  const query = encodeClimateState(state);
+  return `${location.origin}${location.pathname}${query ? `?${query}` : ''}`;
+}
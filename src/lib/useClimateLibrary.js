@@ -0,0 +1,61 @@
+"use client";
+import { useCallback, useEffect, useState } from "react";
+import {
+  createClimateEntry,
+  deleteClimateEntry,
+  exportClimateLibrary,
+  importClimateLibrary,
+  loadClimateLibrary,
+  renameClimateEntry,
+  storeClimateLibrary,
+} from "./climateLibrary";
+
+export function useClimateLibrary() {
+  const [entries, setEntries] = useState([]);
+
+  // localStorage only exists in the browser, so read after mount
+  useEffect(() => {
+    setEntries(loadClimateLibrary());
+  }, []);
+
+  // Every change is written straight through, so nothing is lost on reload
+  const update = useCallback((change) => {
+    setEntries((current) => {
+      const next = change(current);
+      storeClimateLibrary(next);
+      return next;
+    });
+  }, []);
+
+  const save = useCallback(
+    (state) => {
+      const entry = createClimateEntry(state);
+      update((current) => [...current, entry]);
+      return entry;
+    },
+    [update]
+  );
+
+  const rename = useCallback(
+    (id, name) => update((current) => renameClimateEntry(current, id, name)),
+    [update]
+  );
+
+  const remove = useCallback(
+    (id) => update((current) => deleteClimateEntry(current, id)),
+    [update]
+  );
+
+  const exportJson = useCallback(() => exportClimateLibrary(entries), [entries]);
+
+  const importJson = useCallback(
+    (json) => {
+      const result = importClimateLibrary(json, entries);
+      if (!result.error) update(() => result.entries);
+      return result;
+    },
+    [entries, update]
+  );
+
+  return { entries, save, rename, remove, exportJson, importJson };
+}
@@ -0,0 +1,112 @@
+"use client";
+import { useCallback, useEffect, useMemo, useState } from "react";
+import {
+  DEFAULT_MISSION_PACK,
+  loadMissionPacks,
+  loadMissionProgress,
+  missionScore,
+  parseMissionPack,
+  storeMissionPacks,
+  storeMissionProgress,
+} from "./missions";
+
+export function useMissionProgress() {
+  const [loadedPacks, setLoadedPacks] = useState([]);
+  const [progress, setProgress] = useState({});
+  const [activePackId, setActivePackId] = useState(DEFAULT_MISSION_PACK.id);
+  // False until stored progress is read; missions shouldn't be checked off
+  // before then or the stored record would be overwritten
+  const [ready, setReady] = useState(false);
+
+  // localStorage only exists in the browser, so read after mount
+  useEffect(() => {
+    setLoadedPacks(loadMissionPacks());
+    setProgress(loadMissionProgress());
+    setReady(true);
+  }, []);
+
+  const packs = useMemo(() => [DEFAULT_MISSION_PACK, ...loadedPacks], [loadedPacks]);
+  const activePack = packs.find((pack) => pack.id === activePackId) || DEFAULT_MISSION_PACK;
+  const packProgress = progress[activePack.id] || {};
+
+  // Every change is written straight through, so nothing is lost on reload
+  const updateProgress = useCallback((change) => {
+    setProgress((current) => {
+      const next = change(current);
+      storeMissionProgress(next);
+      return next;
+    });
+  }, []);
+
+  const updateMission = useCallback(
+    (packId, missionId, change) =>
+      updateProgress((current) => {
+        const pack = current[packId] || {};
+        return { ...current, [packId]: { ...pack, [missionId]: change(pack[missionId] || {}) } };
+      }),
+    [updateProgress]
+  );
+
+  const complete = useCallback(
+    (mission) =>
+      updateMission(activePack.id, mission.id, (entry) =>
+        entry.completedAt
+          ? entry
+          : {
+              ...entry,
+              score: missionScore(mission, Boolean(entry.hintUsed)),
+              completedAt: new Date().toISOString(),
+            }
+      ),
+    [activePack.id, updateMission]
+  );
+
+  const revealHint = useCallback(
+    (mission) => updateMission(activePack.id, mission.id, (entry) => ({ ...entry, hintUsed: true })),
+    [activePack.id, updateMission]
+  );
+
+  const resetPack = useCallback(
+    (packId) =>
+      updateProgress((current) => {
+        const { [packId]: removed, ...rest } = current;
+        return rest;
+      }),
+    [updateProgress]
+  );
+
+  const importPack = useCallback((json) => {
+    const result = parseMissionPack(json);
+    if (result.pack) {
+      setLoadedPacks((current) => {
+        const next = [...current.filter((pack) => pack.id !== result.pack.id), result.pack];
+        storeMissionPacks(next);
+        return next;
+      });
+      setActivePackId(result.pack.id);
+    }
+    return result;
+  }, []);
+
+  const removePack = useCallback((packId) => {
+    setLoadedPacks((current) => {
+      const next = current.filter((pack) => pack.id !== packId);
+      storeMissionPacks(next);
+      return next;
+    });
+    setActivePackId((current) => (current === packId ? DEFAULT_MISSION_PACK.id : current));
+  }, []);
+
+  return {
+    ready,
+    packs,
+    activePack,
+    packProgress,
+    selectPack: setActivePackId,
+    complete,
+    revealHint,
+    resetPack,
+    importPack,
+    removePack,
+  };
+}